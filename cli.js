@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// @ts-check
+
+const { existsSync, readFileSync, readdirSync, statSync } = require("fs");
+const { extname, join } = require("path");
+const {
+  FSDB,
+  FSDBDecryptionError,
+  FSDBError,
+  FSDBUniqueError,
+  FSDBValidationError,
+} = require("./index.js");
+
+const USAGE = `Usage: fsdb <command> <file> [arguments]
+
+Commands:
+  get <file> <key>              Print the value of a key
+  set <file> <key> <value>      Save a value (parsed as JSON if possible)
+  delete <file> <key>           Delete a key
+  keys, ls <file> [prefix]      List the keys starting with a prefix
+  dump <file>                   Print the whole database
+  backup <file> [path]          Back up the database (timestamped by default)
+  restore <file> <path>         Replace the database with a backup
+  stats <file>                  Print the size and number of keys
+  add <file> <key> <number>     Add to a number
+  push <file> <key> <values...> Push values to an array
+
+Set FSDB_ENCRYPTION_KEY to open an encrypted database.`;
+
+/** The exit codes of the failures the CLI reports */
+const EXIT_CODES = {
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  validation: 4,
+  unique: 5,
+  decryption: 6,
+  missingFile: 7,
+  parse: 8,
+};
+
+/** The commands, and whether they create the database if it doesn't exist */
+const COMMANDS = {
+  get: false,
+  set: true,
+  delete: false,
+  keys: false,
+  ls: false,
+  dump: false,
+  backup: false,
+  restore: true,
+  stats: false,
+  add: true,
+  push: true,
+};
+
+/**
+ * An error in how the CLI was called
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses a value passed on the command line as JSON, falling back to the
+ * string itself, so `fsdb set db.json name Will` doesn't need quotes
+ * @param {string} value The value as passed
+ * @returns {any} The parsed value
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Formats a value for the terminal as indented JSON
+ * @param {any} value The value to format
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  return JSON.stringify(value, null, 2) ?? "undefined";
+}
+
+/**
+ * Formats a number of bytes for humans
+ * @param {number} bytes The number of bytes
+ * @returns {string} The formatted size, e.g. "1.5 KiB"
+ */
+function formatSize(bytes) {
+  const units = ["B", "KiB", "MiB", "GiB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${bytes} B` : `${bytes.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Checks whether a path is the directory of a sharded database
+ * @param {string} path The path to the database
+ * @returns {boolean} Whether the path is a directory
+ */
+function isDirectory(path) {
+  return existsSync(path) && statSync(path).isDirectory();
+}
+
+/**
+ * Calculates how much space a database takes up on disk
+ * @param {string} path The path to the database file or directory
+ * @returns {number} The size (in bytes)
+ */
+function getSize(path) {
+  if (!isDirectory(path)) return statSync(path).size;
+  return readdirSync(path).reduce(
+    (size, name) => size + statSync(join(path, name)).size,
+    0,
+  );
+}
+
+/**
+ * Opens a database the way it is stored on disk: directories as sharded
+ * databases, the format by the extension, and JSON files as compact as they
+ * already are
+ * @param {string} path The path to the database
+ * @returns {FSDB} The database
+ */
+function openDatabase(path) {
+  const sharded = isDirectory(path);
+  const extension = extname(path);
+  /** @type {import("./index.js").FSDBOptions} */
+  const options = {
+    shards: sharded,
+    initializeArrays: true,
+    encryptionKey: process.env.FSDB_ENCRYPTION_KEY || undefined,
+  };
+
+  if (extension === ".ndjson") options.serializer = "ndjson";
+  else if (extension === ".v8") options.serializer = "v8";
+
+  if (!sharded && existsSync(path))
+    options.compact = !/^\{\s*\n/.test(readFileSync(path, "utf8"));
+
+  return new FSDB(path, options);
+}
+
+/**
+ * Retrieves the arguments of a command, making sure enough were passed
+ * @param {string[]} args The arguments after the file
+ * @param {number} count How many arguments are required
+ * @param {string} usage The arguments of the command, for the error message
+ * @returns {string[]} The arguments
+ * @throws {UsageError} If too few arguments were passed
+ */
+function requireArgs(args, count, usage) {
+  if (args.length < count) throw new UsageError(`Expected ${usage}.`);
+  return args;
+}
+
+/**
+ * Runs a command
+ * @param {string[]} argv The arguments passed to the CLI
+ * @param {(line: string) => void} print The function printing the output
+ * @returns {number} The exit code
+ * @throws {UsageError} If the command was called incorrectly
+ */
+function run([command, file, ...args], print) {
+  if (!Object.hasOwn(COMMANDS, command))
+    throw new UsageError(`Unknown command "${command}".`);
+  if (!file) throw new UsageError("Expected a file.");
+  if (!COMMANDS[/** @type {keyof COMMANDS} */ (command)] && !existsSync(file)) {
+    console.error(`"${file}" does not exist.`);
+    return EXIT_CODES.missingFile;
+  }
+
+  const db = openDatabase(file);
+  switch (command) {
+    case "get": {
+      const [key] = requireArgs(args, 1, "<key>");
+      if (!db.has(key)) {
+        console.error(`"${key}" does not exist.`);
+        return EXIT_CODES.notFound;
+      }
+      print(formatValue(db.get(key)));
+      break;
+    }
+    case "set": {
+      const [key, value] = requireArgs(args, 2, "<key> <value>");
+      db.set(key, parseValue(value));
+      break;
+    }
+    case "delete": {
+      const [key] = requireArgs(args, 1, "<key>");
+      if (!db.has(key)) {
+        console.error(`"${key}" does not exist.`);
+        return EXIT_CODES.notFound;
+      }
+      db.delete(key);
+      break;
+    }
+    case "keys":
+    case "ls": {
+      const [prefix] = args;
+      const entries = prefix ? db.startsWith(prefix) : db.getAll(true);
+      for (const { key } of entries) print(key);
+      break;
+    }
+    case "dump":
+      print(
+        formatValue(
+          Object.fromEntries(db.getAll().map(({ key, value }) => [key, value])),
+        ),
+      );
+      break;
+    case "backup":
+      print(args[0] ? db.backup(args[0]) : db.backup());
+      break;
+    case "restore": {
+      const [path] = requireArgs(args, 1, "<path>");
+      if (!existsSync(path)) {
+        console.error(`"${path}" does not exist.`);
+        return EXIT_CODES.missingFile;
+      }
+      db.restore(path);
+      break;
+    }
+    case "stats": {
+      print(`Path:    ${db.path}`);
+      print(`Size:    ${formatSize(getSize(db.path))}`);
+      print(`Keys:    ${db.getAll().length}`);
+      print(`Entries: ${db.getAll(true).length}`);
+      print(`Backups: ${db.listBackups().length}`);
+      break;
+    }
+    case "add": {
+      const [key, value] = requireArgs(args, 2, "<key> <number>");
+      const number = Number(value);
+      if (value.trim() === "" || Number.isNaN(number))
+        throw new UsageError(`"${value}" is not a number.`);
+      db.add(key, number);
+      print(formatValue(db.get(key)));
+      break;
+    }
+    case "push": {
+      const [key, ...values] = requireArgs(args, 2, "<key> <values...>");
+      db.push(key, ...values.map(parseValue));
+      print(formatValue(db.get(key)));
+      break;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Retrieves the error explaining what went wrong, as internal errors wrap the
+ * errors causing them
+ * @param {unknown} error The error thrown by a command
+ * @returns {unknown} The innermost cause of the error
+ */
+function getRootCause(error) {
+  let cause = error;
+  while (cause instanceof Error && cause.cause !== undefined)
+    cause = cause.cause;
+  return cause;
+}
+
+/**
+ * Maps an error to the exit code of the CLI
+ * @param {unknown} error The error thrown by a command
+ * @returns {number} The exit code
+ */
+function getExitCode(error) {
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof FSDBValidationError) return EXIT_CODES.validation;
+  if (error instanceof FSDBUniqueError) return EXIT_CODES.unique;
+  if (error instanceof FSDBDecryptionError) return EXIT_CODES.decryption;
+
+  const cause = getRootCause(error);
+  if (/** @type {NodeJS.ErrnoException} */ (cause)?.code === "ENOENT")
+    return EXIT_CODES.missingFile;
+  if (cause instanceof SyntaxError) return EXIT_CODES.parse;
+  return EXIT_CODES.error;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv The arguments passed to the CLI
+ * @returns {number} The exit code
+ */
+function main(argv) {
+  if (argv.length === 0 || argv[0] === "-h" || argv[0] === "--help") {
+    console.log(USAGE);
+    return argv.length === 0 ? EXIT_CODES.usage : 0;
+  }
+
+  try {
+    return run(argv, (line) => console.log(line));
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message} Run "fsdb --help" for usage.`);
+    } else if (error instanceof FSDBError) {
+      const cause = getRootCause(error);
+      const message = cause instanceof Error ? cause.message : String(cause);
+      // the first line, without the link to the support server
+      console.error(message.split("\n")[0]);
+    } else {
+      console.error(error);
+    }
+    return getExitCode(error);
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,5 +1,151 @@
-const { existsSync, mkdirSync, readFileSync, writeFileSync } = require("fs");
-const { join, parse, resolve } = require("path");
+const {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createHmac,
+  randomBytes,
+  scryptSync,
+} = require("crypto");
+const { EventEmitter } = require("events");
+const {
+  closeSync,
+  existsSync,
+  fstatSync,
+  fsyncSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  readdirSync,
+  readSync,
+  renameSync,
+  rmSync,
+  statSync,
+  unwatchFile,
+  watchFile,
+  writeFileSync,
+} = require("fs");
+const {
+  mkdir,
+  open,
+  readFile,
+  readdir,
+  rename,
+  rm,
+  stat,
+  utimes,
+} = require("fs/promises");
+const { hostname } = require("os");
+const { dirname, extname, join, parse, resolve } = require("path");
+const { setTimeout: sleep } = require("timers/promises");
+const { isDeepStrictEqual } = require("util");
+const { deserialize, serialize } = require("v8");
+const {
+  brotliCompressSync,
+  brotliDecompressSync,
+  gunzipSync,
+  gzipSync,
+} = require("zlib");
+
+/**
+ * How thoroughly a write is flushed to disk before it is swapped in:
+ * - `"none"` relies on the operating system to flush the data eventually
+ * - `"file"` flushes the file contents before replacing the database
+ * - `"full"` also flushes the directory so the rename itself survives a crash
+ * @typedef {"none" | "file" | "full"} FSDBDurability
+ */
+
+/** @type {FSDBDurability[]} */
+const DURABILITY_LEVELS = ["none", "file", "full"];
+
+/**
+ * How the database file is compressed:
+ * - `"none"` stores it as plain JSON
+ * - `"gzip"` compresses it with gzip
+ * - `"brotli"` compresses it with Brotli, which is slower but smaller
+ * @typedef {"none" | "gzip" | "brotli"} FSDBCompression
+ */
+
+/** @type {FSDBCompression[]} */
+const COMPRESSION_FORMATS = ["none", "gzip", "brotli"];
+
+/**
+ * @typedef FSDBSerializer A storage format for the database file
+ * @property {string=} extension The extension of the file (e.g. ".json"),
+ * which is given to paths without an extension of their own
+ * @property {(content: string | Buffer) => Record<string, any>} parse Parses
+ * the contents of the file
+ * @property {(data: Record<string, any>, compact: boolean) => string | Buffer} stringify
+ * Converts data into the contents of the file, in a compact format if
+ * possible
+ */
+
+/**
+ * The built-in storage formats:
+ * - `"json"` stores a single JSON object, pretty-printed unless `compact`
+ * - `"ndjson"` stores one top-level key per line, as newline-delimited JSON
+ * - `"v8"` stores the binary format of `v8.serialize()`, which is the fastest
+ * @type {Record<"json" | "ndjson" | "v8", FSDBSerializer>}
+ */
+const SERIALIZERS = {
+  json: {
+    extension: ".json",
+    parse: (content) => JSON.parse(content.toString()),
+    stringify: (data, compact) => JSON.stringify(data, null, compact ? 0 : 4),
+  },
+  ndjson: {
+    extension: ".ndjson",
+    parse: (content) =>
+      Object.assign(
+        {},
+        ...content
+          .toString()
+          .split("\n")
+          .filter((line) => line.trim() !== "")
+          .map((line) => JSON.parse(line)),
+      ),
+    stringify: (data) =>
+      Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${JSON.stringify({ [key]: value })}\n`)
+        .join(""),
+  },
+  v8: {
+    extension: ".v8",
+    parse: (content) => deserialize(Buffer.from(content)),
+    stringify: (data) => serialize(data),
+  },
+};
+
+/** How long to wait between attempts to acquire a lock (in milliseconds) */
+const LOCK_RETRY_INTERVAL = 5;
+
+/**
+ * The top-level key FSDB stores its own metadata under, such as when entries
+ * expire. It is hidden from all methods reading the database
+ */
+const META_KEY = "__fsdb";
+
+/**
+ * The keys that would change the prototype of an object instead of adding a
+ * property to it when assigned to, so they are never copied from the outside
+ */
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * The file in the directory of a sharded database listing the files of a
+ * write that changes several of them (see {@link FSDBShardCommit})
+ */
+const SHARD_COMMIT_NAME = ".commit";
+
+/** The events emitted when the contents of the database change */
+const CHANGE_EVENTS = ["set", "delete", "deleteAll", "change"];
+
+/**
+ * @typedef {string | (string | number)[]} FSDBKey A key in dot-notation,
+ * which may use bracket indices and quoted segments for keys containing dots
+ * (e.g. `items[0].name` or `users["a.b@x.com"].level`), or the segments of
+ * the key (e.g. `["users", "a.b@x.com", "level"]`)
+ */
 
 /**
  * @typedef FSDBEntry A database entry
@@ -8,477 +154,7342 @@ const { join, parse, resolve } = require("path");
  */
 
 /**
- * Create a new JSON file
+ * @typedef FSDBChange A change to a single key, applied together with others
+ * as part of one write
+ * @property {string | (string | number)[]} key The key to change, either in
+ * dot-notation or split into its segments
+ * @property {*=} value The new value of the key (`undefined` to delete it)
+ */
+
+/**
+ * @typedef FSDBChangeEvent The payload of the "set", "delete" and "change"
+ * events
+ * @property {string} key The key that changed, in dot-notation
+ * @property {*} oldValue The previous value of the key (`undefined` if it
+ * didn't exist)
+ * @property {*} newValue The new value of the key (`undefined` if it was
+ * deleted)
+ */
+
+/**
+ * @typedef FSDBSetOptions The options for saving a value
+ * @property {number=} ttl How long the value should be kept before it expires
+ * (in milliseconds)
+ * @property {(Date | number)=} expireAt When the value should expire (as a
+ * date or a timestamp in milliseconds)
+ */
+
+/**
+ * @typedef FSDBCollectionOptions The options for a collection of documents
+ * @property {string=} idField The field of the documents holding their IDs
+ * (defaults to "id")
+ */
+
+/**
+ * @typedef FSDBMigration A change to the shape of the data, e.g. renaming a
+ * key, which is run once the database is migrated to its version
+ * @property {number} version The version of the data after the migration, a
+ * positive integer
+ * @property {string=} name A description of the migration
+ * @property {(tx: FSDB) => void} up A synchronous function performing the
+ * migration on the provided `tx` (see {@link FSDB#transaction})
+ */
+
+/**
+ * @typedef FSDBMigrateOptions The options for migrating the database
+ * @property {(boolean | FSDBBackupOptions)=} backup Whether to make a
+ * timestamped backup before running any migrations, or the options for it
+ * (defaults to "true")
+ */
+
+/**
+ * @typedef FSDBMigrationRecord A migration that was run on the database
+ * @property {number} version The version of the migration
+ * @property {string=} name The description of the migration
+ * @property {Date} date When the migration was run
+ */
+
+/**
+ * @typedef FSDBMergeOptions The options for merging a value
+ * @property {boolean=} deep Whether nested objects are merged as well, instead
+ * of being replaced (defaults to "false")
+ */
+
+/**
+ * @typedef {Record<string, any>} FSDBFilter A filter matching stored values by
+ * their fields (in dot-notation) or, with operators such as `$gt`, by the
+ * values themselves. Fields are compared using deep equality, unless their
+ * condition is an object of operators (`$eq`, `$ne`, `$gt`, `$gte`, `$lt`,
+ * `$lte`, `$in`, `$nin`, `$regex` and `$exists`). Filters can be combined with
+ * `$and` and `$or`
+ */
+
+/**
+ * @typedef {FSDBFilter | ((value: any, key: string) => boolean)} FSDBQuery A
+ * filter, or a function returning whether a value matches
+ */
+
+/**
+ * @typedef FSDBFindOptions The options for searching the database
+ * @property {Record<string, 1 | -1>=} sort The fields (in dot-notation) to sort
+ * the results by, in ascending (`1`) or descending (`-1`) order
+ * @property {number=} limit The maximum number of results
+ * @property {number=} skip The number of results to skip
+ * @property {Record<string, 0 | 1 | boolean>=} projection The fields (in
+ * dot-notation) to include (`1`) in or exclude (`0`) from the results
+ */
+
+/**
+ * @typedef FSDBIndexOptions The options for a secondary index
+ * @property {boolean=} unique Whether no two children may have the same value
+ * for the indexed field (defaults to "false")
+ */
+
+/**
+ * @typedef FSDBIndex A secondary index, which maps the values of a field to
+ * the children of a key holding them
+ * @property {string[]} prefix The segments of the key whose children are
+ * indexed
+ * @property {string} field The indexed field, in dot-notation
+ * @property {boolean} unique Whether the values have to be unique
+ * @property {Map<string, string>} keys The serialized value of every indexed
+ * child
+ * @property {Map<string, Set<string>>} values The indexed children holding
+ * every serialized value
+ */
+
+/**
+ * @typedef FSDBIndexConflict A value held by more than one child of a unique
+ * index
+ * @property {FSDBIndex} index The violated index
+ * @property {string} key The child already holding the value
+ * @property {string} value The serialized value
+ */
+
+/**
+ * @typedef FSDBSchema A schema values have to match, using a subset of JSON
+ * Schema
+ * @property {(FSDBSchemaType | FSDBSchemaType[])=} type The allowed type(s)
+ * @property {unknown[]=} enum The allowed values
+ * @property {number=} minimum The smallest allowed number
+ * @property {number=} maximum The largest allowed number
+ * @property {number=} minLength The minimum length of a string
+ * @property {number=} maxLength The maximum length of a string
+ * @property {string=} pattern The regular expression strings have to match
+ * @property {number=} minItems The minimum length of an array
+ * @property {number=} maxItems The maximum length of an array
+ * @property {FSDBSchema=} items The schema of the items of an array
+ * @property {Record<string, FSDBSchema>=} properties The schemas of the
+ * properties of an object
+ * @property {string[]=} required The properties an object must have
+ * @property {(boolean | FSDBSchema)=} additionalProperties Whether properties
+ * without a schema are allowed, or the schema they have to match
+ */
+
+/**
+ * @typedef {"string" | "number" | "integer" | "boolean" | "object" | "array" | "null"} FSDBSchemaType
+ * The types a schema can require
+ */
+
+/**
+ * @typedef FSDBSchemaViolation A value that doesn't match its schema
+ * @property {string} key The key of the value, in dot-notation
+ * @property {string} rule The schema keyword that failed (e.g. "type")
+ * @property {string} message A description of the failure
+ */
+
+/**
+ * @typedef FSDBEncryption The state of an encrypted database
+ * @property {string | Buffer} passphrase The passphrase the keys are derived
+ * from
+ * @property {string} salt The salt used for the key of new writes (base64)
+ * @property {Map<string, Buffer>} keys The keys derived so far, by salt
+ */
+
+/**
+ * @typedef FSDBEncryptedContent Encrypted content, as stored in the database
+ * file or a line of its journal
+ * @property {"aes-256-gcm"} cipher The cipher used
+ * @property {"scrypt"} kdf The function used to derive the key
+ * @property {string} salt The salt the key was derived with (base64)
+ * @property {string} iv The initialization vector (base64)
+ * @property {string} tag The authentication tag (base64)
+ * @property {string} check A value identifying the key, so a wrong key can be
+ * told apart from corrupted content (base64)
+ * @property {string} data The encrypted content (base64)
+ */
+
+/**
+ * @typedef FSDBType A type preserved by the typed encoding
+ * @property {(value: unknown) => boolean} test Checks whether a value is of
+ * the type
+ * @property {(value: any) => unknown} encode Converts a value of the type into
+ * a value that can be stored, which is encoded itself
+ * @property {(value: any) => unknown} decode Converts a stored value back into
+ * a value of the type
+ */
+
+/**
+ * @typedef FSDBCustomType A custom class preserved by the typed encoding
+ * @property {new (...args: any[]) => unknown} type The class
+ * @property {(value: any) => unknown} encode Converts an instance into a value
+ * that can be stored, which may contain other typed values
+ * @property {(value: any) => unknown} decode Converts a stored value back into
+ * an instance
+ */
+
+/**
+ * @typedef FSDBOptions The options for an FSDB instance
+ * @property {boolean=} compact Whether or not to store the database contents in
+ * a compact format (defaults to "true")
+ * @property {FSDBDurability=} durability How thoroughly writes are flushed to
+ * disk before they replace the database file (defaults to "file")
+ * @property {boolean=} cache Whether or not to keep the parsed contents in
+ * memory, only reading the file again once it has changed on disk (defaults
+ * to "true")
+ * @property {boolean | FSDBLockOptions=} lock Whether or not to guard writes
+ * with a lockfile, so multiple processes can safely share the database
+ * (defaults to "true")
+ * @property {boolean | FSDBJournalOptions=} journal Whether or not to record
+ * changes to single keys in an append-only journal instead of rewriting the
+ * whole database file (defaults to "false")
+ * @property {boolean | FSDBShardOptions=} shards Whether or not to store the
+ * database as a directory of files, one per top-level key or bucket of keys,
+ * so a write only rewrites the files it changes (defaults to "false")
+ * @property {boolean | FSDBHistoryOptions=} history Whether or not to keep
+ * the previous states of the database, so changes can be undone with
+ * {@link FSDB#undo} (defaults to "false")
+ * @property {boolean=} initializeArrays Whether or not pushing, unshifting,
+ * inserting or adding to a set on a key that doesn't exist yet creates the
+ * array instead of throwing (defaults to "false")
+ * @property {boolean=} typed Whether or not to preserve the types of values
+ * JSON can't represent, i.e. Dates, BigInts, Maps, Sets, Buffers and the types
+ * registered with {@link FSDB#registerType} (defaults to "false")
+ * @property {("json" | "ndjson" | "v8" | FSDBSerializer)=} serializer The
+ * storage format of the database file (defaults to "json")
+ * @property {FSDBCompression=} compression How to compress the database file
+ * (defaults to "none"). Compressed files are detected when reading regardless
+ * of this option
+ * @property {(string | Buffer)=} encryptionKey The passphrase to encrypt the
+ * database file, its journal and backups with (AES-256-GCM), or nothing to
+ * store them as plain JSON
+ * @property {number=} watchInterval How often to check the database file for
+ * changes made outside of this instance while there are listeners for change
+ * events (in milliseconds, defaults to "1000")
+ */
+
+/**
+ * @typedef FSDBLockOptions The options for locking the database file
+ * @property {number=} timeout How long to wait for the lock before giving up
+ * (in milliseconds, defaults to "5000")
+ * @property {number=} stale How old a lock has to be before it is considered
+ * abandoned and taken over (in milliseconds, defaults to "10000")
+ */
+
+/**
+ * @typedef FSDBBackupOptions The options for a backup
+ * @property {(boolean | FSDBCompression)=} compress Whether or how to compress
+ * the backup. `true` uses the compression of the database, or gzip if it
+ * isn't compressed (defaults to the compression of the database)
+ * @property {string=} dir The directory to store timestamped backups in, when
+ * no path is provided (defaults to "backups" next to the database)
+ * @property {number=} keep How many of the newest timestamped backups to keep,
+ * deleting older ones (defaults to keeping all of them)
+ */
+
+/**
+ * @typedef {FSDBBackupOptions & { interval: number }} FSDBBackupSchedule
+ * The options for automatic backups, which are timestamped backups made every
+ * `interval` milliseconds
+ */
+
+/**
+ * @typedef {"csv" | "json" | "ndjson"} FSDBExportFormat The format of an
+ * export. `"csv"` has a row for every nested key with its value, `"ndjson"` a
+ * line with the `key` and `value` of every nested key, and `"json"` holds the
+ * data as it is stored
+ */
+
+/**
+ * @typedef FSDBExportOptions The options for exporting the database
+ * @property {FSDBExportFormat=} format The format of the file (defaults to the
+ * format matching the extension of the path, or "json")
+ * @property {FSDBKey=} prefix Only export the keys starting with this prefix
+ */
+
+/**
+ * @typedef FSDBImportOptions The options for importing into the database
+ * @property {FSDBExportFormat=} format The format of the file (defaults to the
+ * format matching the extension of the path, or "json")
+ * @property {("merge" | "replace")=} mode Whether to merge the imported data
+ * into the database, replacing only the keys it contains, or to replace all
+ * data (defaults to "merge")
+ */
+
+/**
+ * @typedef FSDBBackup A timestamped backup of the database
+ * @property {string} path The path to the backup
+ * @property {Date} date When the backup was made
+ * @property {number} size The size of the backup in bytes
+ */
+
+/**
+ * @typedef FSDBJournalOptions The options for journaling changes
+ * @property {number=} threshold How large the journal may grow before it is
+ * compacted into the database file (in bytes, defaults to "1048576")
+ */
+
+/**
+ * @typedef FSDBShardOptions The options for storing the database as shards
+ * @property {number=} buckets How many files the top-level keys are spread
+ * across by their hash. Without it, every top-level key gets its own file
+ */
+
+/**
+ * @typedef FSDBShard A file of a sharded database, as last read or written
+ * @property {string} stamp The stamp of the file (see {@link toFileStamp})
+ * @property {Record<string, any>} data The top-level keys stored in the file
+ * @property {Buffer} fingerprint The serialized data, to find out whether the
+ * file has to be written again
+ */
+
+/**
+ * @typedef FSDBShardCommit A write to several files of a sharded database.
+ * The new files are written next to their targets first and only moved in
+ * place once the commit listing them is written, so the write can be
+ * completed if it is interrupted, and readers can see the new files already
+ * @property {string} stamp The stamp of the commit file (see
+ * {@link toFileStamp})
+ * @property {Record<string, string>} write The names of the temporary files
+ * by the names of the files they replace
+ * @property {string[]} remove The names of the files to remove
+ */
+
+/**
+ * @typedef FSDBHistoryOptions The options for keeping the history of changes
+ * @property {number=} depth How many changes can be undone (defaults to "10")
+ * @property {number=} maxSize How large the states kept for undoing and
+ * redoing changes may grow on disk, dropping the oldest ones beyond it (in
+ * bytes, defaults to no limit)
+ */
+
+/**
+ * @typedef FSDBHistoryEntry A state of the database kept in its history
+ * @property {string} path The path to the file holding the state
+ * @property {number} sequence The position of the state in the history
+ * @property {number} size The size of the file in bytes
+ */
+
+/**
+ * @typedef FSDBHistory The states of the database kept in its history
+ * @property {FSDBHistoryEntry[]} undo The states to undo changes with, oldest
+ * first
+ * @property {FSDBHistoryEntry[]} redo The states to redo undone changes with,
+ * oldest first
+ */
+
+/**
+ * @typedef {{ data: Record<string, any> }} FSDBPendingState A state of the
+ * database that hasn't been written to its history yet
+ */
+
+/**
+ * @typedef FSDBPendingHistory The states to keep in the history of the
+ * database, including the ones that haven't been written yet
+ * @property {(FSDBHistoryEntry | FSDBPendingState)[]} undo The states to undo
+ * changes with, oldest first
+ * @property {(FSDBHistoryEntry | FSDBPendingState)[]} redo The states to redo
+ * undone changes with, oldest first
+ */
+
+/**
+ * @typedef FSDBHistoryPlan The changes to the files of the history
+ * @property {{ path: string, content: string | Buffer }[]} write The files to
+ * write
+ * @property {string[]} remove The files to remove
+ */
+
+/**
+ * Resolves the path to a database file
+ * @param {string} path The path to the file
+ * @param {string} [extension] The extension given to the path if it doesn't
+ * have one already
+ * @return {string} The resolved path to the file
+ */
+function toDatabasePath(path, extension) {
+  const filepath = resolve(path);
+  return extension && !extname(filepath) ? `${filepath}${extension}` : filepath;
+}
+
+/**
+ * Resolves the path to a database file, creating its directory
  * @param {string} path The path to the file
- * @param {string} [content="{}"] The content to write to the file
+ * @param {string} [extension] The extension given to the path if it doesn't
+ * have one already
  * @return {string} The resolved path to the file
  */
-function createJsonFile(path, content = "{}") {
-  const { dir, name } = parse(resolve(path));
-  if (dir) mkdirSync(dir, { recursive: true });
+function resolveDatabasePath(path, extension) {
+  const filepath = toDatabasePath(path, extension);
+  mkdirSync(dirname(filepath), { recursive: true });
+  return filepath;
+}
 
-  const filepath = join(dir, `${name}.json`);
+/**
+ * Create a new database file, unless it already exists
+ * @param {string} path The path to the file
+ * @param {string | Buffer} content The content to write to the file
+ * @param {string} [extension] The extension given to the path if it doesn't
+ * have one already
+ * @return {string} The resolved path to the file
+ */
+function createDatabaseFile(path, content, extension) {
+  const filepath = resolveDatabasePath(path, extension);
   if (!existsSync(filepath)) writeFileSync(filepath, content, "utf8");
   return filepath;
 }
 
 /**
- * Iterates over the provided key potentially in dot-notation
- * @param {string} key The key to iterate over
- * @yields {{ currentKey: string, isLast?: boolean }} A tuple of the current key
- * and whether the next key is the last key
+ * Creates the path to a new timestamped backup of a database, e.g.
+ * `db-2024-01-31T12-00-00-000Z.json`. Backups made within the same
+ * millisecond are numbered
+ * @param {string} dir The directory of the backups
+ * @param {string} path The path to the database
+ * @param {string[]} filenames The names of the files already in the directory
+ * @returns {string} The path to the backup
  */
-function* iterateKey(key) {
-  if (key.includes(".")) {
-    const iterator = key.split(".")[Symbol.iterator]();
-    let [current, next] = [iterator.next(), iterator.next()];
+function createBackupPath(dir, path, filenames) {
+  const { name, ext } = parse(path);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const existing = new Set(filenames);
 
-    while (!current.done) {
-      yield { currentKey: current.value, isLast: next.done };
-      [current, next] = [next, iterator.next()];
-    }
-  } else {
-    yield { currentKey: key, isLast: true };
+  let filename = `${name}-${timestamp}${ext}`;
+  for (let count = 1; existing.has(filename); count++)
+    filename = `${name}-${timestamp}-${count}${ext}`;
+  return join(dir, filename);
+}
+
+/**
+ * Parses the file name of a timestamped backup of a database
+ * @param {string} filename The name of the file
+ * @param {string} path The path to the database
+ * @returns {{ date: Date, count: number } | null} When the backup was made,
+ * or `null` if the file isn't a backup of the database
+ * @see {@link createBackupPath}
+ */
+function parseBackupName(filename, path) {
+  const { name, ext } = parse(path);
+  if (!filename.startsWith(`${name}-`) || !filename.endsWith(ext)) return null;
+
+  const match = filename
+    .slice(name.length + 1, filename.length - ext.length)
+    .match(/^(\d{4}-\d\d-\d\dT\d\d)-(\d\d)-(\d\d)-(\d{3}Z)(?:-(\d+))?$/);
+  if (!match) return null;
+
+  const [, hour, minutes, seconds, millis, count = "0"] = match;
+  const date = new Date(`${hour}:${minutes}:${seconds}.${millis}`);
+  return isNaN(date.getTime()) ? null : { date, count: Number(count) };
+}
+
+/**
+ * Sorts the timestamped backups of a database, newest first
+ * @param {(FSDBBackup & { count: number })[]} backups The backups, numbered
+ * by when they were made within the same millisecond
+ * @returns {FSDBBackup[]} The sorted backups
+ */
+function sortBackups(backups) {
+  return backups
+    .sort((a, b) => b.date.getTime() - a.date.getTime() || b.count - a.count)
+    .map(({ path, date, size }) => ({ path, date, size }));
+}
+
+/**
+ * Retrieves the format of a file to import or export
+ * @param {string} path The path to the file
+ * @param {unknown} format The format passed by the caller, if any
+ * @returns {FSDBExportFormat | null} The format, or `null` if it is unknown
+ */
+function getExportFormat(path, format) {
+  if (format === undefined) {
+    const extension = extname(path).slice(1).toLowerCase();
+    return extension === "csv" || extension === "ndjson" ? extension : "json";
   }
+  return format === "csv" || format === "json" || format === "ndjson"
+    ? format
+    : null;
 }
 
 /**
- * Flattens a provided object into a single level object
- * @param {Record<string, any>} object The object to flatten
- * @returns {Record<string, any>} The flattened object
+ * Validates migrations and sorts them by their versions
+ * @param {FSDBMigration[]} migrations The migrations to validate
+ * @param {(message: string) => FSDBError} createError Creates the error thrown
+ * for invalid migrations
+ * @returns {FSDBMigration[]} The migrations, in the order they run
+ * @throws {FSDBError} If invalid migrations were provided
  */
-function flattenObject(object) {
-  /** @type {typeof object} */
-  const result = {};
+function sortMigrations(migrations, createError) {
+  if (!Array.isArray(migrations))
+    throw createError("Migrations must be an array.");
 
-  for (const [currentKey, currentValue] of Object.entries(object)) {
-    if (typeof currentValue === "object" && currentValue !== null) {
-      Object.entries(flattenObject(currentValue)).forEach(([key, value]) => {
-        result[`${currentKey}.${key}`] = value;
-      });
+  for (const migration of migrations) {
+    const { version, up } = migration ?? {};
+    if (!Number.isInteger(version) || version < 1)
+      throw createError("Versions must be positive integers.");
+    if (typeof up !== "function")
+      throw createError(`Migration ${version} has no "up" function.`);
+  }
+
+  const versions = new Set(migrations.map(({ version }) => version));
+  if (versions.size !== migrations.length)
+    throw createError("Versions must be unique.");
+  return [...migrations].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Validates the path and options of an import
+ * @param {string} path The path to the file
+ * @param {FSDBImportOptions} options The format of the file, and whether to
+ * merge or replace the data
+ * @param {(message: string) => FSDBError} createError Creates the error thrown
+ * for invalid options
+ * @returns {{ format: FSDBExportFormat, mode: "merge" | "replace" }} The
+ * format of the file and the mode of the import
+ * @throws {FSDBError} If no path or invalid options were provided
+ */
+function parseImportOptions(path, options, createError) {
+  if (!path) throw createError("No path provided.");
+
+  const { mode = "merge" } = options;
+  const format = getExportFormat(path, options.format);
+  if (!format) throw createError("Unknown format.");
+  if (mode !== "merge" && mode !== "replace")
+    throw createError('Mode must be "merge" or "replace".');
+  return { format, mode };
+}
+
+/**
+ * Converts rows of cells into CSV, quoting the cells where necessary
+ * @param {string[][]} rows The rows to convert
+ * @returns {string} The CSV content
+ */
+function stringifyCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) =>
+          /[",\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell,
+        )
+        .join(","),
+    )
+    .map((line) => `${line}\n`)
+    .join("");
+}
+
+/**
+ * Parses CSV into rows of cells, skipping empty lines
+ * @param {string} content The CSV content
+ * @returns {string[][] | null} The rows, or `null` if a quoted cell isn't
+ * closed
+ */
+function parseCsv(content) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (content[i + 1] === '"') cell += content[++i];
+      else quoted = false;
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
     } else {
-      result[currentKey] = currentValue;
+      cell += char;
     }
   }
 
-  return result;
+  if (quoted) return null;
+  rows.push([...row, cell]);
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== "");
 }
 
-/** A custom error class for handling errors within an FSDB instance */
-class FSDBError extends Error {
-  /**
-   * Create a new FSDBError instance
-   * @param {object} options The options for the error
-   * @param {string} options.message The error message
-   * @param {string} options.method The method that threw the error
-   * @param {unknown=} options.cause The cause of the error
-   */
-  constructor({ message, method, cause }) {
-    super(message);
-    this.name = "FSDBError";
-    this.message = `${message}\nNeed Help? Join Our Discord Server at https://discord.gg/P2g24jp`;
-    this.method = `FSDB#${method}()`;
-    this.cause = cause;
+/**
+ * Parses a cell of an imported CSV file as JSON, which is how values are
+ * exported, falling back to the text itself for cells written by hand
+ * @param {string} cell The cell to parse
+ * @returns {any} The value of the cell
+ */
+function parseCsvValue(cell) {
+  try {
+    return JSON.parse(cell);
+  } catch {
+    return cell;
   }
 }
 
 /**
- * Safely executes a given function and handles any errors as an "FSDBError"
- * @template T The return type of the function
- * @param {string} method The name of the method that called this function
- * @param {(errorCallback: (message: string, cause?: *) => FSDBError) => T} fn
- * The function to execute
- * @returns {T} The return value of the function
- * @throws {FSDBError} If the function throws an error
+ * Encodes a top-level key as the name of the file of a sharded database
+ * holding it. Every character except lower case letters, digits, `-` and `_`
+ * is percent-encoded, so keys only differing in case can't share a file on
+ * case-insensitive file systems, and no name starts with a dot
+ * @param {string} key The top-level key
+ * @returns {string} The name of the file, without its extension
  */
-function executeSafely(method, fn) {
+function encodeShardName(key) {
+  return key.replace(/[^a-z0-9_-]+/g, (chars) =>
+    Array.from(
+      Buffer.from(chars),
+      (byte) => `%${byte.toString(16).toUpperCase().padStart(2, "0")}`,
+    ).join(""),
+  );
+}
+
+/**
+ * Create the directory of a sharded database, unless it already exists
+ * @param {string} path The path to the directory
+ * @return {string} The resolved path to the directory
+ * @throws {Error} If the path exists, but isn't a directory
+ */
+function createDatabaseDirectory(path) {
+  const dirpath = resolve(path);
+  mkdirSync(dirpath, { recursive: true });
+  if (!statSync(dirpath).isDirectory())
+    throw new Error(`"${dirpath}" is not a directory.`);
+  return dirpath;
+}
+
+/**
+ * Creates a unique path next to the provided one, e.g. for temporary files
+ * @param {string} path The path to create a sibling of
+ * @param {string} extension The extension of the new path
+ * @returns {string} The unique path
+ */
+function createSiblingPath(path, extension) {
+  return `${path}.${process.pid}-${randomBytes(6).toString("hex")}.${extension}`;
+}
+
+/**
+ * Writes the contents of a new file, which must not exist yet
+ * @param {string} path The path to the file
+ * @param {string | Buffer} content The content to write to the file
+ * @param {FSDBDurability} durability How thoroughly the write is flushed to
+ * disk
+ * @returns {string} The stamp of the written file (see {@link toFileStamp})
+ */
+function writeNewFile(path, content, durability) {
+  const fd = openSync(path, "wx");
   try {
-    return fn((message, cause) => {
-      return new FSDBError({
-        message: `Failed to perform "${method}" operation. ${message}`,
-        method,
-        cause,
-      });
-    });
-  } catch (error) {
-    throw new FSDBError({
-      message: "Failed to perform internal operation.",
-      method,
-      cause: error,
-    });
+    writeFileSync(fd, content, "utf8");
+    if (durability !== "none") fsyncSync(fd);
+    return toFileStamp(fstatSync(fd, { bigint: true }));
+  } finally {
+    closeSync(fd);
   }
 }
 
 /**
- * A simple, file-based database
- * @see {@link https://github.com/WillTDA/File-System-DB#readme}
+ * Asynchronously writes the contents of a new file, which must not exist yet
+ * @param {string} path The path to the file
+ * @param {string | Buffer} content The content to write to the file
+ * @param {FSDBDurability} durability How thoroughly the write is flushed to
+ * disk
+ * @returns {Promise<string>} The stamp of the written file
+ * @see {@link writeNewFile}
  */
-class FSDB {
-  /**
-   * Create a new FSDB database
-   * @param {string} [path="database.json"] You can specify a path to a file
+async function writeNewFileAsync(path, content, durability) {
+  const handle = await open(path, "wx");
+  try {
+    await handle.writeFile(content, "utf8");
+    if (durability !== "none") await handle.sync();
+    return toFileStamp(await handle.stat({ bigint: true }));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Flushes the entries of a directory to disk, so renames within it survive a
+ * crash, if the durability asks for it
+ * @param {string} path The path to the directory
+ * @param {FSDBDurability} durability How thoroughly writes are flushed to disk
+ */
+function syncDirectory(path, durability) {
+  // directories cannot be opened for syncing on Windows
+  if (durability !== "full" || process.platform === "win32") return;
+  const fd = openSync(path, "r");
+  try {
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Asynchronously flushes the entries of a directory to disk
+ * @param {string} path The path to the directory
+ * @param {FSDBDurability} durability How thoroughly writes are flushed to disk
+ * @returns {Promise<void>}
+ * @see {@link syncDirectory}
+ */
+async function syncDirectoryAsync(path, durability) {
+  if (durability !== "full" || process.platform === "win32") return;
+  const handle = await open(path, "r");
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Atomically replace the contents of a file. The content is written to a
+ * temporary file next to the target, which is then renamed over it, so the
+ * target only ever holds either the old or the new content
+ * @param {string} path The path to the file
+ * @param {string | Buffer} content The content to write to the file
+ * @param {FSDBDurability} [durability="file"] How thoroughly the write is
+ * flushed to disk
+ * @returns {string} The stamp of the written file (see {@link toFileStamp})
+ */
+function writeFileAtomic(path, content, durability = "file") {
+  const tempPath = createSiblingPath(path, "tmp");
+  let stamp;
+
+  try {
+    // taken before the rename so a concurrent writer can't be mistaken for us
+    stamp = writeNewFile(tempPath, content, durability);
+    renameSync(tempPath, path);
+  } catch (error) {
+    rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  syncDirectory(dirname(path), durability);
+  return stamp;
+}
+
+/**
+ * Asynchronously and atomically replace the contents of a file
+ * @param {string} path The path to the file
+ * @param {string | Buffer} content The content to write to the file
+ * @param {FSDBDurability} [durability="file"] How thoroughly the write is
+ * flushed to disk
+ * @returns {Promise<string>} The stamp of the written file
+ * @see {@link writeFileAtomic}
+ */
+async function writeFileAtomicAsync(path, content, durability = "file") {
+  const tempPath = createSiblingPath(path, "tmp");
+  let stamp;
+
+  try {
+    stamp = await writeNewFileAsync(tempPath, content, durability);
+    await rename(tempPath, path);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+
+  await syncDirectoryAsync(dirname(path), durability);
+  return stamp;
+}
+
+/**
+ * Converts file stats into a stamp that changes whenever the file is replaced
+ * or modified
+ * @param {import("fs").BigIntStats} stats The stats of the file
+ * @returns {string} The stamp of the file
+ */
+function toFileStamp({ ino, size, mtimeNs }) {
+  return `${ino}:${size}:${mtimeNs}`;
+}
+
+/**
+ * Combines the stats of the database file and its journal into a stamp that
+ * changes whenever either of them does
+ * @param {import("fs").BigIntStats} stats The stats of the database file
+ * @param {import("fs").BigIntStats | null} journalStats The stats of the
+ * journal, or `null` if there is none
+ * @returns {string} The stamp of the database
+ */
+function toDatabaseStamp(stats, journalStats) {
+  return `${toFileStamp(stats)}|${journalStats ? toFileStamp(journalStats) : ""}`;
+}
+
+/**
+ * Opens a file for reading, unless it doesn't exist
+ * @param {string} path The path to the file
+ * @returns {number | null} The file descriptor, or `null` if there is no file
+ */
+function openIfExists(path) {
+  try {
+    return openSync(path, "r");
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT")
+      return null;
+    throw error;
+  }
+}
+
+/**
+ * Asynchronously opens a file for reading, unless it doesn't exist
+ * @param {string} path The path to the file
+ * @returns {Promise<import("fs/promises").FileHandle | null>} The file handle,
+ * or `null` if there is no file
+ */
+async function openIfExistsAsync(path) {
+  try {
+    return await open(path, "r");
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT")
+      return null;
+    throw error;
+  }
+}
+
+/**
+ * Asynchronously reads a file, unless it doesn't exist
+ * @param {string} path The path to the file
+ * @returns {Promise<Buffer | null>} The content of the file, or `null` if
+ * there is no file
+ */
+async function readFileIfExistsAsync(path) {
+  const handle = await openIfExistsAsync(path);
+  if (!handle) return null;
+  try {
+    return await handle.readFile();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Applies the changes recorded in a journal to the data of the database file.
+ * The first line of a journal names the inode of the database file it was
+ * started for, so a journal left behind by an interrupted compaction is
+ * ignored once the database file has been replaced
+ * @param {Record<string, any>} data The data of the database file
+ * @param {string} content The contents of the journal
+ * @param {bigint} ino The inode of the database file
+ * @param {(record: unknown) => FSDBChange[]} decode Converts a parsed line
+ * into the changes it records
+ */
+function replayJournal(data, content, ino, decode) {
+  const lines = content.split("\n");
+  // the last line is either empty or was cut off by an interrupted write
+  lines.pop();
+
+  const header = lines.shift();
+  if (!header || JSON.parse(header).snapshot !== String(ino)) return;
+
+  for (const line of lines) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // cut off by an interrupted write, see `createJournalContent()`
+      continue;
+    }
+
+    applyChanges(data, decode(record));
+  }
+}
+
+/**
+ * Creates the content to append to a journal, starting it with a header if
+ * the journal is still empty (see {@link replayJournal})
+ * @param {string[]} records The records to append
+ * @param {import("fs").BigIntStats} stats The stats of the database file
+ * @param {string | null} lastChar The last character of the journal, or
+ * `null` if it is empty
+ * @returns {string} The content to append
+ */
+function createJournalContent(records, stats, lastChar) {
+  const content = records.map((line) => `${line}\n`).join("");
+  if (lastChar === null)
+    return `${JSON.stringify({ snapshot: String(stats.ino) })}\n${content}`;
+
+  // a line cut off by an interrupted write mustn't swallow the next record
+  return lastChar === "\n" ? content : `\n${content}`;
+}
+
+/**
+ * Appends records to the journal of a database file
+ * @param {string} journalPath The path to the journal
+ * @param {string} path The path to the database file
+ * @param {string[]} records The records to append
+ * @param {FSDBDurability} durability How thoroughly the write is flushed to
+ * disk
+ * @returns {{ stamp: string, size: number }} The stamp of the database (see
+ * {@link toDatabaseStamp}) and the new size of the journal
+ */
+function appendJournal(journalPath, path, records, durability) {
+  const stats = statSync(path, { bigint: true });
+  const fd = openSync(journalPath, "a+");
+
+  try {
+    const { size } = fstatSync(fd);
+    const lastChar = Buffer.alloc(1);
+    if (size > 0) readSync(fd, lastChar, 0, 1, size - 1);
+
+    const content = createJournalContent(
+      records,
+      stats,
+      size > 0 ? lastChar.toString("utf8") : null,
+    );
+    writeFileSync(fd, content, "utf8");
+    if (durability !== "none") fsyncSync(fd);
+
+    const journalStats = fstatSync(fd, { bigint: true });
+    const stamp = toDatabaseStamp(stats, journalStats);
+    return { stamp, size: Number(journalStats.size) };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Asynchronously appends records to the journal of a database file
+ * @param {string} journalPath The path to the journal
+ * @param {string} path The path to the database file
+ * @param {string[]} records The records to append
+ * @param {FSDBDurability} durability How thoroughly the write is flushed to
+ * disk
+ * @returns {Promise<{ stamp: string, size: number }>} The stamp of the
+ * database and the new size of the journal
+ * @see {@link appendJournal}
+ */
+async function appendJournalAsync(journalPath, path, records, durability) {
+  const stats = await stat(path, { bigint: true });
+  const handle = await open(journalPath, "a+");
+
+  try {
+    const { size } = await handle.stat();
+    const lastChar = Buffer.alloc(1);
+    if (size > 0) await handle.read(lastChar, 0, 1, size - 1);
+
+    const content = createJournalContent(
+      records,
+      stats,
+      size > 0 ? lastChar.toString("utf8") : null,
+    );
+    await handle.writeFile(content, "utf8");
+    if (durability !== "none") await handle.sync();
+
+    const journalStats = await handle.stat({ bigint: true });
+    const stamp = toDatabaseStamp(stats, journalStats);
+    return { stamp, size: Number(journalStats.size) };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Blocks the current thread for the provided duration
+ * @param {number} ms The duration to sleep for (in milliseconds)
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a lockfile has been abandoned. Locks created on this machine
+ * are abandoned once the process that created them no longer exists, while for
+ * others only the age of the lockfile can tell
+ * @param {string} content The content of the lockfile
+ * @param {number} mtimeMs When the lockfile was last modified
+ * @param {number} stale How old the lockfile may be (in milliseconds)
+ * @returns {boolean} Whether the lockfile is stale
+ */
+function isLockAbandoned(content, mtimeMs, stale) {
+  /** @type {{ pid: number, hostname: string } | null} */
+  let owner = null;
+  try {
+    owner = JSON.parse(content);
+  } catch {
+    // the owner hasn't been written (yet)
+  }
+
+  if (owner?.hostname !== hostname()) return Date.now() - mtimeMs > stale;
+
+  try {
+    // a lock held by a live process is never stale, however long it takes
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    return /** @type {NodeJS.ErrnoException} */ (error).code === "ESRCH";
+  }
+}
+
+/**
+ * Checks whether an existing lockfile has been abandoned
+ * @param {string} lockPath The path to the lockfile
+ * @param {number} stale How old the lockfile may be (in milliseconds)
+ * @returns {boolean} Whether the lockfile is stale
+ * @see {@link isLockAbandoned}
+ */
+function isLockStale(lockPath, stale) {
+  try {
+    const { mtimeMs } = statSync(lockPath);
+    return isLockAbandoned(readFileSync(lockPath, "utf8"), mtimeMs, stale);
+  } catch {
+    // the lock was released in the meantime
+    return false;
+  }
+}
+
+/**
+ * Asynchronously checks whether an existing lockfile has been abandoned
+ * @param {string} lockPath The path to the lockfile
+ * @param {number} stale How old the lockfile may be (in milliseconds)
+ * @returns {Promise<boolean>} Whether the lockfile is stale
+ * @see {@link isLockAbandoned}
+ */
+async function isLockStaleAsync(lockPath, stale) {
+  try {
+    const { mtimeMs } = await stat(lockPath);
+    return isLockAbandoned(await readFile(lockPath, "utf8"), mtimeMs, stale);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keeps touching a lockfile while it is held, so processes on other machines
+ * don't consider it stale during long operations
+ * @param {string} lockPath The path to the lockfile
+ * @param {number} stale How old the lockfile may be (in milliseconds)
+ * @returns {NodeJS.Timeout} The timer, to be cleared once the lock is released
+ */
+function refreshLockFile(lockPath, stale) {
+  const timer = setInterval(
+    () => {
+      const now = new Date();
+      utimes(lockPath, now, now).catch(() => {});
+    },
+    Math.max(stale / 2, LOCK_RETRY_INTERVAL),
+  );
+  return timer.unref();
+}
+
+/**
+ * Attempts to create a lockfile, taking it over if it has been abandoned
+ * @param {string} lockPath The path to the lockfile
+ * @param {number} stale How old an existing lockfile may be (in milliseconds)
+ * @returns {boolean} Whether the lock was acquired
+ */
+function tryAcquireLockFile(lockPath, stale) {
+  const create = () => {
+    try {
+      const fd = openSync(lockPath, "wx");
+      try {
+        const owner = { pid: process.pid, hostname: hostname() };
+        writeFileSync(fd, JSON.stringify(owner));
+      } finally {
+        closeSync(fd);
+      }
+      return true;
+    } catch (error) {
+      if (/** @type {NodeJS.ErrnoException} */ (error).code === "EEXIST")
+        return false;
+      throw error;
+    }
+  };
+
+  if (create()) return true;
+  if (!isLockStale(lockPath, stale)) return false;
+
+  // renaming first ensures only one process gets to remove a stale lock
+  const stalePath = createSiblingPath(lockPath, "stale");
+  try {
+    renameSync(lockPath, stalePath);
+    rmSync(stalePath, { force: true });
+  } catch {
+    // another process has already taken care of it
+  }
+
+  return create();
+}
+
+/**
+ * Asynchronously attempts to create a lockfile, taking it over if it has been
+ * abandoned
+ * @param {string} lockPath The path to the lockfile
+ * @param {number} stale How old an existing lockfile may be (in milliseconds)
+ * @returns {Promise<boolean>} Whether the lock was acquired
+ * @see {@link tryAcquireLockFile}
+ */
+async function tryAcquireLockFileAsync(lockPath, stale) {
+  const create = async () => {
+    try {
+      const handle = await open(lockPath, "wx");
+      try {
+        const owner = { pid: process.pid, hostname: hostname() };
+        await handle.writeFile(JSON.stringify(owner));
+      } finally {
+        await handle.close();
+      }
+      return true;
+    } catch (error) {
+      if (/** @type {NodeJS.ErrnoException} */ (error).code === "EEXIST")
+        return false;
+      throw error;
+    }
+  };
+
+  if (await create()) return true;
+  if (!(await isLockStaleAsync(lockPath, stale))) return false;
+
+  const stalePath = createSiblingPath(lockPath, "stale");
+  try {
+    await rename(lockPath, stalePath);
+    await rm(stalePath, { force: true });
+  } catch {
+    // another process has already taken care of it
+  }
+
+  return create();
+}
+
+/**
+ * Acquires a lockfile, waiting for other processes to release it first
+ * @param {string} lockPath The path to the lockfile
+ * @param {Required<FSDBLockOptions>} options The options for locking
+ * @returns {boolean} Whether the lock was acquired before timing out
+ */
+function acquireLockFile(lockPath, { timeout, stale }) {
+  const deadline = Date.now() + timeout;
+
+  while (!tryAcquireLockFile(lockPath, stale)) {
+    if (Date.now() >= deadline) return false;
+    sleepSync(LOCK_RETRY_INTERVAL);
+  }
+
+  return true;
+}
+
+/**
+ * Asynchronously acquires a lockfile, waiting for other processes to release
+ * it first
+ * @param {string} lockPath The path to the lockfile
+ * @param {Required<FSDBLockOptions>} options The options for locking
+ * @returns {Promise<boolean>} Whether the lock was acquired before timing out
+ */
+async function acquireLockFileAsync(lockPath, { timeout, stale }) {
+  const deadline = Date.now() + timeout;
+
+  while (!(await tryAcquireLockFileAsync(lockPath, stale))) {
+    if (Date.now() >= deadline) return false;
+    await sleep(LOCK_RETRY_INTERVAL);
+  }
+
+  return true;
+}
+
+/**
+ * Parses the end of a bracket segment, that is a bracket index (`[0]`) or a
+ * quoted key (`["a.b"]` or `['a.b']`)
+ * @param {string} key The key in dot-notation
+ * @param {number} start The position of the opening bracket
+ * @returns {{ segment: string | number, end: number } | null} The segment,
+ * which is a number for bracket indices, and the position after the closing
+ * bracket, or `null` if the bracket doesn't start a segment
+ */
+function parseBracket(key, start) {
+  const quote = key[start + 1];
+  if (quote !== '"' && quote !== "'") {
+    const [bracket] = key.slice(start).match(/^\[\d+\]/) ?? [];
+    if (!bracket) return null;
+
+    const index = Number(bracket.slice(1, -1));
+    // indices too large to be array indices are kept as keys
+    const segment = Number.isSafeInteger(index) ? index : bracket.slice(1, -1);
+    return { segment, end: start + bracket.length };
+  }
+
+  let end = start + 2;
+  while (end < key.length && key[end] !== quote)
+    end += key[end] === "\\" ? 2 : 1;
+  if (key[end + 1] !== "]") return null;
+
+  const quoted = key.slice(start + 2, end);
+  if (quote === "'")
+    return { segment: quoted.replace(/\\(.)/g, "$1"), end: end + 2 };
+
+  try {
+    return { segment: JSON.parse(`"${quoted}"`), end: end + 2 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits a key into its segments. Segments are separated by dots, or written
+ * as a bracket index (`items[0]`) or quoted key (`users["a.b@x.com"]`), while
+ * a backslash escapes the next character (`version.1\.2`). Brackets that
+ * don't form a segment are kept as they are. Bracket indices are returned as
+ * numbers, so they can be told apart from keys that only consist of digits
+ * (`users.123`)
+ * @param {FSDBKey} key The key in dot-notation, or its segments
+ * @returns {(string | number)[]} The segments of the key
+ * @throws {UnsafeKeyError} If a segment is one of {@link UNSAFE_KEYS}
+ */
+function parseKey(key) {
+  const segments = Array.isArray(key)
+    ? key.map((segment) =>
+        typeof segment === "number" ? segment : String(segment),
+      )
+    : splitKey(key);
+
+  const unsafe = segments.find((segment) =>
+    UNSAFE_KEYS.includes(String(segment)),
+  );
+  if (unsafe !== undefined) throw new UnsafeKeyError(String(unsafe));
+  return segments;
+}
+
+/**
+ * Splits a key in dot-notation into its segments (see {@link parseKey})
+ * @param {string} key The key in dot-notation
+ * @returns {(string | number)[]} The segments of the key
+ */
+function splitKey(key) {
+  /** @type {(string | number)[]} */
+  const segments = [];
+  let segment = "";
+  // after a bracket, the segment has already been added
+  let pending = true;
+
+  for (let i = 0; i < key.length; i++) {
+    const bracket = key[i] === "[" ? parseBracket(key, i) : null;
+
+    if (bracket) {
+      if (segment !== "") segments.push(segment);
+      segments.push(bracket.segment);
+      segment = "";
+      pending = false;
+      i = bracket.end - 1;
+    } else if (key[i] === ".") {
+      if (pending) segments.push(segment);
+      segment = "";
+      pending = true;
+    } else {
+      segment += key[i] === "\\" && i + 1 < key.length ? key[++i] : key[i];
+      pending = true;
+    }
+  }
+
+  if (pending) segments.push(segment);
+  return segments;
+}
+
+/**
+ * Converts the segments of a key into dot-notation, quoting the segments that
+ * can't be written as they are and writing numbers as bracket indices. Without
+ * numbers, the result is the canonical form of the key, as it is returned by
+ * FSDB
+ * @param {(string | number)[]} segments The segments of the key
+ * @returns {string} The key in dot-notation
+ * @see {@link parseKey}
+ */
+function stringifyKey(segments) {
+  return segments
+    .map((segment, i) => {
+      if (typeof segment === "number") return `[${segment}]`;
+      if (!/^[^.[\]"'\\]+$/.test(segment))
+        return `[${JSON.stringify(segment)}]`;
+      return i === 0 ? segment : `.${segment}`;
+    })
+    .join("");
+}
+
+/**
+ * Converts a key into its canonical form, in which indices are written like
+ * any other segment
+ * @param {FSDBKey} key The key in dot-notation, or its segments
+ * @returns {string} The key in canonical dot-notation
+ * @see {@link stringifyKey}
+ */
+function normalizeKey(key) {
+  return stringifyKey(parseKey(key).map(String));
+}
+
+/**
+ * Writes the indices of array items in a key as bracket indices, so the key
+ * creates the arrays again when it is set
+ * @param {Record<string, any>} data The data holding the key
+ * @param {string} key The key in canonical dot-notation
+ * @returns {string} The key with bracket indices
+ */
+function toIndexedKey(data, key) {
+  /** @type {any} */
+  let value = data;
+  const segments = parseKey(key).map((segment) => {
+    const parent = value;
+    value = value?.[segment];
+    return Array.isArray(parent) ? Number(segment) : segment;
+  });
+  return stringifyKey(segments);
+}
+
+/**
+ * Appends segments to a key
+ * @param {FSDBKey} key The key in dot-notation, or its segments
+ * @param {...(string | number)} segments The segments to append
+ * @returns {string} The combined key in canonical dot-notation
+ */
+function joinKey(key, ...segments) {
+  return stringifyKey([...parseKey(key), ...segments.map(String)]);
+}
+
+/**
+ * Checks whether a key is the same as another key or nested within it
+ * @param {FSDBKey} key The key to check
+ * @param {FSDBKey} parent The key that may contain it
+ * @returns {boolean} Whether the key is within the parent
+ */
+function isWithinKey(key, parent) {
+  const [keySegments, parentSegments] = [parseKey(key), parseKey(parent)];
+  return (
+    parentSegments.length <= keySegments.length &&
+    parentSegments.every(
+      (segment, i) => String(segment) === String(keySegments[i]),
+    )
+  );
+}
+
+/**
+ * Iterates over the provided key potentially in dot-notation
+ * @param {FSDBKey} key The key to iterate over, or its segments
+ * @yields {{ currentKey: string | number, nextKey?: string | number,
+ * isLast?: boolean }} The current segment, the segment following it and
+ * whether it is the last one
+ */
+function* iterateKey(key) {
+  const segments = parseKey(key);
+
+  for (let i = 0; i < segments.length; i++) {
+    yield {
+      currentKey: segments[i],
+      nextKey: segments[i + 1],
+      isLast: i === segments.length - 1,
+    };
+  }
+}
+
+/**
+ * Overwrites the value of a key in an object with the provided value. If the
+ * value is `undefined`, the key will be deleted. Missing objects are created
+ * along the way, as arrays if the next segment is a bracket index
+ * @param {Record<string, any>} data The object to write to
+ * @param {FSDBKey} key The key of the value to change, potentially in
+ * dot-notation
+ * @param {any=} value The new value to set the key to
+ */
+function setEntry(data, key, value) {
+  let refEntry = data;
+
+  for (const { currentKey, nextKey, isLast } of Array.from(iterateKey(key))) {
+    if (!isLast) {
+      if (!refEntry[currentKey]) {
+        // there is nothing to delete
+        if (value === undefined) return;
+        refEntry[currentKey] = typeof nextKey === "number" ? [] : {};
+      }
+      refEntry = refEntry[currentKey];
+    } else {
+      if (value !== undefined) refEntry[currentKey] = value;
+      else if (refEntry.hasOwnProperty(currentKey)) delete refEntry[currentKey];
+    }
+  }
+}
+
+/**
+ * Applies changes to an object, removing FSDB's metadata once it is empty
+ * @param {Record<string, any>} data The object to write to
+ * @param {FSDBChange[]} changes The changes to apply
+ */
+function applyChanges(data, changes) {
+  for (const { key, value } of changes) setEntry(data, key, value);
+
+  const meta = data[META_KEY];
+  for (const [prefix, fields] of Object.entries(meta?.indexes ?? {})) {
+    if (Object.keys(fields).length === 0) delete meta.indexes[prefix];
+  }
+  for (const name of ["expires", "indexes"]) {
+    if (meta?.[name] && Object.keys(meta[name]).length === 0) delete meta[name];
+  }
+  if (meta && Object.keys(meta).length === 0) delete data[META_KEY];
+}
+
+/**
+ * Retrieves the expiry times of all keys that expire
+ * @param {Record<string, any>} data The data of the database
+ * @returns {Record<string, number>} The expiry times (as timestamps in
+ * milliseconds) by key
+ */
+function getExpiryTimes(data) {
+  return data[META_KEY]?.expires ?? {};
+}
+
+/**
+ * Compresses the contents of a database file
+ * @param {string | Buffer} content The content to compress
+ * @param {FSDBCompression} compression How to compress the content
+ * @returns {string | Buffer} The compressed content, or the content itself if
+ * it isn't compressed
+ */
+function compressContent(content, compression) {
+  if (compression === "gzip") return gzipSync(content);
+  if (compression === "brotli") return brotliCompressSync(content);
+  return content;
+}
+
+/**
+ * Parses the contents of a database file, detecting whether they were
+ * compressed. Gzip is recognized by its magic number, while Brotli has none,
+ * so it is only tried once the contents can't be parsed as they are
+ * @param {string | Buffer} content The content to parse
+ * @param {FSDBSerializer} serializer The storage format of the content
+ * @returns {Record<string, any>} The parsed data
+ */
+function parseCompressed(content, serializer) {
+  if (typeof content !== "string" && content[0] === 0x1f && content[1] === 0x8b)
+    return serializer.parse(gunzipSync(content));
+
+  try {
+    return serializer.parse(content);
+  } catch (error) {
+    if (typeof content === "string") throw error;
+
+    let decompressed;
+    try {
+      decompressed = brotliDecompressSync(content);
+    } catch {
+      throw error;
+    }
+    return serializer.parse(decompressed);
+  }
+}
+
+/**
+ * Checks whether a value can be used as an encryption key
+ * @param {unknown} key The value to check
+ * @returns {key is string | Buffer} Whether the value is a non-empty string or
+ * buffer
+ */
+function isEncryptionKey(key) {
+  return (typeof key === "string" || Buffer.isBuffer(key)) && key.length > 0;
+}
+
+/**
+ * Sets up the encryption of a database
+ * @param {string | Buffer | null} passphrase The passphrase to derive the
+ * keys from, or `null` to store the database unencrypted
+ * @returns {FSDBEncryption | null} The state of the encryption
+ */
+function createEncryption(passphrase) {
+  if (passphrase === null) return null;
+  return {
+    passphrase,
+    salt: randomBytes(16).toString("base64"),
+    keys: new Map(),
+  };
+}
+
+/**
+ * Derives the key for a salt, which is slow on purpose, so the keys are only
+ * derived once per salt
+ * @param {FSDBEncryption} encryption The state of the encryption
+ * @param {string} salt The salt to derive the key with (base64)
+ * @returns {Buffer} The key
+ */
+function deriveKey(encryption, salt) {
+  let key = encryption.keys.get(salt);
+  if (!key) {
+    key = scryptSync(encryption.passphrase, Buffer.from(salt, "base64"), 32);
+    encryption.keys.set(salt, key);
+  }
+  return key;
+}
+
+/**
+ * Creates a value identifying a key without revealing it
+ * @param {Buffer} key The key
+ * @returns {string} The value identifying the key (base64)
+ */
+function createKeyCheck(key) {
+  return createHmac("sha256", key).update("fsdb").digest("base64");
+}
+
+/**
+ * Encrypts content with AES-256-GCM
+ * @param {string | Buffer} content The content to encrypt
+ * @param {FSDBEncryption} encryption The state of the encryption
+ * @returns {FSDBEncryptedContent} The encrypted content
+ */
+function encryptContent(content, encryption) {
+  const key = deriveKey(encryption, encryption.salt);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(Buffer.from(content)),
+    cipher.final(),
+  ]);
+
+  return {
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    salt: encryption.salt,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    check: createKeyCheck(key),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Checks whether parsed content has been encrypted by {@link encryptContent}
+ * @param {unknown} value The parsed content
+ * @returns {value is FSDBEncryptedContent} Whether the content is encrypted
+ */
+function isEncryptedContent(value) {
+  return isPlainObject(value) && value.cipher === "aes-256-gcm";
+}
+
+/**
+ * Checks whether a value is an object that isn't an array
+ * @param {unknown} value The value to check
+ * @returns {value is Record<string, any>} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value can be the ID of a document in a collection
+ * @param {unknown} id The value to check
+ * @returns {id is string | number} Whether the value is a non-empty string or
+ * a safe integer
+ */
+function isDocumentId(id) {
+  return (typeof id === "string" && id !== "") || Number.isSafeInteger(id);
+}
+
+/**
+ * Checks whether a value holds an unsafe key (see {@link UNSAFE_KEYS}),
+ * including in the objects and arrays nested within it
+ * @param {unknown} value The value to check
+ * @returns {boolean} Whether an unsafe key was found
+ */
+function hasUnsafeKey(value) {
+  if (Array.isArray(value)) return value.some(hasUnsafeKey);
+  if (!isPlainObject(value)) return false;
+  return Object.entries(value).some(
+    ([key, nested]) => UNSAFE_KEYS.includes(key) || hasUnsafeKey(nested),
+  );
+}
+
+/**
+ * Merges the properties of an object into another, recursing into nested
+ * objects. Arrays and other values are replaced, and unsafe keys (see
+ * {@link UNSAFE_KEYS}) are skipped
+ * @param {Record<string, any>} target The object to merge into, which is
+ * modified
+ * @param {Record<string, any>} source The properties to merge
+ * @returns {Record<string, any>} The target
+ */
+function mergeDeep(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (UNSAFE_KEYS.includes(key)) continue;
+    target[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? mergeDeep(target[key], value)
+        : value;
+  }
+  return target;
+}
+
+/**
+ * Compares two versions of the database, yielding the most specific keys
+ * whose values differ
+ * @param {Record<string, any>} oldData The previous version
+ * @param {Record<string, any>} newData The current version
+ * @param {string[]} [path=[]] The segments of the key being compared
+ * @returns {Generator<FSDBChangeEvent>} The changes between the versions
+ */
+function* diffData(oldData, newData, path = []) {
+  const keys = new Set([...Object.keys(oldData), ...Object.keys(newData)]);
+
+  for (const key of keys) {
+    if (path.length === 0 && key === META_KEY) continue;
+    const [oldValue, newValue] = [oldData[key], newData[key]];
+
+    const isObject = (/** @type {unknown} */ value) =>
+      isPlainObject(value) && !isTaggedValue(value);
+
+    if (isObject(oldValue) && isObject(newValue)) {
+      yield* diffData(oldValue, newValue, [...path, key]);
+    } else if (!isDeepStrictEqual(oldValue, newValue)) {
+      yield { key: stringifyKey([...path, key]), oldValue, newValue };
+    }
+  }
+}
+
+/**
+ * Checks whether a key is affected by a change to a key matching a pattern,
+ * that is the key matches the pattern, is nested within a matching key or
+ * contains one. A `*` segment matches any single segment, while a trailing
+ * `**` matches any number of them
+ * @param {string} pattern The pattern to match against, in dot-notation
+ * @param {string} key The key that changed, in dot-notation
+ * @returns {boolean} Whether the key is affected
+ */
+function matchesPattern(pattern, key) {
+  const patternSegments = parseKey(pattern).map(String);
+  const keySegments = parseKey(key).map(String);
+  const length = Math.min(patternSegments.length, keySegments.length);
+
+  for (let i = 0; i < length; i++) {
+    if (patternSegments[i] === "**") return true;
+    if (patternSegments[i] !== "*" && patternSegments[i] !== keySegments[i])
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * The operators that can be used in an {@link FSDBFilter}, by name
+ * @type {Record<string, (value: any, operand: any) => boolean>}
+ */
+const QUERY_OPERATORS = {
+  $eq: (value, operand) => isDeepStrictEqual(value, operand),
+  $ne: (value, operand) => !isDeepStrictEqual(value, operand),
+  $gt: (value, operand) => isComparable(value, operand) && value > operand,
+  $gte: (value, operand) => isComparable(value, operand) && value >= operand,
+  $lt: (value, operand) => isComparable(value, operand) && value < operand,
+  $lte: (value, operand) => isComparable(value, operand) && value <= operand,
+  $in: (value, operand) =>
+    Array.isArray(operand) &&
+    operand.some((item) => isDeepStrictEqual(value, item)),
+  $nin: (value, operand) =>
+    Array.isArray(operand) &&
+    !operand.some((item) => isDeepStrictEqual(value, item)),
+  $regex: (value, operand) =>
+    typeof value === "string" && new RegExp(operand).test(value),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+};
+
+/**
+ * Checks whether two values can be ordered, that is both are numbers (or
+ * BigInts), strings or dates
+ * @param {unknown} value The stored value
+ * @param {unknown} operand The value to compare against
+ * @returns {boolean} Whether the values can be ordered
+ */
+function isComparable(value, operand) {
+  /** @param {unknown} item */
+  const isNumeric = (item) =>
+    typeof item === "number" || typeof item === "bigint";
+  return (
+    (isNumeric(value) && isNumeric(operand)) ||
+    (typeof value === "string" && typeof operand === "string") ||
+    (value instanceof Date && operand instanceof Date)
+  );
+}
+
+/**
+ * Retrieves a nested value
+ * @param {unknown} value The value to read from
+ * @param {FSDBKey} path The path of the nested value, in dot-notation or as
+ * its segments
+ * @returns {any} The nested value (`undefined` if not found)
+ */
+function getPath(value, path) {
+  return parseKey(path).reduce(
+    (current, key) =>
+      typeof current === "object" && current !== null
+        ? current[key]
+        : undefined,
+    /** @type {any} */ (value),
+  );
+}
+
+/**
+ * Checks whether a value matches a filter
+ * @param {unknown} value The value to check
+ * @param {FSDBFilter} filter The filter to match against
+ * @param {(message: string) => FSDBError} createError Creates the error thrown
+ * for invalid filters
+ * @returns {boolean} Whether the value matches
+ */
+function matchesFilter(value, filter, createError) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and" || key === "$or") {
+      if (!Array.isArray(condition))
+        throw createError(`"${key}" must be an array of filters.`);
+
+      /** @param {FSDBFilter} nested */
+      const matches = (nested) => matchesFilter(value, nested, createError);
+      return key === "$and"
+        ? condition.every(matches)
+        : condition.some(matches);
+    }
+
+    if (key.startsWith("$")) {
+      const operator = QUERY_OPERATORS[key];
+      if (!operator) throw createError(`Unknown operator "${key}".`);
+      return operator(value, condition);
+    }
+
+    const field = getPath(value, key);
+    const isOperators =
+      isPlainObject(condition) &&
+      Object.keys(condition).length > 0 &&
+      Object.keys(condition).every((name) => name.startsWith("$"));
+
+    return isOperators
+      ? matchesFilter(field, condition, createError)
+      : isDeepStrictEqual(field, condition);
+  });
+}
+
+/**
+ * Compares two values for sorting. Missing values are sorted last, and values
+ * of different types are grouped by type
+ * @param {any} a The first value
+ * @param {any} b The second value
+ * @returns {number} A negative number if `a` comes first, a positive number if
+ * `b` comes first, or `0` if they are equal
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined) return 1;
+  if (b === undefined) return -1;
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Applies a projection to a value, keeping only the included fields or
+ * removing the excluded ones. Values that aren't objects are left as is
+ * @param {any} value The value to project, which is modified
+ * @param {Record<string, 0 | 1 | boolean>} projection The fields to include or
+ * exclude
+ * @param {(message: string) => FSDBError} createError Creates the error thrown
+ * for invalid projections
+ * @returns {any} The projected value
+ */
+function projectValue(value, projection, createError) {
+  const fields = Object.entries(projection);
+  const included = fields.filter(([, include]) => include);
+
+  if (included.length > 0 && included.length < fields.length)
+    throw createError("Projection cannot both include and exclude fields.");
+  if (!isPlainObject(value)) return value;
+
+  if (included.length === 0) {
+    for (const [field] of fields) setEntry(value, field, undefined);
+    return value;
+  }
+
+  /** @type {Record<string, any>} */
+  const projected = {};
+  for (const [field] of included) {
+    const fieldValue = getPath(value, field);
+    if (fieldValue !== undefined) setEntry(projected, field, fieldValue);
+  }
+  return projected;
+}
+
+/**
+ * Updates the entry of a child in an index
+ * @param {FSDBIndex} index The index to update
+ * @param {unknown} collection The value holding the indexed children
+ * @param {string} key The key of the child, relative to the collection
+ * @returns {FSDBIndexConflict | undefined} The conflict if the child's value
+ * is already held by another child of a unique index
+ */
+function indexChild(index, collection, key) {
+  const previous = index.keys.get(key);
+  if (previous !== undefined) {
+    index.keys.delete(key);
+    index.values.get(previous)?.delete(key);
+    if (index.values.get(previous)?.size === 0) index.values.delete(previous);
+  }
+
+  const child =
+    typeof collection === "object" && collection !== null
+      ? /** @type {Record<string, any>} */ (collection)[key]
+      : undefined;
+  const value = getPath(child, index.field);
+  if (value === undefined) return;
+
+  const serialized = JSON.stringify(value);
+  const holders = index.values.get(serialized) ?? new Set();
+  const [holder] = holders;
+  if (index.unique && holder !== undefined)
+    return { index, key: holder, value: serialized };
+
+  index.keys.set(key, serialized);
+  index.values.set(serialized, holders.add(key));
+}
+
+/**
+ * Creates an index over the children of a key
+ * @param {Record<string, any>} data The data of the database
+ * @param {string} prefix The key whose children to index, in dot-notation
+ * @param {string} field The field to index, in dot-notation
+ * @param {boolean} unique Whether the values have to be unique
+ * @returns {{ index: FSDBIndex, conflict?: FSDBIndexConflict }} The index,
+ * along with the first duplicate value of a unique index
+ */
+function buildIndex(data, prefix, field, unique) {
+  /** @type {FSDBIndex} */
+  const index = {
+    prefix: parseKey(prefix).map(String),
+    field,
+    unique,
+    keys: new Map(),
+    values: new Map(),
+  };
+  const collection = getPath(data, index.prefix);
+  /** @type {FSDBIndexConflict | undefined} */
+  let conflict;
+
+  for (const key of isPlainObject(collection) ? Object.keys(collection) : []) {
+    // duplicates are indexed too, so the index stays usable for lookups
+    indexChild({ ...index, unique: false }, collection, key);
+    if (unique) conflict ??= findConflict(index, key);
+  }
+
+  return { index, conflict };
+}
+
+/**
+ * Finds another child holding the same value as a child of a unique index
+ * @param {FSDBIndex} index The index to check
+ * @param {string} key The key of the child, relative to the collection
+ * @returns {FSDBIndexConflict | undefined} The conflict, if any
+ */
+function findConflict(index, key) {
+  const value = index.keys.get(key);
+  if (value === undefined) return;
+
+  for (const holder of index.values.get(value) ?? []) {
+    if (holder !== key) return { index, key: holder, value };
+  }
+}
+
+/**
+ * Updates indexes after changes were applied to the data they were built for
+ * @param {Iterable<FSDBIndex>} indexes The indexes to update
+ * @param {Record<string, any>} data The data with the changes applied
+ * @param {FSDBChange[]} changes The applied changes
+ * @returns {FSDBIndexConflict | undefined} The first conflict with a unique
+ * index, in which case the indexes are only partially updated
+ */
+function updateIndexes(indexes, data, changes) {
+  for (const index of indexes) {
+    /** @type {Set<string>} */
+    let keys = new Set();
+    let replaced = false;
+
+    for (const { key } of changes) {
+      const segments = parseKey(key).map(String);
+      const length = Math.min(segments.length, index.prefix.length);
+      if (segments.slice(0, length).some((s, i) => s !== index.prefix[i]))
+        continue;
+
+      if (segments.length > index.prefix.length)
+        keys.add(segments[index.prefix.length]);
+      else replaced = true;
+    }
+
+    const collection = getPath(data, index.prefix);
+    if (replaced) {
+      index.keys.clear();
+      index.values.clear();
+      keys = new Set(isPlainObject(collection) ? Object.keys(collection) : []);
+    }
+
+    for (const key of keys) {
+      const conflict = indexChild(index, collection, key);
+      if (conflict) return conflict;
+    }
+  }
+}
+
+/**
+ * Checks whether a value is of a type a schema can require, by type
+ * @type {Record<FSDBSchemaType, (value: unknown) => boolean>}
+ */
+const SCHEMA_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number",
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => isPlainObject(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+/**
+ * Validates a value against a schema
+ * @param {unknown} value The value to validate
+ * @param {FSDBSchema} schema The schema the value has to match
+ * @param {string} key The key of the value, in dot-notation
+ * @returns {Generator<FSDBSchemaViolation>} The ways the value doesn't match
+ */
+function* validateValue(value, schema, key) {
+  /**
+   * @param {string} rule The failed keyword
+   * @param {string} message The description of the failure
+   * @param {string} [path=key] The key of the failing value
+   * @returns {FSDBSchemaViolation} The violation
+   */
+  const violation = (rule, message, path = key) => ({
+    key: path,
+    rule,
+    message,
+  });
+
+  if (schema.type !== undefined) {
+    const types = [schema.type].flat();
+    if (!types.some((type) => SCHEMA_TYPES[type]?.(value))) {
+      const names = types.map((type) => `"${type}"`).join(" or ");
+      yield violation("type", `must be of type ${names}`);
+      return;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some((item) => isDeepStrictEqual(value, item))
+  )
+    yield violation("enum", `must be one of ${JSON.stringify(schema.enum)}`);
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      yield violation("minimum", `must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      yield violation("maximum", `must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      yield violation(
+        "minLength",
+        `must have at least ${schema.minLength} characters`,
+      );
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      yield violation(
+        "maxLength",
+        `must have at most ${schema.maxLength} characters`,
+      );
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+      yield violation("pattern", `must match /${schema.pattern}/`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      yield violation(
+        "minItems",
+        `must have at least ${schema.minItems} items`,
+      );
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      yield violation("maxItems", `must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++)
+        yield* validateValue(value[i], schema.items, joinKey(key, i));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const name of schema.required ?? []) {
+      if (value[name] === undefined)
+        yield violation("required", "is required", joinKey(key, name));
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[name];
+      const path = joinKey(key, name);
+
+      if (itemSchema) yield* validateValue(item, itemSchema, path);
+      else if (schema.additionalProperties === false)
+        yield violation("additionalProperties", "is not allowed", path);
+      else if (isPlainObject(schema.additionalProperties))
+        yield* validateValue(item, schema.additionalProperties, path);
+    }
+  }
+}
+
+/**
+ * Finds the keys within a value that match a pattern, where a `*` segment
+ * matches any single segment
+ * @param {unknown} value The value to search
+ * @param {string[]} pattern The segments of the pattern left to match
+ * @param {string[]} [path=[]] The segments of the key of the value
+ * @returns {Generator<string[]>} The segments of the matching keys
+ */
+function* findMatchingKeys(value, pattern, path = []) {
+  if (pattern.length === 0) {
+    if (value !== undefined) yield path;
+    return;
+  }
+  if (typeof value !== "object" || value === null) return;
+
+  const [segment, ...rest] = pattern;
+  const keys =
+    segment === "*"
+      ? Object.keys(value)
+      : Object.hasOwn(value, segment)
+        ? [segment]
+        : [];
+
+  for (const key of keys) {
+    const item = /** @type {Record<string, any>} */ (value)[key];
+    yield* findMatchingKeys(item, rest, [...path, key]);
+  }
+}
+
+/**
+ * The types preserved by the typed encoding out of the box, by name
+ * @type {Map<string, FSDBType>}
+ */
+const BUILTIN_TYPES = new Map([
+  [
+    "Date",
+    {
+      test: (value) => value instanceof Date,
+      encode: (date) => (isNaN(date.getTime()) ? null : date.toISOString()),
+      decode: (value) => new Date(value ?? NaN),
+    },
+  ],
+  [
+    "BigInt",
+    {
+      test: (value) => typeof value === "bigint",
+      encode: (value) => value.toString(),
+      decode: (value) => BigInt(value),
+    },
+  ],
+  [
+    "Buffer",
+    {
+      test: (value) => Buffer.isBuffer(value),
+      encode: (buffer) => buffer.toString("base64"),
+      decode: (value) => Buffer.from(value, "base64"),
+    },
+  ],
+  [
+    "Map",
+    {
+      test: (value) => value instanceof Map,
+      encode: (map) => [...map],
+      decode: (entries) => new Map(entries),
+    },
+  ],
+  [
+    "Set",
+    {
+      test: (value) => value instanceof Set,
+      encode: (set) => [...set],
+      decode: (items) => new Set(items),
+    },
+  ],
+]);
+
+/**
+ * Checks whether a value has been tagged by the typed encoding, i.e. it is
+ * an object with the name of its type and its encoded value
+ * @param {unknown} value The value to check
+ * @returns {value is { [META_KEY]: string, value: unknown }} Whether the value
+ * is tagged
+ */
+function isTaggedValue(value) {
+  return (
+    isPlainObject(value) &&
+    typeof value[META_KEY] === "string" &&
+    Object.hasOwn(value, "value") &&
+    Object.keys(value).length === 2
+  );
+}
+
+/**
+ * Encodes a value so the types JSON can't represent survive being stored, by
+ * replacing them with tagged values
+ * @param {unknown} value The value to encode
+ * @param {Map<string, FSDBType>} types The custom types, which take
+ * precedence over the built-in ones
+ * @returns {unknown} The encoded value
+ */
+function encodeTyped(value, types) {
+  for (const [name, { test, encode }] of [...types, ...BUILTIN_TYPES]) {
+    if (test(value))
+      return { [META_KEY]: name, value: encodeTyped(encode(value), types) };
+  }
+
+  if (Array.isArray(value))
+    return value.map((item) => encodeTyped(item, types));
+  if (!isPlainObject(value)) return value;
+
+  const encoded = Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, encodeTyped(item, types)]),
+  );
+  // objects that could be mistaken for a tagged value are tagged themselves
+  return Object.hasOwn(value, META_KEY)
+    ? { [META_KEY]: "Object", value: encoded }
+    : encoded;
+}
+
+/**
+ * Decodes a value encoded by {@link encodeTyped}, which always returns a new
+ * copy of it. Values of unknown types are left tagged
+ * @param {unknown} value The value to decode
+ * @param {Map<string, FSDBType>} types The custom types
+ * @returns {any} The decoded value
+ */
+function decodeTyped(value, types) {
+  if (Array.isArray(value))
+    return value.map((item) => decodeTyped(item, types));
+  if (!isPlainObject(value)) return value;
+
+  /** @param {Record<string, unknown>} object */
+  const decodeEntries = (object) =>
+    Object.fromEntries(
+      Object.entries(object).map(([key, item]) => [
+        key,
+        decodeTyped(item, types),
+      ]),
+    );
+
+  if (!isTaggedValue(value)) return decodeEntries(value);
+
+  const name = value[META_KEY];
+  // escaped objects mustn't be mistaken for a tagged value again
+  if (name === "Object" && isPlainObject(value.value))
+    return decodeEntries(value.value);
+
+  const type = types.get(name) ?? BUILTIN_TYPES.get(name);
+  const decoded = decodeTyped(value.value, types);
+  return type ? type.decode(decoded) : { [META_KEY]: name, value: decoded };
+}
+
+/**
+ * Flattens a provided object into a single level object, keyed by the
+ * canonical dot-notation of the nested keys
+ * @param {Record<string, any>} object The object to flatten
+ * @param {string[]} [path=[]] The segments of the key of the object
+ * @returns {Record<string, any>} The flattened object
+ */
+function flattenObject(object, path = []) {
+  /** @type {typeof object} */
+  const result = {};
+
+  for (const [currentKey, currentValue] of Object.entries(object)) {
+    const segments = [...path, currentKey];
+
+    if (
+      typeof currentValue === "object" &&
+      currentValue !== null &&
+      !isTaggedValue(currentValue)
+    ) {
+      Object.assign(result, flattenObject(currentValue, segments));
+    } else {
+      result[stringifyKey(segments)] = currentValue;
+    }
+  }
+
+  return result;
+}
+
+/** A custom error class for handling errors within an FSDB instance */
+class FSDBError extends Error {
+  /**
+   * Create a new FSDBError instance
+   * @param {object} options The options for the error
+   * @param {string} options.message The error message
+   * @param {string} options.method The method that threw the error
+   * @param {unknown=} options.cause The cause of the error
+   */
+  constructor({ message, method, cause }) {
+    super(message);
+    this.name = "FSDBError";
+    this.message = `${message}\nNeed Help? Join Our Discord Server at https://discord.gg/P2g24jp`;
+    this.method = `FSDB#${method}()`;
+    this.cause = cause;
+  }
+}
+
+/**
+ * An error thrown when a value would be stored that a unique index already
+ * holds for another key
+ */
+class FSDBUniqueError extends FSDBError {
+  /**
+   * Create a new FSDBUniqueError instance
+   * @param {object} options The options for the error
+   * @param {string} options.method The method that threw the error
+   * @param {string} options.field The indexed field, in dot-notation
+   * @param {string} options.key The key already holding the value
+   * @param {unknown} options.value The duplicate value
+   */
+  constructor({ method, field, key, value }) {
+    super({
+      message: `Failed to perform "${method}" operation. The value ${JSON.stringify(value)} of "${field}" is already used by "${key}".`,
+      method,
+    });
+    this.name = "FSDBUniqueError";
+    this.field = field;
+    this.key = key;
+    this.value = value;
+  }
+}
+
+/**
+ * An error thrown when a value would be stored that doesn't match the schema
+ * defined for its key
+ */
+class FSDBValidationError extends FSDBError {
+  /**
+   * Create a new FSDBValidationError instance
+   * @param {object} options The options for the error
+   * @param {string} options.method The method that threw the error
+   * @param {FSDBSchemaViolation} options.violation How the value doesn't match
+   */
+  constructor({ method, violation: { key, rule, message } }) {
+    super({
+      message: `Failed to perform "${method}" operation. "${key}" ${message} (rule "${rule}").`,
+      method,
+    });
+    this.name = "FSDBValidationError";
+    this.key = key;
+    this.rule = rule;
+  }
+}
+
+/**
+ * An error thrown when the database can't be decrypted, either because no key
+ * or the wrong key was provided, or because the encrypted content is corrupted
+ */
+class FSDBDecryptionError extends FSDBError {
+  /**
+   * Create a new FSDBDecryptionError instance
+   * @param {object} options The options for the error
+   * @param {string} options.method The method that threw the error
+   * @param {"missingKey" | "wrongKey" | "corrupted"} options.reason Why the
+   * database can't be decrypted
+   */
+  constructor({ method, reason }) {
+    const messages = {
+      missingKey:
+        "The database is encrypted, but no encryption key was provided.",
+      wrongKey: "The encryption key is wrong.",
+      corrupted: "The encrypted content is corrupted.",
+    };
+
+    super({
+      message: `Failed to perform "${method}" operation. ${messages[reason]}`,
+      method,
+    });
+    this.name = "FSDBDecryptionError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * An error thrown when a key contains a segment that would change the
+ * prototype of an object (see {@link UNSAFE_KEYS}). It is turned into an
+ * {@link FSDBError} reported by the method that was passed the key
+ */
+class UnsafeKeyError extends Error {
+  /**
+   * Create a new UnsafeKeyError instance
+   * @param {string} segment The unsafe segment
+   */
+  constructor(segment) {
+    super(`The key segment "${segment}" isn't allowed.`);
+    this.name = "UnsafeKeyError";
+  }
+}
+
+/**
+ * Finds the error thrown for an unsafe key, either as is or wrapped by a
+ * method called by another one, so the outermost method reports it
+ * @param {unknown} error The error to check
+ * @returns {UnsafeKeyError | undefined} The error thrown for the unsafe key
+ */
+function findUnsafeKeyError(error) {
+  if (error instanceof UnsafeKeyError) return error;
+  if (error instanceof FSDBError && error.cause instanceof UnsafeKeyError)
+    return error.cause;
+}
+
+/**
+ * Checks whether an error is meant to be handled by the caller, in which case
+ * it is passed on as is instead of being wrapped
+ * @param {unknown} error The error to check
+ * @returns {boolean} Whether the error is passed on
+ */
+function isCallerError(error) {
+  return (
+    error instanceof FSDBUniqueError ||
+    error instanceof FSDBValidationError ||
+    error instanceof FSDBDecryptionError
+  );
+}
+
+/**
+ * Safely executes a given function and handles any errors as an "FSDBError"
+ * @template T The return type of the function
+ * @param {string} method The name of the method that called this function
+ * @param {(errorCallback: (message: string, cause?: *) => FSDBError) => T} fn
+ * The function to execute
+ * @returns {T} The return value of the function
+ * @throws {FSDBError} If the function throws an error
+ */
+function executeSafely(method, fn) {
+  try {
+    return fn((message, cause) => {
+      return new FSDBError({
+        message: `Failed to perform "${method}" operation. ${message}`,
+        method,
+        cause,
+      });
+    });
+  } catch (error) {
+    if (isCallerError(error)) throw error;
+    const unsafeKey = findUnsafeKeyError(error);
+    if (unsafeKey)
+      throw new FSDBError({
+        message: `Failed to perform "${method}" operation. ${unsafeKey.message}`,
+        method,
+        cause: unsafeKey,
+      });
+    throw new FSDBError({
+      message: "Failed to perform internal operation.",
+      method,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Safely executes a given asynchronous function and handles any errors as an
+ * "FSDBError"
+ * @template T The resolved type of the function
+ * @param {string} method The name of the method that called this function
+ * @param {(errorCallback: (message: string, cause?: *) => FSDBError) => Promise<T>} fn
+ * The function to execute
+ * @returns {Promise<T>} The resolved value of the function
+ * @throws {FSDBError} If the function rejects
+ * @see {@link executeSafely}
+ */
+async function executeSafelyAsync(method, fn) {
+  try {
+    return await fn((message, cause) => {
+      return new FSDBError({
+        message: `Failed to perform "${method}" operation. ${message}`,
+        method,
+        cause,
+      });
+    });
+  } catch (error) {
+    if (isCallerError(error)) throw error;
+    const unsafeKey = findUnsafeKeyError(error);
+    if (unsafeKey)
+      throw new FSDBError({
+        message: `Failed to perform "${method}" operation. ${unsafeKey.message}`,
+        method,
+        cause: unsafeKey,
+      });
+    throw new FSDBError({
+      message: "Failed to perform internal operation.",
+      method,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * A simple, file-based database. It emits "set", "delete" and "change" events
+ * with an {@link FSDBChangeEvent} whenever a key changes, including changes
+ * made to the file outside of this instance, and a "deleteAll" event with the
+ * deleted entries when the database is cleared
+ * @see {@link https://github.com/WillTDA/File-System-DB#readme}
+ */
+class FSDB extends EventEmitter {
+  /**
+   * Create a new FSDB database
+   * @param {string} [path="database.json"] You can specify a path to a file
    * location where your database should be located (defaults to
    * "database.json")
-   * @param {boolean} [compact=true] Whether or not to store the database
-   * contents in a compact format. It won't be easily readable to humans, but
-   * it will save storage space (defaults to "true")
+   * @param {boolean | FSDBOptions} [options=true] Either the options for the
+   * database, or whether or not to store the database contents in a compact
+   * format. It won't be easily readable to humans, but it will save storage
+   * space (defaults to "true")
    * @example <caption>Creating a human-readable database</caption>
    * const db = new FSDB("./db.json", false);
+   * @example <caption>Flushing every write all the way to disk</caption>
+   * const db = new FSDB("./db.json", { durability: "full" });
+   */
+  constructor(path = "database.json", options = true) {
+    super();
+
+    executeSafely(this.constructor.name, (createError) => {
+      if (typeof path !== "string") throw createError("Path must be a string.");
+      if (!path) throw createError("No path provided.");
+
+      const {
+        compact = true,
+        durability = "file",
+        cache = true,
+        lock = true,
+        journal = false,
+        shards = false,
+        history = false,
+        serializer = "json",
+        typed = false,
+        initializeArrays = false,
+        compression = "none",
+        encryptionKey = null,
+        watchInterval = 1_000,
+      } = typeof options === "object" && options !== null
+        ? options
+        : { compact: options };
+
+      if (!DURABILITY_LEVELS.includes(durability))
+        throw createError(
+          `Durability must be one of "${DURABILITY_LEVELS.join('", "')}".`,
+        );
+      const format =
+        typeof serializer === "string" ? SERIALIZERS[serializer] : serializer;
+      if (
+        typeof format?.parse !== "function" ||
+        typeof format.stringify !== "function"
+      )
+        throw createError(
+          `Serializer must be one of "${Object.keys(SERIALIZERS).join('", "')}", or implement "parse" and "stringify".`,
+        );
+      if (!COMPRESSION_FORMATS.includes(compression))
+        throw createError(
+          `Compression must be one of "${COMPRESSION_FORMATS.join('", "')}".`,
+        );
+      if (encryptionKey !== null && !isEncryptionKey(encryptionKey))
+        throw createError(
+          "Encryption key must be a non-empty string or buffer.",
+        );
+      if (shards && journal)
+        throw createError("Sharded databases can't be journaled.");
+      const { buckets } =
+        typeof shards === "object"
+          ? shards
+          : /** @type {FSDBShardOptions} */ ({});
+      if (buckets !== undefined && !(Number.isInteger(buckets) && buckets > 0))
+        throw createError("Buckets must be a positive integer.");
+
+      this.path = shards
+        ? createDatabaseDirectory(path)
+        : createDatabaseFile(
+            path,
+            format.stringify({}, compact),
+            format.extension,
+          );
+      /** @private */
+      this.compactFormat = compact;
+      /** @private */
+      this.durability = durability;
+      /** @private */
+      this.serializer = format;
+      /** @private */
+      this.compression = compression;
+      /** @private */
+      this.typed = typed;
+      /** @private */
+      this.initializeArrays = initializeArrays;
+      /**
+       * @private
+       * The custom types preserved by the typed encoding, by name
+       * @type {Map<string, FSDBType>}
+       */
+      this.types = new Map();
+      /**
+       * @private
+       * The parsed contents of the database and the stamp of the file they
+       * were read from, or `null` when they have to be read from disk
+       * @type {{ data: Record<string, any>, stamp: string } | null}
+       */
+      this.cache = null;
+      /** @private */
+      this.caching = cache;
+      /**
+       * @private
+       * The options for locking the database file, or `null` if disabled
+       * @type {Required<FSDBLockOptions> | null}
+       */
+      this.lockOptions = lock
+        ? { timeout: 5_000, stale: 10_000, ...(lock === true ? {} : lock) }
+        : null;
+      /**
+       * @private
+       * How many nested operations are currently holding the lock
+       */
+      this.lockDepth = 0;
+      /**
+       * @private
+       * The timer keeping the lockfile fresh while it is held
+       * @type {NodeJS.Timeout | null}
+       */
+      this.lockRefresh = null;
+      /**
+       * @private
+       * The working copy of a transaction, which is read from and written to
+       * instead of the database file (see {@link FSDB#transaction})
+       * @type {Record<string, any> | null}
+       */
+      this.staged = null;
+      /**
+       * @private
+       * The pending asynchronous writes (see {@link FSDB#runAsync})
+       * @type {Promise<unknown>}
+       */
+      this.queue = Promise.resolve();
+      /** @private */
+      this.journalPath = `${this.path}.journal`;
+      /**
+       * @private
+       * The options for journaling changes, or `null` if disabled
+       * @type {Required<FSDBJournalOptions> | null}
+       */
+      this.journalOptions = journal
+        ? { threshold: 1_048_576, ...(journal === true ? {} : journal) }
+        : null;
+      /**
+       * @private
+       * The records of the changes made to the working copy of an
+       * asynchronous operation, or `null` if the whole database has to be
+       * written (see {@link FSDB#runAsync})
+       * @type {string[] | null}
+       */
+      this.journalRecords = null;
+      /**
+       * @private
+       * The top-level keys changed in the working copy of a sharded database,
+       * or `null` if all of its files have to be compared when it is written
+       * (see {@link FSDB#writeShards})
+       * @type {Set<string> | null}
+       */
+      this.changedKeys = null;
+      /**
+       * @private
+       * Whether this is the working copy of a transaction that has ended,
+       * which can no longer be used (see {@link FSDB#transaction})
+       */
+      this.ended = false;
+      /** @private */
+      this.compactionScheduled = false;
+      /**
+       * @private
+       * The options for storing the database as shards, or `null` if it is a
+       * single file
+       * @type {FSDBShardOptions | null}
+       */
+      this.shardOptions = shards ? { buckets } : null;
+      /**
+       * @private
+       * The files of a sharded database as they were last read or written,
+       * by their name
+       * @type {Map<string, FSDBShard>}
+       */
+      this.shards = new Map();
+      /**
+       * @private
+       * The directory holding the previous states and the snapshots of the
+       * database
+       */
+      this.historyPath = `${this.path}.history`;
+      /**
+       * @private
+       * The options for keeping the history of changes, or `null` if disabled
+       * @type {Required<FSDBHistoryOptions> | null}
+       */
+      this.historyOptions = history
+        ? { depth: 10, maxSize: Infinity, ...(history === true ? {} : history) }
+        : null;
+      /**
+       * @private
+       * Whether the working copy of an operation was restored from the
+       * history, so it mustn't be recorded in it again (see
+       * {@link FSDB#stepHistory})
+       */
+      this.historyPaused = false;
+      /**
+       * @private
+       * The states the working copy of an operation keeps in the history,
+       * which are only written along with the working copy, or `null` if it
+       * hasn't changed them (see {@link FSDB#commitHistory})
+       * @type {FSDBPendingHistory | null}
+       */
+      this.pendingHistory = null;
+      /**
+       * @private
+       * The state of the encryption, or `null` if the database is stored as
+       * plain JSON
+       * @type {FSDBEncryption | null}
+       */
+      this.encryption = createEncryption(encryptionKey);
+      /**
+       * @private
+       * The secondary indexes built for a version of the data, which are
+       * rebuilt whenever it is read from the file again
+       * @type {WeakMap<Record<string, any>, Map<string, FSDBIndex>>}
+       */
+      this.indexes = new WeakMap();
+      /**
+       * @private
+       * The schemas values have to match, by the pattern of their keys
+       * @type {Map<string, FSDBSchema>}
+       */
+      this.schemas = new Map();
+      /**
+       * @private
+       * The events emitted by the working copy of a transaction, which are
+       * only emitted by the database once it has been written
+       * @type {[string, unknown][] | null}
+       */
+      this.pendingEvents = null;
+      /** @private */
+      this.watchInterval = watchInterval;
+      /**
+       * @private
+       * Whether the database file is being watched for changes made outside
+       * of this instance
+       */
+      this.watching = false;
+      /** @private */
+      this.onFileChange = () => {
+        try {
+          // any changes are emitted while reading the new contents
+          this.readData();
+        } catch (error) {
+          if (this.listenerCount("error") > 0) this.emit("error", error);
+        }
+      };
+
+      this.on("newListener", (event) => {
+        if (CHANGE_EVENTS.includes(event)) this.startWatching();
+      });
+      this.on("removeListener", () => {
+        if (!this.isListening()) this.stopWatching();
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Checks whether there are any listeners for change events
+   * @returns {boolean} Whether changes have to be emitted
+   */
+  isListening() {
+    return CHANGE_EVENTS.some((event) => this.listenerCount(event) > 0);
+  }
+
+  /**
+   * @private
+   * Checks whether the parsed contents of the database should be kept in
+   * memory, which is also needed to find out what changed on disk while
+   * watching the file
+   * @returns {boolean} Whether the cache is used
+   */
+  shouldCache() {
+    // sharded databases need the shards in memory to know which ones changed
+    return this.caching || this.watching || this.shardOptions !== null;
+  }
+
+  /**
+   * @private
+   * Starts watching the database file and its journal for changes made
+   * outside of this instance
+   */
+  startWatching() {
+    if (this.watching || this.staged) return;
+    this.watching = true;
+
+    // changes can only be found once there is something to compare against
+    this.onFileChange();
+
+    const options = { persistent: false, interval: this.watchInterval };
+    watchFile(this.path, options, this.onFileChange);
+    watchFile(this.journalPath, options, this.onFileChange);
+  }
+
+  /**
+   * @private
+   * Stops watching the database file and its journal
+   */
+  stopWatching() {
+    if (!this.watching) return;
+    this.watching = false;
+
+    unwatchFile(this.path, this.onFileChange);
+    unwatchFile(this.journalPath, this.onFileChange);
+  }
+
+  /**
+   * @private
+   * Emits an event, or holds on to it until the working copy of a
+   * transaction has been written
+   * @param {string} event The name of the event
+   * @param {unknown} payload The payload of the event
+   */
+  emitEvent(event, payload) {
+    if (this.staged) {
+      this.pendingEvents?.push([event, payload]);
+      return;
+    }
+
+    // the change has already been written, so a failing listener must neither
+    // make the operation fail nor keep the other listeners from running
+    for (const listener of this.rawListeners(event)) {
+      try {
+        listener.call(this, payload);
+      } catch (error) {
+        if (this.listenerCount("error") > 0) this.emit("error", error);
+        else console.warn(`Failed to handle the "${event}" event.`, error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Emits the events for a change to a key
+   * @param {FSDBChangeEvent} change The change to emit
+   */
+  emitChange(change) {
+    this.emitEvent(change.newValue === undefined ? "delete" : "set", change);
+    this.emitEvent("change", change);
+  }
+
+  /**
+   * @private
+   * Stores freshly read data in the cache, emitting the changes made to the
+   * database file outside of this instance since it was last read
+   * @param {Record<string, any>} data The data read from the file
+   * @param {string} stamp The stamp of the database (see
+   * {@link toDatabaseStamp})
+   */
+  cacheReadData(data, stamp) {
+    if (!this.shouldCache()) return;
+
+    const previous = this.cache?.data;
+    this.cache = { data, stamp };
+
+    if (previous && this.isListening()) {
+      for (const { key, oldValue, newValue } of Array.from(
+        diffData(previous, data),
+      )) {
+        this.emitChange({
+          key,
+          oldValue: this.copyValue(oldValue),
+          newValue: this.copyValue(newValue),
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Retrieves the current data from the database. When caching is enabled,
+   * the cached data is returned as long as the file hasn't changed on disk,
+   * so the result must only be modified right before writing it back
+   * @param {FSDBKey=} key The key about to be read, so a sharded database
+   * only reads the file holding it (defaults to reading all of them)
+   * @returns {*} The parsed data from the database
+   */
+  readData(key) {
+    return executeSafely(this.readData.name, (createError) => {
+      if (this.ended) throw createError("The transaction has already ended.");
+      if (this.staged) return this.staged;
+      if (this.shardOptions) return this.readShards(key);
+
+      // the journal is opened first, so a concurrent compaction can't make
+      // it look as if it belongs to the new database file
+      const journalFd = openIfExists(this.journalPath);
+      const fd = openSync(this.path, "r");
+      try {
+        const stats = fstatSync(fd, { bigint: true });
+        const journalStats =
+          journalFd === null ? null : fstatSync(journalFd, { bigint: true });
+
+        const stamp = toDatabaseStamp(stats, journalStats);
+        if (this.shouldCache() && this.cache?.stamp === stamp)
+          return this.cache.data;
+
+        const data = this.parseContent(readFileSync(fd));
+        if (journalFd !== null)
+          replayJournal(
+            data,
+            readFileSync(journalFd, "utf8"),
+            stats.ino,
+            (record) => this.decodeRecord(record),
+          );
+
+        this.cacheReadData(data, stamp);
+        return data;
+      } finally {
+        closeSync(fd);
+        if (journalFd !== null) closeSync(journalFd);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously retrieves the current data from the database
+   * @param {FSDBKey=} key The key about to be read, so a sharded database
+   * only reads the file holding it (defaults to reading all of them)
+   * @returns {Promise<*>} The parsed data from the database
+   * @see {@link FSDB#readData}
+   */
+  async readDataAsync(key) {
+    return executeSafelyAsync(this.readData.name, async () => {
+      if (this.shardOptions) return this.readShardsAsync(key);
+
+      const journalHandle = await openIfExistsAsync(this.journalPath);
+      const handle = await open(this.path, "r");
+      try {
+        const stats = await handle.stat({ bigint: true });
+        const journalStats = await journalHandle?.stat({ bigint: true });
+
+        const stamp = toDatabaseStamp(stats, journalStats ?? null);
+        if (this.shouldCache() && this.cache?.stamp === stamp)
+          return this.cache.data;
+
+        const data = this.parseContent(await handle.readFile());
+        if (journalHandle) {
+          const content = await journalHandle.readFile("utf8");
+          replayJournal(data, content, stats.ino, (record) =>
+            this.decodeRecord(record),
+          );
+        }
+
+        this.cacheReadData(data, stamp);
+        return data;
+      } finally {
+        await handle.close();
+        await journalHandle?.close();
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Retrieves the name of the file of a sharded database holding a
+   * top-level key
+   * @param {string} key The top-level key
+   * @returns {string} The name of the file
+   */
+  getShardName(key) {
+    const extension = this.serializer.extension ?? "";
+    const buckets = this.shardOptions?.buckets;
+    if (key === META_KEY || !buckets)
+      return `${encodeShardName(key)}${extension}`;
+
+    const hash = createHash("sha1").update(key).digest().readUInt32BE(0);
+    return `bucket-${hash % buckets}${extension}`;
+  }
+
+  /**
+   * @private
+   * Retrieves the names of the files of a sharded database to read
+   * @param {FSDBKey | undefined} key The key about to be read, whose file is
+   * read along with the metadata, or `undefined` to read all files
+   * @param {string[]} filenames The files in the directory of the database
+   * @param {FSDBShardCommit | null} commit The write in progress, if any
+   * @returns {string[]} The names of the files
+   */
+  getShardNames(key, filenames, commit) {
+    if (key !== undefined)
+      return [
+        this.getShardName(String(parseKey(key)[0])),
+        this.getShardName(META_KEY),
+      ];
+
+    const extension = this.serializer.extension ?? "";
+    const names = filenames.filter(
+      // temporary files of writes in progress and the commit are skipped
+      (name) =>
+        name.endsWith(extension) &&
+        !name.endsWith(".tmp") &&
+        !name.startsWith("."),
+    );
+    return [...new Set([...names, ...Object.keys(commit?.write ?? {})])];
+  }
+
+  /**
+   * @private
+   * Retrieves the path a file of a sharded database is read from, which is
+   * the new file of a write in progress until it has been moved in place
+   * @param {string} name The name of the file
+   * @param {FSDBShardCommit | null} commit The write in progress, if any
+   * @returns {string[]} The paths to try in order, none if the file is
+   * being removed
+   */
+  getShardPaths(name, commit) {
+    if (commit?.remove.includes(name)) return [];
+
+    const paths = [join(this.path, name)];
+    const temp = commit?.write[name];
+    if (temp) paths.unshift(join(this.path, temp));
+    return paths;
+  }
+
+  /**
+   * @private
+   * Combines the shards of a sharded database as they were last read or
+   * written into its data, unless it is cached already
+   * @returns {Record<string, any>} The data of the database
+   */
+  combineShards() {
+    const names = [...this.shards.keys()].sort();
+    const stamp = names
+      .map((name) => `${name}:${this.shards.get(name)?.stamp}`)
+      .join("|");
+    if (this.cache?.stamp === stamp) return this.cache.data;
+
+    // copies, as the combined data is modified in place before it is written,
+    // while the shards must keep the state on disk for the history
+    const data = Object.assign(
+      {},
+      ...names.map((name) => structuredClone(this.shards.get(name)?.data)),
+    );
+    this.cacheReadData(data, stamp);
+    return data;
+  }
+
+  /**
+   * @private
+   * Reads the write to several files of a sharded database in progress
+   * @returns {FSDBShardCommit | null} The write, or `null` if there is none
+   */
+  readShardCommit() {
+    const fd = openIfExists(join(this.path, SHARD_COMMIT_NAME));
+    if (fd === null) return null;
+    try {
+      const stamp = toFileStamp(fstatSync(fd, { bigint: true }));
+      return { ...JSON.parse(readFileSync(fd, "utf8")), stamp };
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  /**
+   * @private
+   * Asynchronously reads the write to several files of a sharded database in
+   * progress
+   * @returns {Promise<FSDBShardCommit | null>} The write, or `null` if there
+   * is none
+   * @see {@link FSDB#readShardCommit}
+   */
+  async readShardCommitAsync() {
+    const handle = await openIfExistsAsync(join(this.path, SHARD_COMMIT_NAME));
+    if (!handle) return null;
+    try {
+      const stamp = toFileStamp(await handle.stat({ bigint: true }));
+      return { ...JSON.parse(await handle.readFile("utf8")), stamp };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * @private
+   * Retrieves the current data of a sharded database. Only the files that
+   * changed since they were last read or written are read again, and only
+   * the one holding a key if it is provided
+   * @param {FSDBKey=} key The key about to be read (defaults to reading all
+   * files)
+   * @returns {Record<string, any>} The data of the database
+   */
+  readShards(key) {
+    return executeSafely(this.readData.name, () => {
+      // files read while a write moves its files in place may be mixed from
+      // before and after it, so they are read again
+      for (;;) {
+        const commit = this.readShardCommit();
+        const filenames = key === undefined ? readdirSync(this.path) : [];
+        /** @type {Map<string, FSDBShard>} */
+        const shards = key === undefined ? new Map() : new Map(this.shards);
+
+        for (const name of this.getShardNames(key, filenames, commit)) {
+          shards.delete(name);
+          for (const path of this.getShardPaths(name, commit)) {
+            const fd = openIfExists(path);
+            if (fd === null) continue;
+            try {
+              const stamp = toFileStamp(fstatSync(fd, { bigint: true }));
+              const shard = this.shards.get(name);
+              if (shard?.stamp === stamp) {
+                shards.set(name, shard);
+              } else {
+                const data = this.parseContent(readFileSync(fd));
+                shards.set(name, { stamp, data, fingerprint: serialize(data) });
+              }
+              break;
+            } finally {
+              closeSync(fd);
+            }
+          }
+        }
+
+        if (this.readShardCommit()?.stamp !== commit?.stamp) continue;
+        this.shards = shards;
+        return this.combineShards();
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously retrieves the current data of a sharded database
+   * @param {FSDBKey=} key The key about to be read (defaults to reading all
+   * files)
+   * @returns {Promise<Record<string, any>>} The data of the database
+   * @see {@link FSDB#readShards}
+   */
+  async readShardsAsync(key) {
+    return executeSafelyAsync(this.readData.name, async () => {
+      for (;;) {
+        const commit = await this.readShardCommitAsync();
+        const filenames = key === undefined ? await readdir(this.path) : [];
+        /** @type {Map<string, FSDBShard>} */
+        const shards = key === undefined ? new Map() : new Map(this.shards);
+
+        for (const name of this.getShardNames(key, filenames, commit)) {
+          shards.delete(name);
+          for (const path of this.getShardPaths(name, commit)) {
+            const handle = await openIfExistsAsync(path);
+            if (!handle) continue;
+            try {
+              const stamp = toFileStamp(await handle.stat({ bigint: true }));
+              const shard = this.shards.get(name);
+              if (shard?.stamp === stamp) {
+                shards.set(name, shard);
+              } else {
+                const data = this.parseContent(await handle.readFile());
+                shards.set(name, { stamp, data, fingerprint: serialize(data) });
+              }
+              break;
+            } finally {
+              await handle.close();
+            }
+          }
+        }
+
+        if ((await this.readShardCommitAsync())?.stamp !== commit?.stamp)
+          continue;
+        this.shards = shards;
+        return this.combineShards();
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Works out which files of a sharded database a write has to change
+   * @param {Record<string, any>} data The data to write to the database
+   * @param {string[] | null} keys The top-level keys that changed, or `null`
+   * to compare all files
+   * @returns {{ writes: { name: string, content: string | Buffer, fingerprint: Buffer }[], removals: string[] }}
+   * The files to write with their new contents, and the files to remove
+   */
+  planShards(data, keys) {
+    const changed = keys && new Set(keys.map((key) => this.getShardName(key)));
+
+    /** @type {Map<string, Record<string, any>>} */
+    const grouped = new Map();
+    for (const [key, value] of Object.entries(data)) {
+      const name = this.getShardName(key);
+      if (changed && !changed.has(name)) continue;
+      grouped.set(name, { ...grouped.get(name), [key]: value });
+    }
+
+    const writes = [];
+    for (const [name, shard] of grouped) {
+      const fingerprint = serialize(shard);
+      if (this.shards.get(name)?.fingerprint.equals(fingerprint)) continue;
+      writes.push({ name, content: this.stringifyData(shard), fingerprint });
+    }
+
+    const removals = [...(changed ?? this.shards.keys())].filter(
+      (name) => !grouped.has(name) && this.shards.has(name),
+    );
+    return { writes, removals };
+  }
+
+  /**
+   * @private
+   * Moves the files of a write to several files of a sharded database in
+   * place, which also completes a write that was interrupted
+   * @param {Omit<FSDBShardCommit, "stamp">} commit The write
+   */
+  applyShardCommit(commit) {
+    for (const [name, temp] of Object.entries(commit.write)) {
+      try {
+        renameSync(join(this.path, temp), join(this.path, name));
+      } catch (error) {
+        // moved in place already before the write was interrupted
+        if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT")
+          throw error;
+      }
+    }
+    for (const name of commit.remove)
+      rmSync(join(this.path, name), { force: true });
+
+    syncDirectory(this.path, this.durability);
+    rmSync(join(this.path, SHARD_COMMIT_NAME), { force: true });
+  }
+
+  /**
+   * @private
+   * Asynchronously moves the files of a write to several files of a sharded
+   * database in place
+   * @param {Omit<FSDBShardCommit, "stamp">} commit The write
+   * @returns {Promise<void>}
+   * @see {@link FSDB#applyShardCommit}
+   */
+  async applyShardCommitAsync(commit) {
+    for (const [name, temp] of Object.entries(commit.write)) {
+      try {
+        await rename(join(this.path, temp), join(this.path, name));
+      } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT")
+          throw error;
+      }
+    }
+    for (const name of commit.remove)
+      await rm(join(this.path, name), { force: true });
+
+    await syncDirectoryAsync(this.path, this.durability);
+    await rm(join(this.path, SHARD_COMMIT_NAME), { force: true });
+  }
+
+  /**
+   * @private
+   * Writes the provided data to the files of a sharded database, skipping the
+   * files whose contents didn't change and removing the ones no longer
+   * needed. A write changing several files is committed as a whole (see
+   * {@link FSDBShardCommit})
+   * @param {Record<string, any>} data The data to write to the database
+   * @param {string[] | null} [keys=null] The top-level keys that changed, so
+   * only their files are compared, or `null` to compare all files
+   */
+  writeShards(data, keys = null) {
+    executeSafely(this.writeData.name, () => {
+      // an interrupted write is completed first, so it can't undo this one
+      const pending = this.readShardCommit();
+      if (pending) this.applyShardCommit(pending);
+
+      const { writes, removals } = this.planShards(data, keys);
+      /** @type {Omit<FSDBShardCommit, "stamp">} */
+      const commit = { write: {}, remove: removals };
+      /** @type {Map<string, string>} */
+      const stamps = new Map();
+      let committed = false;
+
+      try {
+        if (writes.length + removals.length === 1) {
+          for (const { name, content } of writes)
+            stamps.set(
+              name,
+              writeFileAtomic(join(this.path, name), content, this.durability),
+            );
+          for (const name of removals)
+            rmSync(join(this.path, name), { force: true });
+        } else if (writes.length + removals.length > 1) {
+          for (const { name, content } of writes) {
+            const temp = createSiblingPath(name, "tmp");
+            commit.write[name] = temp;
+            const path = join(this.path, temp);
+            stamps.set(name, writeNewFile(path, content, this.durability));
+          }
+
+          const commitPath = join(this.path, SHARD_COMMIT_NAME);
+          writeFileAtomic(commitPath, JSON.stringify(commit), this.durability);
+          committed = true;
+          this.applyShardCommit(commit);
+        }
+      } catch (error) {
+        // once committed, the files are left for the next write to move
+        if (!committed)
+          for (const temp of Object.values(commit.write))
+            rmSync(join(this.path, temp), { force: true });
+        // unwritten shards may have been modified in place, see `readData()`
+        this.shards = new Map();
+        throw error;
+      }
+
+      this.updateShards(writes, removals, stamps);
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously writes the provided data to the files of a sharded
+   * database
+   * @param {Record<string, any>} data The data to write to the database
+   * @param {string[] | null} [keys=null] The top-level keys that changed, or
+   * `null` to compare all files
+   * @returns {Promise<void>}
+   * @see {@link FSDB#writeShards}
+   */
+  async writeShardsAsync(data, keys = null) {
+    return executeSafelyAsync(this.writeData.name, async () => {
+      const pending = await this.readShardCommitAsync();
+      if (pending) await this.applyShardCommitAsync(pending);
+
+      const { writes, removals } = this.planShards(data, keys);
+      /** @type {Omit<FSDBShardCommit, "stamp">} */
+      const commit = { write: {}, remove: removals };
+      /** @type {Map<string, string>} */
+      const stamps = new Map();
+      let committed = false;
+
+      try {
+        if (writes.length + removals.length === 1) {
+          for (const { name, content } of writes) {
+            const path = join(this.path, name);
+            stamps.set(
+              name,
+              await writeFileAtomicAsync(path, content, this.durability),
+            );
+          }
+          for (const name of removals)
+            await rm(join(this.path, name), { force: true });
+        } else if (writes.length + removals.length > 1) {
+          for (const { name, content } of writes) {
+            const temp = createSiblingPath(name, "tmp");
+            commit.write[name] = temp;
+            const path = join(this.path, temp);
+            stamps.set(
+              name,
+              await writeNewFileAsync(path, content, this.durability),
+            );
+          }
+
+          const commitPath = join(this.path, SHARD_COMMIT_NAME);
+          const content = JSON.stringify(commit);
+          await writeFileAtomicAsync(commitPath, content, this.durability);
+          committed = true;
+          await this.applyShardCommitAsync(commit);
+        }
+      } catch (error) {
+        if (!committed)
+          for (const temp of Object.values(commit.write))
+            await rm(join(this.path, temp), { force: true });
+        this.shards = new Map();
+        throw error;
+      }
+
+      this.updateShards(writes, removals, stamps);
+    });
+  }
+
+  /**
+   * @private
+   * Keeps the shards of a sharded database in memory up to date with a write
+   * @param {{ name: string, fingerprint: Buffer }[]} writes The written files
+   * @param {string[]} removals The removed files
+   * @param {Map<string, string>} stamps The stamps of the written files
+   */
+  updateShards(writes, removals, stamps) {
+    for (const { name, fingerprint } of writes) {
+      // a copy, as the written data may still be modified by the caller
+      this.shards.set(name, {
+        stamp: /** @type {string} */ (stamps.get(name)),
+        data: deserialize(fingerprint),
+        fingerprint,
+      });
+    }
+    for (const name of removals) this.shards.delete(name);
+
+    this.combineShards();
+  }
+
+  /**
+   * @private
+   * Retrieves the path the database would have as a single file, which names
+   * its backups and the states in its history
+   * @returns {string} The path to the file
+   */
+  getFilePath() {
+    return this.shardOptions
+      ? `${this.path}${this.serializer.extension ?? ""}`
+      : this.path;
+  }
+
+  /**
+   * @private
+   * Writes the provided data to the database
+   * @param {Record<string, any>} data The data to write to the database
+   * @param {boolean} [record=true] Whether to record the previous state in the
+   * history
+   * @param {string[] | null} [keys=null] The top-level keys that changed, so
+   * a sharded database only rewrites their files, or `null` if unknown
+   */
+  writeData(data, record = true, keys = null) {
+    executeSafely(this.writeData.name, (createError) => {
+      if (this.ended) throw createError("The transaction has already ended.");
+      if (this.staged) {
+        this.staged = data;
+        this.journalRecords = null;
+        if (!record) this.historyPaused = true;
+        if (!keys) this.changedKeys = null;
+        else for (const key of keys) this.changedKeys?.add(key);
+        return;
+      }
+
+      // the cached data may have already been modified in place
+      this.cache = null;
+      if (record) this.recordHistory(data);
+
+      if (this.shardOptions) {
+        this.writeShards(data, keys);
+      } else {
+        const content = this.stringifyData(data);
+        const stamp = writeFileAtomic(this.path, content, this.durability);
+        // the journal no longer applies to the new file, see `replayJournal()`
+        rmSync(this.journalPath, { force: true });
+
+        // parsed again so the cache holds exactly what was written to disk
+        if (this.shouldCache())
+          this.cache = { data: this.parseContent(content), stamp: `${stamp}|` };
+      }
+
+      const indexes = this.indexes.get(data);
+      if (this.cache && indexes) this.indexes.set(this.cache.data, indexes);
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously writes the provided data to the database
+   * @param {Record<string, any>} data The data to write to the database
+   * @param {boolean} [record=true] Whether to record the previous state in the
+   * history
+   * @param {string[] | null} [keys=null] The top-level keys that changed, or
+   * `null` if unknown
+   * @returns {Promise<void>}
+   * @see {@link FSDB#writeData}
+   */
+  async writeDataAsync(data, record = true, keys = null) {
+    return executeSafelyAsync(this.writeData.name, async () => {
+      this.cache = null;
+      if (record) await this.recordHistoryAsync(data);
+      if (this.shardOptions) {
+        await this.writeShardsAsync(data, keys);
+        return;
+      }
+
+      const content = this.stringifyData(data);
+      const stamp = await writeFileAtomicAsync(
+        this.path,
+        content,
+        this.durability,
+      );
+      await rm(this.journalPath, { force: true });
+
+      if (this.shouldCache())
+        this.cache = { data: this.parseContent(content), stamp: `${stamp}|` };
+    });
+  }
+
+  /**
+   * @private
+   * Records a change to a single key in the journal, instead of rewriting the
+   * whole database file
+   * @param {Record<string, any>} data The data with the change already applied
+   * @param {string} record The serialized change
+   */
+  writeJournal(data, record) {
+    executeSafely(this.writeJournal.name, () => {
+      if (this.staged) {
+        this.staged = data;
+        this.journalRecords?.push(record);
+        return;
+      }
+
+      this.cache = null;
+      this.recordHistory(data);
+
+      const { stamp, size } = appendJournal(
+        this.journalPath,
+        this.path,
+        [this.encodeRecord(record)],
+        this.durability,
+      );
+
+      if (this.shouldCache()) this.cache = { data, stamp };
+      if (this.journalOptions && size >= this.journalOptions.threshold)
+        this.scheduleCompaction();
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously records changes in the journal
+   * @param {Record<string, any>} data The data with the changes already
+   * applied
+   * @param {string[]} records The serialized changes
+   * @returns {Promise<void>}
+   * @see {@link FSDB#writeJournal}
+   */
+  async writeJournalAsync(data, records) {
+    return executeSafelyAsync(this.writeJournal.name, async () => {
+      this.cache = null;
+      await this.recordHistoryAsync(data);
+
+      const { stamp, size } = await appendJournalAsync(
+        this.journalPath,
+        this.path,
+        records.map((record) => this.encodeRecord(record)),
+        this.durability,
+      );
+
+      if (this.shouldCache()) this.cache = { data, stamp };
+      if (this.journalOptions && size >= this.journalOptions.threshold) {
+        this.runAsync(true, (db) => db.compact()).catch((error) => {
+          process.emitWarning(error);
+        });
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Compacts the journal once the current operations have finished
+   */
+  scheduleCompaction() {
+    if (this.compactionScheduled) return;
+    this.compactionScheduled = true;
+
+    setImmediate(() => {
+      this.compactionScheduled = false;
+      try {
+        this.compact();
+      } catch (error) {
+        // the journal stays intact, so it is simply compacted later on
+        process.emitWarning(/** @type {Error} */ (error));
+      }
+    }).unref();
+  }
+
+  /**
+   * @private
+   * Parses the contents of the database file
+   * @param {string | Buffer} content The contents of the file, which may be
+   * compressed
+   * @returns {Record<string, any>} The parsed data
+   */
+  parseContent(content) {
+    const data = parseCompressed(content, this.serializer);
+    const encrypted = data[META_KEY]?.encrypted;
+    // unencrypted files are still read, so encryption can be turned on later
+    return isEncryptedContent(encrypted)
+      ? this.parseContent(this.decrypt(encrypted))
+      : data;
+  }
+
+  /**
+   * @private
+   * Converts data into the contents of the database file
+   * @param {Record<string, any>} data The data to convert
+   * @param {boolean} [compact=this.compactFormat] Whether to use the compact
+   * format
+   * @param {FSDBCompression} [compression=this.compression] How to compress
+   * the contents, which happens before they are encrypted
+   * @returns {string | Buffer} The contents of the file
+   */
+  stringifyData(
+    data,
+    compact = this.compactFormat,
+    compression = this.compression,
+  ) {
+    const serialized = this.serializer.stringify(data, compact);
+    const content = compressContent(serialized, compression);
+    if (!this.encryption) return content;
+
+    const encrypted = encryptContent(content, this.encryption);
+    return this.serializer.stringify({ [META_KEY]: { encrypted } }, compact);
+  }
+
+  /**
+   * @private
+   * Serializes changes into a record of the journal. The JSON formats record
+   * them as JSON, while other formats record them with their serializer, so
+   * the values it can represent survive until the journal is compacted
+   * @param {FSDBChange[]} changes The changes to record
+   * @returns {string} The serialized changes
+   */
+  serializeChanges(changes) {
+    if (
+      this.serializer === SERIALIZERS.json ||
+      this.serializer === SERIALIZERS.ndjson
+    )
+      return JSON.stringify(changes);
+
+    const content = Buffer.from(this.serializer.stringify({ changes }, true));
+    return JSON.stringify({ serialized: content.toString("base64") });
+  }
+
+  /**
+   * @private
+   * Converts a record of changes into a line of the journal
+   * @param {string} record The serialized changes
+   * @returns {string} The line of the journal
+   */
+  encodeRecord(record) {
+    if (!this.encryption) return record;
+    return JSON.stringify(encryptContent(record, this.encryption));
+  }
+
+  /**
+   * @private
+   * Converts a parsed line of the journal back into the changes it records
+   * @param {unknown} record The parsed line
+   * @returns {FSDBChange[]} The recorded changes
+   */
+  decodeRecord(record) {
+    const decoded = isEncryptedContent(record)
+      ? JSON.parse(this.decrypt(record).toString("utf8"))
+      : record;
+    if (!isPlainObject(decoded) || typeof decoded.serialized !== "string")
+      return decoded;
+
+    const content = Buffer.from(decoded.serialized, "base64");
+    return this.serializer.parse(content).changes;
+  }
+
+  /**
+   * @private
+   * Decrypts content encrypted by {@link encryptContent}, telling a missing or
+   * wrong key apart from corrupted content
+   * @param {FSDBEncryptedContent} encrypted The encrypted content
+   * @returns {Buffer} The decrypted content
+   * @throws {FSDBDecryptionError} If the content can't be decrypted
+   */
+  decrypt(encrypted) {
+    const method = this.readData.name;
+    if (!this.encryption)
+      throw new FSDBDecryptionError({ method, reason: "missingKey" });
+
+    const { salt, iv, tag, check, data } = encrypted;
+    if (
+      ![salt, iv, tag, check, data].every((value) => typeof value === "string")
+    )
+      throw new FSDBDecryptionError({ method, reason: "corrupted" });
+
+    const key = deriveKey(this.encryption, salt);
+    if (createKeyCheck(key) !== check)
+      throw new FSDBDecryptionError({ method, reason: "wrongKey" });
+
+    try {
+      const decipher = createDecipheriv(
+        "aes-256-gcm",
+        key,
+        Buffer.from(iv, "base64"),
+      );
+      decipher.setAuthTag(Buffer.from(tag, "base64"));
+      return Buffer.concat([
+        decipher.update(Buffer.from(data, "base64")),
+        decipher.final(),
+      ]);
+    } catch {
+      throw new FSDBDecryptionError({ method, reason: "corrupted" });
+    }
+  }
+
+  /**
+   * @internal
+   * Asynchronously performs an operation against the contents of the
+   * database. The operation runs against a working copy, just like a
+   * transaction, so all of the synchronous methods can be reused while the
+   * file itself is read and written asynchronously. Writes are queued, so
+   * their read-modify-write cycles never interleave
+   * @template T The return type of the operation
+   * @param {boolean} write Whether the operation modifies the database
+   * @param {(db: FSDB) => T} fn The operation to perform
+   * @param {FSDBKey=} key The only key read by a reading operation, so a
+   * sharded database only reads the file holding it
+   * @returns {Promise<T>} The return value of the operation
+   */
+  runAsync(write, fn, key) {
+    if (!write) {
+      return this.readDataAsync(key).then((data) => {
+        /** @type {FSDB} */
+        const view = Object.create(this);
+        view.staged = data;
+        return fn(view);
+      });
+    }
+
+    const run = this.queue.then(async () => {
+      await this.acquireLockAsync();
+      try {
+        /** @type {FSDB} */
+        const tx = Object.create(this);
+        tx.staged = structuredClone(await this.readDataAsync());
+        tx.journalRecords = this.journalOptions ? [] : null;
+        tx.changedKeys = this.shardOptions ? new Set() : null;
+        tx.pendingEvents = [];
+
+        const result = fn(tx);
+        const data = /** @type {Record<string, any>} */ (tx.staged);
+        // the working copy may have been re-encrypted, see `rekey()`
+        this.encryption = tx.encryption;
+
+        if (!tx.journalRecords)
+          await this.writeDataAsync(
+            data,
+            !tx.historyPaused,
+            tx.changedKeys && [...tx.changedKeys],
+          );
+        else if (tx.journalRecords.length > 0)
+          await this.writeJournalAsync(data, tx.journalRecords);
+        if (tx.pendingHistory) await this.commitHistoryAsync(tx.pendingHistory);
+
+        for (const [event, payload] of tx.pendingEvents)
+          this.emitEvent(event, payload);
+        return result;
+      } finally {
+        this.releaseLock();
+      }
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   * Retrieves the data visible to users of the database, which excludes
+   * FSDB's metadata and all entries that have expired
+   * @param {FSDBKey=} key The key about to be read (see
+   * {@link FSDB#readData})
+   * @returns {Record<string, any>} The visible data, which must not be
+   * modified
+   */
+  readVisibleData(key) {
+    return executeSafely(this.readVisibleData.name, () => {
+      const data = this.readData(key);
+      if (!data[META_KEY]) return data;
+
+      const { [META_KEY]: _, ...visible } = data;
+      const now = Date.now();
+      const copied = new Set();
+
+      for (const [key, expiry] of Object.entries(getExpiryTimes(data))) {
+        if (expiry > now) continue;
+
+        // only the affected entries are copied before removing expired keys
+        const [topKey] = parseKey(key);
+        if (!copied.has(topKey)) {
+          visible[topKey] = structuredClone(visible[topKey]);
+          copied.add(topKey);
+        }
+
+        setEntry(visible, key, undefined);
+      }
+
+      return visible;
+    });
+  }
+
+  /**
+   * @private
+   * Copies a value read from the database, so modifying it can't affect the
+   * cached data or the working copy of a transaction
+   * @template T The type of the value
+   * @param {T} value The value to copy
+   * @returns {T} The copied value
+   */
+  copyValue(value) {
+    if (typeof value !== "object" || value === null) return value;
+    // decoding creates a new copy anyway
+    if (this.typed) return decodeTyped(value, this.types);
+    if (!this.shouldCache() && !this.staged) return value;
+    return structuredClone(value);
+  }
+
+  /**
+   * @private
+   * Encodes a value about to be stored, if the typed encoding is used
+   * @param {unknown} value The value to encode
+   * @returns {unknown} The value to store
+   */
+  encodeValue(value) {
+    return this.typed ? encodeTyped(value, this.types) : value;
+  }
+
+  /**
+   * @private
+   * Acquires the lock on the database file, unless this instance already
+   * holds it
+   * @throws {FSDBError} If the lock could not be acquired in time
+   */
+  acquireLock() {
+    executeSafely(this.acquireLock.name, (createError) => {
+      // a working copy never touches the file itself
+      if (this.lockOptions && this.lockDepth === 0 && !this.staged) {
+        const lockPath = `${this.path}.lock`;
+        if (!acquireLockFile(lockPath, this.lockOptions))
+          throw createError("Timed out waiting for the database lock.");
+        this.lockRefresh = refreshLockFile(lockPath, this.lockOptions.stale);
+      }
+
+      this.lockDepth++;
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously acquires the lock on the database file
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If the lock could not be acquired in time
+   * @see {@link FSDB#acquireLock}
+   */
+  async acquireLockAsync() {
+    return executeSafelyAsync(this.acquireLock.name, async (createError) => {
+      if (this.lockOptions && this.lockDepth === 0) {
+        const lockPath = `${this.path}.lock`;
+        if (!(await acquireLockFileAsync(lockPath, this.lockOptions)))
+          throw createError("Timed out waiting for the database lock.");
+        this.lockRefresh = refreshLockFile(lockPath, this.lockOptions.stale);
+      }
+
+      this.lockDepth++;
+    });
+  }
+
+  /**
+   * @private
+   * Releases the lock on the database file once the outermost operation
+   * holding it has finished
+   */
+  releaseLock() {
+    executeSafely(this.releaseLock.name, () => {
+      this.lockDepth--;
+      if (this.lockOptions && this.lockDepth === 0 && !this.staged) {
+        clearInterval(this.lockRefresh ?? undefined);
+        this.lockRefresh = null;
+        rmSync(`${this.path}.lock`, { force: true });
+      }
+    });
+  }
+
+  /**
+   * @internal
+   * Retrieves the value of a key in the database, without copying it (used by
+   * {@link FSDBCollection})
+   * @param {FSDBKey} key The key of the value to retrieve
+   * @param {Record<string, any>} data The object reference
+   * @returns {*} The value of the key
+   */
+  readEntry(key, data = this.readVisibleData(key)) {
+    return executeSafely(this.readEntry.name, () => {
+      for (const { currentKey, isLast } of Array.from(iterateKey(key))) {
+        if (isLast) return data[currentKey];
+        if (!data[currentKey]) return;
+        data = data[currentKey];
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Replaces all data in the database, emitting the changes
+   * @param {Record<string, any>} data The new data of the database
+   * @param {boolean} [record=true] Whether to record the previous state in the
+   * history
+   */
+  replaceData(data, record = true) {
+    executeSafely(this.replaceData.name, () => {
+      const previous = this.readData();
+      this.writeData(data, record);
+
+      if (!this.isListening()) return;
+      for (const { key, oldValue, newValue } of Array.from(
+        diffData(previous, data),
+      )) {
+        this.emitChange({
+          key,
+          oldValue: this.copyValue(oldValue),
+          newValue: this.copyValue(newValue),
+        });
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Sorts the files in the history directory into the states to undo and to
+   * redo changes with
+   * @param {string[]} filenames The names of the files
+   * @returns {FSDBHistory} The states, oldest first, without their size
+   */
+  parseHistory(filenames) {
+    const { ext } = parse(this.getFilePath());
+    /** @type {FSDBHistory} */
+    const history = { undo: [], redo: [] };
+
+    for (const filename of filenames) {
+      const match = filename.match(/^(undo|redo)-(\d+)(.*)$/);
+      if (!match || match[3] !== ext) continue;
+
+      const kind = /** @type {"undo" | "redo"} */ (match[1]);
+      const path = join(this.historyPath, filename);
+      history[kind].push({ path, sequence: Number(match[2]), size: 0 });
+    }
+
+    history.undo.sort((a, b) => a.sequence - b.sequence);
+    history.redo.sort((a, b) => a.sequence - b.sequence);
+    return history;
+  }
+
+  /**
+   * @private
+   * Lists the states of the database kept in its history
+   * @returns {FSDBHistory} The states, oldest first
+   */
+  listHistory() {
+    return executeSafely(this.listHistory.name, () => {
+      if (!existsSync(this.historyPath)) return { undo: [], redo: [] };
+
+      const history = this.parseHistory(readdirSync(this.historyPath));
+      for (const entry of [...history.undo, ...history.redo])
+        entry.size = statSync(entry.path).size;
+      return history;
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously lists the states of the database kept in its history
+   * @returns {Promise<FSDBHistory>} The states, oldest first
+   * @see {@link FSDB#listHistory}
+   */
+  async listHistoryAsync() {
+    return executeSafelyAsync(this.listHistory.name, async () => {
+      /** @type {string[]} */
+      let filenames;
+      try {
+        filenames = await readdir(this.historyPath);
+      } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT")
+          return { undo: [], redo: [] };
+        throw error;
+      }
+
+      const history = this.parseHistory(filenames);
+      for (const entry of [...history.undo, ...history.redo])
+        entry.size = (await stat(entry.path)).size;
+      return history;
+    });
+  }
+
+  /**
+   * @private
+   * Works out the files to write and to remove to change the history into
+   * the provided states. The oldest states beyond the depth and the size limit
+   * of the history are dropped, starting with the ones to undo changes with
+   * @param {FSDBHistory} history The states currently kept
+   * @param {FSDBPendingHistory} next The states to keep instead
+   * @returns {FSDBHistoryPlan} The changes to the files
+   */
+  planHistory(history, next) {
+    const { depth, maxSize } = /** @type {Required<FSDBHistoryOptions>} */ (
+      this.historyOptions
+    );
+    const { ext } = parse(this.getFilePath());
+
+    /** @type {(FSDBHistoryEntry & { content?: string | Buffer })[]} */
+    const kept = [];
+    for (const kind of /** @type {const} */ (["undo", "redo"])) {
+      let sequence = history[kind].at(-1)?.sequence ?? 0;
+      const states =
+        kind === "undo"
+          ? next.undo.slice(Math.max(next.undo.length - depth, 0))
+          : next.redo;
+
+      for (const state of states) {
+        if (!("data" in state)) {
+          kept.push(state);
+          continue;
+        }
+
+        const content = this.stringifyData(state.data, true);
+        const path = join(this.historyPath, `${kind}-${++sequence}${ext}`);
+        kept.push({
+          path,
+          sequence,
+          size: Buffer.byteLength(content),
+          content,
+        });
+      }
+    }
+
+    let size = kept.reduce((total, entry) => total + entry.size, 0);
+    while (size > maxSize && kept.length > 0)
+      size -= /** @type {FSDBHistoryEntry} */ (kept.shift()).size;
+
+    const paths = new Set(kept.map(({ path }) => path));
+    return {
+      write: kept.flatMap(({ path, content }) =>
+        content === undefined ? [] : [{ path, content }],
+      ),
+      remove: [...history.undo, ...history.redo]
+        .map(({ path }) => path)
+        .filter((path) => !paths.has(path)),
+    };
+  }
+
+  /**
+   * @private
+   * Changes the files of the history, writing the new states before the old
+   * ones are removed
+   * @param {FSDBHistoryPlan} plan The changes to the files
+   */
+  applyHistory({ write, remove }) {
+    executeSafely(this.applyHistory.name, () => {
+      if (write.length > 0) mkdirSync(this.historyPath, { recursive: true });
+      for (const { path, content } of write)
+        writeFileAtomic(path, content, this.durability);
+      for (const path of remove) rmSync(path, { force: true });
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously changes the files of the history
+   * @param {FSDBHistoryPlan} plan The changes to the files
+   * @returns {Promise<void>}
+   * @see {@link FSDB#applyHistory}
+   */
+  async applyHistoryAsync({ write, remove }) {
+    return executeSafelyAsync(this.applyHistory.name, async () => {
+      if (write.length > 0) await mkdir(this.historyPath, { recursive: true });
+      for (const { path, content } of write)
+        await writeFileAtomicAsync(path, content, this.durability);
+      for (const path of remove) await rm(path, { force: true });
+    });
+  }
+
+  /**
+   * @private
+   * Replaces the states kept in the history. A working copy only holds on to
+   * them until it is written (see {@link FSDB#transaction})
+   * @param {FSDBPendingHistory} next The states to keep
+   */
+  commitHistory(next) {
+    executeSafely(this.commitHistory.name, () => {
+      if (this.staged) this.pendingHistory = next;
+      else this.applyHistory(this.planHistory(this.listHistory(), next));
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously replaces the states kept in the history
+   * @param {FSDBPendingHistory} next The states to keep
+   * @returns {Promise<void>}
+   * @see {@link FSDB#commitHistory}
+   */
+  async commitHistoryAsync(next) {
+    return executeSafelyAsync(this.commitHistory.name, async () => {
+      const history = await this.listHistoryAsync();
+      await this.applyHistoryAsync(this.planHistory(history, next));
+    });
+  }
+
+  /**
+   * @private
+   * Records the state of the database before it is replaced with new data,
+   * so the change can be undone. Redoing undone changes is no longer possible
+   * afterwards
+   * @param {Record<string, any>} data The new data of the database
+   */
+  recordHistory(data) {
+    executeSafely(this.recordHistory.name, () => {
+      if (!this.historyOptions) return;
+
+      // read from disk, as the cached data may have already been modified
+      const previous = this.readData();
+      if (isDeepStrictEqual(previous, data)) return;
+
+      const history = this.listHistory();
+      const next = { undo: [...history.undo, { data: previous }], redo: [] };
+      this.applyHistory(this.planHistory(history, next));
+    });
+  }
+
+  /**
+   * @private
+   * Asynchronously records the state of the database before it is replaced
+   * @param {Record<string, any>} data The new data of the database
+   * @returns {Promise<void>}
+   * @see {@link FSDB#recordHistory}
+   */
+  async recordHistoryAsync(data) {
+    return executeSafelyAsync(this.recordHistory.name, async () => {
+      if (!this.historyOptions) return;
+
+      const previous = await this.readDataAsync();
+      if (isDeepStrictEqual(previous, data)) return;
+
+      const history = await this.listHistoryAsync();
+      const next = { undo: [...history.undo, { data: previous }], redo: [] };
+      await this.applyHistoryAsync(this.planHistory(history, next));
+    });
+  }
+
+  /**
+   * @private
+   * Restores the latest state from one side of the history, moving the
+   * current state to the other side
+   * @param {string} method The name of the method restoring the state
+   * @param {"undo" | "redo"} from The side to restore the state from
+   * @param {"undo" | "redo"} to The side to move the current state to
+   * @returns {boolean} Whether there was a state to restore
+   */
+  stepHistory(method, from, to) {
+    return executeSafely(method, (createError) => {
+      if (!this.historyOptions) throw createError("History is not enabled.");
+
+      return this.withLock(() => {
+        const history = this.pendingHistory ?? this.listHistory();
+        const state = history[from].at(-1);
+        if (!state) return false;
+
+        const data =
+          "data" in state
+            ? state.data
+            : this.parseContent(readFileSync(state.path));
+        /** @type {FSDBPendingHistory} */
+        const next = {
+          ...history,
+          [from]: history[from].slice(0, -1),
+          [to]: [...history[to], { data: this.readData() }],
+        };
+
+        if (this.staged) {
+          this.replaceData(data, false);
+          this.commitHistory(next);
+          return true;
+        }
+
+        // only working copies have pending states, and the current state is
+        // serialized before it is replaced
+        const plan = this.planHistory(
+          /** @type {FSDBHistory} */ (history),
+          next,
+        );
+        this.replaceData(data, false);
+        this.applyHistory(plan);
+        return true;
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Retrieves the path to a named snapshot of the database
+   * @param {string} name The name of the snapshot
+   * @returns {string} The path to the snapshot
+   */
+  getSnapshotPath(name) {
+    const { ext } = parse(this.getFilePath());
+    return join(this.historyPath, `snapshot-${encodeURIComponent(name)}${ext}`);
+  }
+
+  /**
+   * @private
+   * Applies changes to the database with a single write
+   * @param {(data: Record<string, any>) => FSDBChange[]} getChanges A function
+   * that takes the current data and returns the changes to apply
+   */
+  writeChanges(getChanges) {
+    executeSafely(this.writeChanges.name, () => {
+      this.withLock(() => {
+        const data = this.readData();
+        const changes = getChanges(data);
+        if (changes.length === 0) return;
+
+        if (!this.journalOptions) {
+          this.applyCheckedChanges(data, changes);
+          const keys = changes.map(({ key }) => String(parseKey(key)[0]));
+          this.writeData(data, true, keys);
+          return;
+        }
+
+        // applied as parsed from the record, so the data matches the journal
+        const record = this.serializeChanges(changes);
+        this.applyCheckedChanges(data, this.decodeRecord(JSON.parse(record)));
+        this.writeJournal(data, record);
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Retrieves the secondary indexes of a version of the data, building the
+   * ones that haven't been built for it yet
+   * @param {Record<string, any>} data The data of the database
+   * @returns {Map<string, FSDBIndex>} The indexes by their
+   * {@link FSDB#getIndexId}
+   */
+  getIndexes(data) {
+    return executeSafely(this.getIndexes.name, () => {
+      /** @type {Record<string, Record<string, FSDBIndexOptions>>} */
+      const definitions = data[META_KEY]?.indexes ?? {};
+      const indexes = this.indexes.get(data) ?? new Map();
+      const ids = new Set();
+
+      for (const [prefix, fields] of Object.entries(definitions)) {
+        for (const [field, { unique = false }] of Object.entries(fields)) {
+          const id = this.getIndexId(prefix, field);
+          ids.add(id);
+          if (!indexes.has(id))
+            indexes.set(id, buildIndex(data, prefix, field, unique).index);
+        }
+      }
+
+      for (const id of indexes.keys()) if (!ids.has(id)) indexes.delete(id);
+      this.indexes.set(data, indexes);
+      return indexes;
+    });
+  }
+
+  /**
+   * @private
+   * Identifies an index
+   * @param {string} prefix The key whose children are indexed
+   * @param {string} field The indexed field
+   * @returns {string} The id of the index
+   */
+  getIndexId(prefix, field) {
+    return JSON.stringify([prefix, field]);
+  }
+
+  /**
+   * @private
+   * Applies changes to the data, keeping its secondary indexes up to date and
+   * validating the changed values against their schemas. If the changes
+   * violate a unique index or a schema, they are undone again
+   * @param {Record<string, any>} data The data to apply the changes to
+   * @param {FSDBChange[]} changes The changes to apply
+   * @throws {FSDBUniqueError} If a unique index would hold a value twice
+   * @throws {FSDBValidationError} If a value doesn't match its schema
+   */
+  applyCheckedChanges(data, changes) {
+    const indexes = this.getIndexes(data);
+    if (indexes.size === 0 && this.schemas.size === 0)
+      return applyChanges(data, changes);
+
+    // the values replaced by the changes, including any missing objects
+    // created along the way, in the order they have to be restored in
+    const previous = changes
+      .map(({ key }) => {
+        const segments = parseKey(key);
+        let length = 1;
+        while (
+          length < segments.length &&
+          getPath(data, segments.slice(0, length))
+        )
+          length++;
+
+        const path = segments.slice(0, length);
+        return { key: path, value: getPath(data, path) };
+      })
+      .reverse();
+    applyChanges(data, changes);
+
+    const conflict = updateIndexes(indexes.values(), data, changes);
+    const violation = conflict ? undefined : this.findViolation(data, changes);
+    if (!conflict && !violation) return;
+
+    applyChanges(data, previous);
+    this.indexes.delete(data);
+
+    if (conflict) {
+      throw new FSDBUniqueError({
+        method: this.writeChanges.name,
+        field: conflict.index.field,
+        key: stringifyKey([...conflict.index.prefix, conflict.key]),
+        value: JSON.parse(conflict.value),
+      });
+    }
+    throw new FSDBValidationError({
+      method: this.writeChanges.name,
+      violation: /** @type {FSDBSchemaViolation} */ (violation),
+    });
+  }
+
+  /**
+   * @private
+   * Validates the values affected by changes against their schemas, that is
+   * the values of changed keys matching a pattern, and of the matching keys
+   * nested within or containing a changed key
+   * @param {Record<string, any>} data The data with the changes applied
+   * @param {FSDBChange[]} changes The applied changes
+   * @returns {FSDBSchemaViolation | undefined} The first violation, if any
+   */
+  findViolation(data, changes) {
+    for (const [pattern, schema] of this.schemas) {
+      const patternSegments = parseKey(pattern).map(String);
+      /** @type {Set<string>} */
+      const keys = new Set();
+
+      for (const { key } of changes) {
+        const segments = parseKey(key).map(String);
+        const length = Math.min(segments.length, patternSegments.length);
+        if (
+          segments[0] === META_KEY ||
+          segments
+            .slice(0, length)
+            .some(
+              (s, i) => patternSegments[i] !== "*" && patternSegments[i] !== s,
+            )
+        )
+          continue;
+
+        const matches =
+          segments.length >= patternSegments.length
+            ? [segments.slice(0, patternSegments.length)]
+            : findMatchingKeys(
+                getPath(data, segments),
+                patternSegments.slice(segments.length),
+                segments,
+              );
+        for (const match of matches) keys.add(stringifyKey(match));
+      }
+
+      for (const key of keys) {
+        const value = getPath(data, key);
+        if (value === undefined) continue;
+
+        const [violation] = validateValue(value, schema, key);
+        if (violation) return violation;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Finds the children that can match a filter using a secondary index, by
+   * looking up the values an indexed field has to be equal to
+   * @param {string} prefix The key whose children are searched
+   * @param {FSDBFilter} filter The filter the children have to match
+   * @returns {string[] | null} The keys of the candidates relative to the
+   * prefix, or `null` if no index can be used
+   */
+  findIndexedKeys(prefix, filter) {
+    return executeSafely(this.findIndexedKeys.name, () => {
+      const indexes = this.getIndexes(this.readData());
+
+      for (const [field, condition] of Object.entries(filter)) {
+        const index = indexes.get(this.getIndexId(prefix, field));
+        if (!index) continue;
+
+        const values = !isPlainObject(condition)
+          ? [condition]
+          : "$eq" in condition
+            ? [condition.$eq]
+            : condition.$in;
+        // objects only match regardless of the order of their keys, and
+        // BigInts have no JSON representation to look up
+        if (
+          !Array.isArray(values) ||
+          values.some(
+            (value) =>
+              (typeof value === "object" && value !== null) ||
+              typeof value === "bigint",
+          )
+        )
+          continue;
+
+        return values.flatMap((value) => [
+          ...(index.values.get(JSON.stringify(value)) ?? []),
+        ]);
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * @private
+   * Converts the options for saving a value into its expiry time
+   * @param {FSDBSetOptions} options When the value should expire
+   * @param {(message: string) => FSDBError} createError Creates the errors
+   * @returns {number | null} When the value expires (as a timestamp in
+   * milliseconds), or `null` if it never expires
+   */
+  parseExpiry(options, createError) {
+    const { ttl, expireAt } = options;
+    if (ttl !== undefined && expireAt !== undefined)
+      throw createError('Only one of "ttl" and "expireAt" can be provided.');
+
+    if (ttl !== undefined) {
+      if (typeof ttl !== "number" || !(ttl > 0))
+        throw createError("TTL must be a positive number.");
+      return Date.now() + ttl;
+    }
+    if (expireAt !== undefined) {
+      const expiry = new Date(expireAt).getTime();
+      if (isNaN(expiry)) throw createError("Expiry date is invalid.");
+      return expiry;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * Overwrites the value of a key in the database with the provided value. If
+   * the value is `undefined`, the key will be deleted. The expiry times of
+   * keys nested within it are cleared, and entries that have expired in the
+   * meantime are removed along the way
+   * @param {FSDBKey} key The key of the value to change, potentially in
+   * dot-notation
+   * @param {any=} value The new value to change set the key to
+   * @param {(number | null)=} expiry When the key expires (as a timestamp in
+   * milliseconds), `null` if it never expires, or `undefined` to keep its
+   * current expiry time
+   */
+  writeEntry(key, value, expiry) {
+    executeSafely(this.writeEntry.name, () => {
+      const path = normalizeKey(key);
+      const listening = this.isListening();
+      let oldValue;
+
+      this.writeChanges((data) => {
+        if (listening) oldValue = this.copyValue(this.readEntry(path));
+
+        const expiryTimes = getExpiryTimes(data);
+        const newExpiry = expiry === undefined ? expiryTimes[path] : expiry;
+        const now = Date.now();
+
+        // the segments tell bracket indices apart, which create arrays
+        /** @type {FSDBChange[]} */
+        const changes = [{ key: parseKey(key), value }];
+
+        for (const [expiringKey, time] of Object.entries(expiryTimes)) {
+          const replaced = isWithinKey(expiringKey, path);
+
+          // expired entries are removed first, so they can't affect the value
+          if (time <= now && !replaced) changes.unshift({ key: expiringKey });
+          if (time <= now || replaced)
+            changes.push({ key: [META_KEY, "expires", expiringKey] });
+        }
+
+        if (value !== undefined && typeof newExpiry === "number") {
+          const expiryKey = [META_KEY, "expires", path];
+          changes.push({ key: expiryKey, value: newExpiry });
+        }
+
+        return changes;
+      });
+
+      if (listening) {
+        const newValue = this.copyValue(this.readEntry(path));
+        this.emitChange({ key: path, oldValue, newValue });
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Performs an operation on an array in the database
+   * @param {string} method The method that called this function (used for
+   * error messages)
+   * @param {FSDBKey} key The key of the array to perform the operation on
+   * @param {(currentValue: any[], createError: (message: string) => FSDBError) => any[]} fn
+   * A function that takes a copy of the current value and returns the new
+   * value (the array operation), which may be the modified copy
+   * @param {boolean} [initialize=false] Whether a missing array is treated as
+   * an empty one (see {@link FSDBOptions.initializeArrays})
+   * @throws {FSDBError} When a parsing or another error occurs
+   */
+  setArray(method, key, fn, initialize = false) {
+    executeSafely(method, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+
+      this.withLock(() => {
+        const current = this.get(key);
+        const data = current === undefined && initialize ? [] : current;
+
+        if (!Array.isArray(data)) throw createError("Value is not an array.");
+
+        this.writeEntry(key, this.encodeValue(fn(data, createError)));
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Performs an operation on a numeric value in the database
+   * @param {string} method The method that called this function (used for
+   * error messages)
+   * @param {FSDBKey} key The key of the number to perform the operation on
+   * @param {number | bigint} value The operand of the operation
+   * @param {(currentValue: any, value: any) => number | bigint} fn A function
+   * that takes the current value and the operand and returns the new value
+   * (the arithmetic operation). Both are either numbers or BigInts
+   * @throws {FSDBError} When a parsing or another error occurs
+   */
+  setNumber(method, key, value, fn) {
+    executeSafely(method, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+
+      this.withLock(() => {
+        const data = this.get(key);
+
+        if (typeof data === "bigint") {
+          if (typeof value !== "bigint" && !Number.isInteger(value))
+            throw createError("Value must be an integer or a BigInt.");
+
+          this.writeEntry(key, this.encodeValue(fn(data, BigInt(value))));
+          return;
+        }
+
+        if (typeof data !== "number" || isNaN(data))
+          throw createError("Value is not a number.");
+
+        const result = fn(data, value);
+        if (typeof result !== "number" || isNaN(result))
+          throw createError("Result is not a number.");
+
+        this.writeEntry(key, result);
+      });
+    });
+  }
+
+  /**
+   * @private
+   * Validates the options for a backup
+   * @param {FSDBBackupOptions} options The options for the backup
+   * @param {(message: string) => FSDBError} createError Creates the errors
+   * @returns {{ dir: string, keep: number, compression: FSDBCompression }} The
+   * directory of timestamped backups, how many of them to keep and how to
+   * compress the backup
+   */
+  parseBackupOptions(options, createError) {
+    const {
+      compress = this.compression,
+      dir = join(dirname(this.path), "backups"),
+      keep = Infinity,
+    } = options;
+
+    /** @type {FSDBCompression} */
+    let compression;
+    if (compress === true)
+      compression = this.compression === "none" ? "gzip" : this.compression;
+    else if (compress === false) compression = "none";
+    else if (COMPRESSION_FORMATS.includes(compress)) compression = compress;
+    else
+      throw createError(
+        `Compression must be one of "${COMPRESSION_FORMATS.join('", "')}".`,
+      );
+
+    if (keep !== Infinity && !(Number.isInteger(keep) && keep > 0))
+      throw createError("Keep must be a positive integer.");
+
+    return { dir: resolve(dir), keep, compression };
+  }
+
+  /**
+   * Backup all database contents to another file, replacing it if it already
+   * exists. Without a path, a timestamped backup is made in a directory
+   * instead, optionally deleting the oldest ones. Compact mode is used on all
+   * backups to keep the file size minimal
+   * @param {string | FSDBBackupOptions} [path={}] The path to the file you want
+   * to backup to, or the options for a timestamped backup
+   * @param {FSDBBackupOptions} [options={}] Whether to compress the backup
+   * @returns {string} The path to the backup
+   * @throws {FSDBError} When a file or another error occurs
+   * @example <caption>Backing up the database</caption>
+   * db.backup("./Backups/db-backup.json");
+   * @example <caption>Creating a compressed backup</caption>
+   * db.backup("./Backups/db-backup.json", { compress: true });
+   * @example <caption>Keeping the last 7 timestamped backups</caption>
+   * db.backup({ dir: "./Backups", keep: 7 });
+   * // => "/path/to/Backups/db-2024-01-31T12-00-00-000Z.json"
+   */
+  backup(path = {}, options = {}) {
+    return executeSafely(this.backup.name, (createError) => {
+      if (!path) throw createError("No path provided.");
+
+      const timestamped = typeof path !== "string";
+      const { dir, keep, compression } = this.parseBackupOptions(
+        timestamped ? path : options,
+        createError,
+      );
+
+      let backupPath;
+      if (timestamped) {
+        mkdirSync(dir, { recursive: true });
+        backupPath = createBackupPath(
+          dir,
+          this.getFilePath(),
+          readdirSync(dir),
+        );
+      } else {
+        backupPath = resolveDatabasePath(path, this.serializer.extension);
+        if (backupPath === this.path)
+          throw createError("Path is same as database.");
+      }
+
+      if (this.getAll(true).length === 0)
+        console.warn("Backing up empty database.");
+
+      const content = this.stringifyData(this.readData(), true, compression);
+      writeFileAtomic(backupPath, content, this.durability);
+
+      if (timestamped)
+        for (const { path } of this.listBackups(dir).slice(keep))
+          rmSync(path, { force: true });
+      return backupPath;
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously backup all database contents to another file, or a
+   * timestamped backup
+   * @param {string | FSDBBackupOptions} [path={}] The path to the file you want
+   * to backup to, or the options for a timestamped backup
+   * @param {FSDBBackupOptions} [options={}] Whether to compress the backup
+   * @returns {Promise<string>} The path to the backup
+   * @throws {FSDBError} When a file or another error occurs
+   * @see {@link FSDB#backup}
+   */
+  async backupAsync(path = {}, options = {}) {
+    return executeSafelyAsync(this.backup.name, async (createError) => {
+      if (!path) throw createError("No path provided.");
+
+      const timestamped = typeof path !== "string";
+      const { dir, keep, compression } = this.parseBackupOptions(
+        timestamped ? path : options,
+        createError,
+      );
+
+      let backupPath;
+      if (timestamped) {
+        await mkdir(dir, { recursive: true });
+        const filenames = await readdir(dir);
+        backupPath = createBackupPath(dir, this.getFilePath(), filenames);
+      } else {
+        backupPath = toDatabasePath(path, this.serializer.extension);
+        if (backupPath === this.path)
+          throw createError("Path is same as database.");
+        await mkdir(dirname(backupPath), { recursive: true });
+      }
+
+      const data = await this.readDataAsync();
+      /** @type {FSDB} */
+      const view = Object.create(this);
+      view.staged = data;
+      if (view.getAll(true).length === 0)
+        console.warn("Backing up empty database.");
+
+      const content = this.stringifyData(data, true, compression);
+      await writeFileAtomicAsync(backupPath, content, this.durability);
+
+      if (timestamped)
+        for (const { path } of (await this.listBackupsAsync(dir)).slice(keep))
+          await rm(path, { force: true });
+      return backupPath;
+    });
+  }
+
+  /**
+   * Replace the value of a key only if it currently equals an expected value
+   * (compare-and-set). Values are compared by deep equality, and `undefined`
+   * stands for a missing key, both as the expected and the next value
+   * @param {FSDBKey} key The key of the value
+   * @param {any} expected The value the key is expected to have
+   * @param {any} next The value to replace it with
+   * @returns {boolean} Whether the value was replaced
+   * @throws {FSDBError} If no key was provided
+   * @example <caption>Claiming a job only if nobody else has</caption>
+   * db.cas("jobs.1.owner", null, "worker-1");
+   * // => true
+   */
+  cas(key, expected, next) {
+    return executeSafely(this.cas.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+
+      return this.withLock(() => {
+        if (!isDeepStrictEqual(this.get(key), expected)) return false;
+
+        this.writeEntry(key, this.encodeValue(next));
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Retrieve a collection of documents stored under a key, each by its unique
+   * ID
+   * @param {FSDBKey} name The key the documents are stored under
+   * @param {FSDBCollectionOptions} [options={}] The field holding the IDs
+   * @returns {FSDBCollection} The collection
+   * @throws {FSDBError} If no name or invalid options were provided
+   * @example <caption>Adding a user</caption>
+   * const users = db.collection("users");
+   * users.insert({ name: "WillTDA" });
+   * // => { id: "3f9a1c2e8b7d4a60", name: "WillTDA" }
+   */
+  collection(name, options = {}) {
+    return new FSDBCollection(this, name, options);
+  }
+
+  /**
+   * Delete a value from the database
+   * @param {FSDBKey} key The key of the data you want to delete
+   * @throws {FSDBError} When a parsing or another error occurs
+   * @example <caption>Deleting a value</caption>
+   * db.delete("key");
+   * @example <caption>Deleting a value using dot notation</caption>
+   * db.delete("foo.bar");
+   */
+  delete(key) {
+    executeSafely(this.delete.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      this.writeEntry(key);
+    });
+  }
+
+  /**
+   * Delete all data from the database (this CANNOT be undone, unless the
+   * `history` option is enabled!)
+   * @throws {FSDBError} When a file or another error occurs
+   * @example <caption>Deleting all data</caption>
+   * db.deleteAll();
+   */
+  deleteAll() {
+    executeSafely(this.deleteAll.name, () => {
+      this.withLock(() => {
+        const entries = this.isListening() ? this.getAll() : [];
+        // the definitions of the secondary indexes and the migrations that
+        // ran are kept
+        const meta = this.readData()[META_KEY] ?? {};
+        const kept = Object.fromEntries(
+          ["indexes", "version", "migrations"]
+            .filter((key) => meta[key] !== undefined)
+            .map((key) => [key, meta[key]]),
+        );
+        this.writeData(
+          Object.keys(kept).length > 0 ? { [META_KEY]: kept } : {},
+        );
+
+        if (entries.length === 0) return;
+        this.emitEvent("deleteAll", entries);
+        for (const { key, value } of entries)
+          this.emitChange({ key, oldValue: value, newValue: undefined });
+      });
+    });
+  }
+
+  /**
+   * Compact the journal into the database file, so the file holds all data
+   * again. This happens automatically once the journal grows beyond its
+   * threshold, but can also be done manually, e.g. before copying the file
+   * @throws {FSDBError} When a file or another error occurs
+   * @example <caption>Compacting the journal</caption>
+   * db.compact();
+   */
+  compact() {
+    executeSafely(this.compact.name, () => {
+      this.withLock(() => this.writeData(this.readData()));
+    });
+  }
+
+  /**
+   * Create a secondary index on a field of the children of a key, so
+   * {@link FSDB#find} and {@link FSDB#findOne} can look them up by its value
+   * without scanning all of them. The index is stored in the database file
+   * and kept up to date on every write
+   * @param {string} prefix The key whose children to index
+   * @param {string} field The field to index, in dot-notation
+   * @param {FSDBIndexOptions} [options={}] Whether the values have to be unique
+   * @throws {FSDBError} If no prefix or field was provided, or a file or
+   * another error occurs
+   * @throws {FSDBUniqueError} If a unique index is created on duplicate values
+   * @example <caption>Looking up users by email</caption>
+   * db.createIndex("users", "email", { unique: true });
+   * db.findOne("users", { email: "will@example.com" });
+   * // => { key: "users.1", value: { email: "will@example.com" } }
+   */
+  createIndex(prefix, field, options = {}) {
+    executeSafely(this.createIndex.name, (createError) => {
+      if (!prefix) throw createError("No prefix provided.");
+      if (!field) throw createError("No field provided.");
+      const { unique = false } = options;
+      const path = normalizeKey(prefix);
+
+      this.writeChanges((data) => {
+        const { conflict } = buildIndex(data, path, field, unique);
+        if (conflict) {
+          throw new FSDBUniqueError({
+            method: this.createIndex.name,
+            field,
+            key: joinKey(path, conflict.key),
+            value: JSON.parse(conflict.value),
+          });
+        }
+
+        return [{ key: [META_KEY, "indexes", path, field], value: { unique } }];
+      });
+    });
+  }
+
+  /**
+   * Define the schema the values of keys matching a pattern have to match,
+   * which is enforced whenever they are changed. A `*` segment in the pattern
+   * matches any single segment. Existing values aren't checked, see
+   * {@link FSDB#validate} for that
+   * @param {string} pattern The pattern of the keys, in dot-notation
+   * @param {FSDBSchema | null} schema The schema, or `null` to remove it
+   * @throws {FSDBError} If no pattern or an invalid schema was provided
+   * @example <caption>Requiring players to have a numeric level</caption>
+   * db.defineSchema("players.*", {
+   *   type: "object",
+   *   required: ["level"],
+   *   properties: { level: { type: "integer", minimum: 1 } },
+   * });
+   * db.set("players.will.level", "15");
+   * // => FSDBValidationError: ... "players.will.level" must be of type "integer" (rule "type").
+   */
+  defineSchema(pattern, schema) {
+    executeSafely(this.defineSchema.name, (createError) => {
+      if (!pattern) throw createError("No pattern provided.");
+      if (schema === null) return void this.schemas.delete(pattern);
+      if (!isPlainObject(schema))
+        throw createError("Schema must be an object.");
+
+      this.schemas.set(pattern, structuredClone(schema));
+    });
+  }
+
+  /**
+   * Remove a secondary index
+   * @param {string} prefix The key whose children are indexed
+   * @param {string} field The indexed field, in dot-notation
+   * @throws {FSDBError} If no prefix or field was provided, or a file or
+   * another error occurs
+   * @example <caption>Removing an index</caption>
+   * db.dropIndex("users", "email");
+   */
+  dropIndex(prefix, field) {
+    executeSafely(this.dropIndex.name, (createError) => {
+      if (!prefix) throw createError("No prefix provided.");
+      if (!field) throw createError("No field provided.");
+
+      const path = normalizeKey(prefix);
+      this.writeChanges((data) => {
+        if (!data[META_KEY]?.indexes?.[path]?.[field]) return [];
+        return [{ key: [META_KEY, "indexes", path, field] }];
+      });
+    });
+  }
+
+  /**
+   * Export the contents of the database to a CSV, NDJSON or JSON file, e.g.
+   * for spreadsheets or other tools. Unlike backups, exports are never
+   * compressed or encrypted, and can be imported with `db.import()`. Values of
+   * a typed database are exported with their tags
+   * @param {string} path The path to the file, which is replaced if it exists
+   * @param {FSDBExportOptions} [options={}] The format of the file, and the
+   * keys to export
+   * @returns {string} The resolved path to the file
+   * @throws {FSDBError} If no path or an invalid format was provided, or a file
+   * or another error occurs
+   * @example <caption>Exporting the players to a spreadsheet</caption>
+   * db.export("./players.csv", { prefix: "players" });
+   * // key,value
+   * // players.will.name,"""WillTDA"""
+   * // players.will.level,15
+   */
+  export(path, options = {}) {
+    return executeSafely(this.export.name, (createError) => {
+      if (!path) throw createError("No path provided.");
+
+      const format = getExportFormat(path, options.format);
+      if (!format) throw createError("Unknown format.");
+
+      const content = this.stringifyExport(format, options.prefix);
+      const filepath = resolve(path);
+      mkdirSync(dirname(filepath), { recursive: true });
+      writeFileAtomic(filepath, content, this.durability);
+      return filepath;
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously export the contents of the database to a CSV, NDJSON or
+   * JSON file, see `db.export()`
+   * @param {string} path The path to the file, which is replaced if it exists
+   * @param {FSDBExportOptions} [options={}] The format of the file, and the
+   * keys to export
+   * @returns {Promise<string>} The resolved path to the file
+   * @throws {FSDBError} If no path or an invalid format was provided, or a file
+   * or another error occurs
+   */
+  async exportAsync(path, options = {}) {
+    return executeSafelyAsync(this.export.name, async (createError) => {
+      if (!path) throw createError("No path provided.");
+
+      const format = getExportFormat(path, options.format);
+      if (!format) throw createError("Unknown format.");
+
+      const content = await this.runAsync(false, (db) =>
+        db.stringifyExport(format, options.prefix),
+      );
+      const filepath = resolve(path);
+      await mkdir(dirname(filepath), { recursive: true });
+      await writeFileAtomicAsync(filepath, content, this.durability);
+      return filepath;
+    });
+  }
+
+  /**
+   * @private
+   * Converts the contents of the database into the content of an export
+   * @param {FSDBExportFormat} format The format of the export
+   * @param {FSDBKey=} prefix The keys to export (defaults to all of them)
+   * @returns {string} The content of the export
+   */
+  stringifyExport(format, prefix) {
+    // the JSON format keeps whole values, so empty objects and arrays remain
+    const entries = prefix
+      ? this.startsWith(prefix)
+      : this.getAll(format !== "json");
+    // flattened arrays are imported as arrays again, and typed values are
+    // tagged, so they can be written as JSON and revived by `import()`
+    const data = this.readVisibleData();
+    for (const entry of entries) {
+      entry.key = toIndexedKey(data, entry.key);
+      entry.value = this.encodeValue(entry.value);
+    }
+
+    if (format === "csv") {
+      return stringifyCsv([
+        ["key", "value"],
+        // strings are quoted too, so text like `15` stays text
+        ...entries.map(({ key, value }) => [key, JSON.stringify(value)]),
+      ]);
+    }
+    if (format === "ndjson")
+      return entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+
+    const exported = {};
+    for (const { key, value } of entries) setEntry(exported, key, value);
+    return JSON.stringify(exported, null, this.compactFormat ? 0 : 4);
+  }
+
+  /**
+   * Retrieve the children of a key that match a query. Unlike
+   * {@link FSDB#startsWith}, this searches the stored values themselves
+   * @param {string} prefix The key whose children to search, or `""` to search
+   * the top-level keys
+   * @param {FSDBQuery} [query={}] The filter or function the children have to
+   * match
+   * @param {FSDBFindOptions} [options={}] How to sort, limit and project the
+   * results
+   * @returns {FSDBEntry[]} A list of the matching children
+   * @throws {FSDBError} If an invalid prefix, query or options were provided
+   * @example <caption>Finding the best players above level 10</caption>
+   * db.find("players", { level: { $gt: 10 } }, { sort: { level: -1 } });
+   * // => [{ key: "players.will", value: { name: "WillTDA", level: 15 } }]
+   */
+  find(prefix, query = {}, options = {}) {
+    return executeSafely(this.find.name, (createError) => {
+      if (typeof prefix !== "string")
+        throw createError("Prefix must be a string.");
+      if (typeof query !== "function" && !isPlainObject(query))
+        throw createError("Query must be a function or a filter object.");
+
+      const { sort, limit = Infinity, skip = 0, projection } = options;
+      if (!(limit >= 0) || !(skip >= 0))
+        throw createError("Limit and skip must be non-negative numbers.");
+
+      const path = prefix && normalizeKey(prefix);
+      const data = this.readVisibleData();
+      const parent = path ? this.readEntry(path, data) : data;
+      if (typeof parent !== "object" || parent === null) return [];
+
+      const indexedKeys =
+        path && isPlainObject(query) ? this.findIndexedKeys(path, query) : null;
+      const children = indexedKeys
+        ? [...new Set(indexedKeys)]
+            .filter((key) => Object.hasOwn(parent, key))
+            .map((key) => [key, parent[key]])
+        : Object.entries(parent);
+
+      // typed values are matched and sorted as what they stand for, e.g. dates
+      // instead of their tagged representation
+      let entries = children
+        .map(([key, value]) => ({
+          key: path ? joinKey(path, key) : stringifyKey([key]),
+          value: this.typed ? decodeTyped(value, this.types) : value,
+        }))
+        .filter(({ key, value }) =>
+          typeof query === "function"
+            ? query(this.typed ? value : this.copyValue(value), key)
+            : matchesFilter(value, query, createError),
+        );
+
+      if (sort) {
+        const fields = Object.entries(sort);
+        entries.sort((a, b) => {
+          for (const [field, order] of fields) {
+            const result = compareValues(
+              getPath(a.value, field),
+              getPath(b.value, field),
+            );
+            if (result !== 0) return order < 0 ? -result : result;
+          }
+          return 0;
+        });
+      }
+
+      entries = entries.slice(skip, skip + limit);
+      return entries.map(({ key, value }) => {
+        // decoding has already made a copy
+        const copy = this.typed ? value : this.copyValue(value);
+        return {
+          key,
+          value: projection
+            ? projectValue(copy, projection, createError)
+            : copy,
+        };
+      });
+    });
+  }
+
+  /**
+   * Retrieve the first child of a key that matches a query
+   * @param {string} prefix The key whose children to search, or `""` to search
+   * the top-level keys
+   * @param {FSDBQuery} [query={}] The filter or function the child has to match
+   * @param {FSDBFindOptions} [options={}] How to sort and project the results
+   * @returns {FSDBEntry | undefined} The first matching child (`undefined` if
+   * none matched)
+   * @throws {FSDBError} If an invalid prefix, query or options were provided
+   * @example <caption>Finding a player by name</caption>
+   * db.findOne("players", { name: "WillTDA" });
+   * // => { key: "players.will", value: { name: "WillTDA", level: 15 } }
+   */
+  findOne(prefix, query = {}, options = {}) {
+    return executeSafely(this.findOne.name, () => {
+      return this.find(prefix, query, { ...options, limit: 1 })[0];
+    });
+  }
+
+  /**
+   * Retrieve a value from the database
+   * @param {FSDBKey} key The key of the data you want to retrieve
+   * @returns {any} The data found (`undefined` if not found)
+   * @throws {FSDBError} If no key was provided
+   * @example <caption>Retrieving a value</caption>
+   * db.get("key");
+   * // => "value"
+   */
+  get(key) {
+    return executeSafely(this.getAll.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      return this.copyValue(this.readEntry(key));
+    });
+  }
+
+  /**
+   * Fetch all data from the database
+   * @param {boolean=} verbose Whether or not to escape dot notation and class
+   * those as individual entries (defaults to "false")
+   * @returns {FSDBEntry[]} All data in the database
+   * @throws {FSDBError} If the database could not be parsed
+   * @example <caption>With "verbose" disabled</caption>
+   * db.getAll(false);
+   * // => [{ key: "key", value: "value" }, { key: "foo", value: { "bar": "value" } }]
+   * @example <caption>With "verbose" enabled</caption>
+   * db.getAll(true);
+   * // => [{ key: "key", value: "value" }, { key: "foo.bar", value: "value" }]
+   */
+  getAll(verbose) {
+    return executeSafely(this.getAll.name, () => {
+      const data = this.readVisibleData();
+      return Object.entries(verbose ? flattenObject(data) : data).map(
+        ([key, value]) => ({ key, value: this.copyValue(value) }),
+      );
+    });
+  }
+
+  /**
+   * Check if a key exists in the database
+   * @param {FSDBKey} key The key to check
+   * @returns {boolean} Whether the key exists
+   * @throws {FSDBError} If no key was provided
+   * @example <caption>Check if ""key"" exists</caption>
+   * db.has("key");
+   * // => true
+   */
+  has(key) {
+    return executeSafely(this.has.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      return this.readEntry(key) !== undefined;
+    });
+  }
+
+  /**
+   * Import a CSV, NDJSON or JSON file, e.g. one created with
+   * `db.export()`. The whole file is validated first, and then written
+   * to the database at once. CSV cells are parsed as JSON where possible, and
+   * kept as text otherwise
+   * @param {string} path The path to the file
+   * @param {FSDBImportOptions} [options={}] The format of the file, and whether
+   * to merge or replace the data
+   * @returns {number} The number of imported keys
+   * @throws {FSDBUniqueError} If a unique index would hold a value twice
+   * @throws {FSDBValidationError} If a value doesn't match its schema
+   * @throws {FSDBError} If no path, invalid options or an invalid file were
+   * provided, or a file or another error occurs
+   * @example <caption>Importing players from a spreadsheet</caption>
+   * db.import("./players.csv");
+   * // => 2
+   */
+  import(path, options = {}) {
+    return executeSafely(this.import.name, (createError) => {
+      const { format, mode } = parseImportOptions(path, options, createError);
+      const content = readFileSync(resolve(path), "utf8");
+
+      const imported = this.parseImport(content, format, createError);
+      this.applyImport(imported, mode);
+      return Object.keys(flattenObject(imported)).length;
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously import a CSV, NDJSON or JSON file, see `db.import()`
+   * @param {string} path The path to the file
+   * @param {FSDBImportOptions} [options={}] The format of the file, and whether
+   * to merge or replace the data
+   * @returns {Promise<number>} The number of imported keys
+   * @throws {FSDBUniqueError} If a unique index would hold a value twice
+   * @throws {FSDBValidationError} If a value doesn't match its schema
+   * @throws {FSDBError} If no path, invalid options or an invalid file were
+   * provided, or a file or another error occurs
+   */
+  async importAsync(path, options = {}) {
+    return executeSafelyAsync(this.import.name, async (createError) => {
+      const { format, mode } = parseImportOptions(path, options, createError);
+      const content = await readFile(resolve(path), "utf8");
+
+      const imported = this.parseImport(content, format, createError);
+      await this.runAsync(true, (db) => db.applyImport(imported, mode));
+      return Object.keys(flattenObject(imported)).length;
+    });
+  }
+
+  /**
+   * @private
+   * Parses and validates the content of a file to import
+   * @param {string} content The content of the file
+   * @param {FSDBExportFormat} format The format of the file
+   * @param {(message: string) => FSDBError} createError Creates the error
+   * thrown for an invalid file
+   * @returns {Record<string, any>} The imported data
+   * @throws {FSDBError} If the file is invalid
+   */
+  parseImport(content, format, createError) {
+    content = content.replace(/^\uFEFF/, "");
+    /** @type {Record<string, any>} */
+    let imported = {};
+
+    if (format === "json") {
+      imported = JSON.parse(content);
+      if (!isPlainObject(imported))
+        throw createError("The file must contain an object.");
+    } else if (format === "ndjson") {
+      for (const [i, line] of content.split("\n").entries()) {
+        if (line.trim() === "") continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {}
+        if (
+          !isPlainObject(entry) ||
+          typeof entry.key !== "string" ||
+          !entry.key ||
+          !("value" in entry)
+        )
+          throw createError(`Invalid entry on line ${i + 1}.`);
+        setEntry(imported, entry.key, entry.value);
+      }
+    } else {
+      const [header, ...rows] = parseCsv(content) ?? [];
+      if (header?.join(",") !== "key,value")
+        throw createError('The file must have a "key" and a "value" column.');
+
+      for (const [i, row] of rows.entries()) {
+        const [key, value] = row;
+        if (row.length !== 2 || !key)
+          throw createError(`Invalid row ${i + 1}.`);
+        setEntry(imported, key, parseCsvValue(value));
+      }
+    }
+
+    if (Object.hasOwn(imported, META_KEY))
+      throw createError(`The "${META_KEY}" key is reserved.`);
+    if (hasUnsafeKey(imported))
+      throw createError(
+        `The "${UNSAFE_KEYS.join('", "')}" keys can't be imported.`,
+      );
+    return imported;
+  }
+
+  /**
+   * @private
+   * Writes imported data to the database at once, see `db.import()`
+   * @param {Record<string, any>} imported The imported data
+   * @param {"merge" | "replace"} mode Whether to merge or replace the data
+   */
+  applyImport(imported, mode) {
+    // tagged values, e.g. from an export of a typed database, are revived
+    const values = this.typed ? decodeTyped(imported, this.types) : imported;
+
+    this.withLock(() => {
+      const data = this.readData();
+      const previous = this.isListening() ? structuredClone(data) : null;
+
+      /** @type {FSDBChange[]} */
+      const changes = [];
+      if (mode === "replace")
+        for (const key of Object.keys(data))
+          if (key !== META_KEY) changes.push({ key: [key] });
+
+      for (const [key, value] of Object.entries(values)) {
+        // merged like `merge()` with `deep`, so imported keys keep the other
+        // keys they are nested in. The current value is decoded first, so
+        // it isn't encoded twice
+        const current =
+          mode === "merge" ? this.copyValue(data[key]) : undefined;
+        const merged =
+          isPlainObject(current) && isPlainObject(value)
+            ? mergeDeep(current, value)
+            : value;
+        changes.push({ key: [key], value: this.encodeValue(merged) });
+      }
+
+      // imported values never expire, like values saved with `set()`
+      for (const key of Object.keys(getExpiryTimes(data))) {
+        let value = imported;
+        for (const segment of parseKey(key)) {
+          if (!isPlainObject(value)) break;
+          value = value[segment];
+        }
+        if (mode === "replace" || value !== undefined)
+          changes.push({ key: [META_KEY, "expires", key] });
+      }
+
+      this.applyCheckedChanges(data, changes);
+      // written as a whole, as imports are usually too large for the journal
+      this.writeData(data);
+
+      if (!previous) return;
+      for (const change of Array.from(diffData(previous, data)))
+        this.emitChange({
+          key: change.key,
+          oldValue: this.copyValue(change.oldValue),
+          newValue: this.copyValue(change.newValue),
+        });
+    });
+  }
+
+  /**
+   * List the timestamped backups of the database, newest first
+   * @param {string} [dir] The directory of the backups (defaults to "backups"
+   * next to the database)
+   * @returns {FSDBBackup[]} The backups
+   * @throws {FSDBError} When a file or another error occurs
+   * @example <caption>Restoring the latest backup</caption>
+   * const [latest] = db.listBackups();
+   * db.restore(latest.path);
+   */
+  listBackups(dir) {
+    return executeSafely(this.listBackups.name, (createError) => {
+      const backupDir = this.parseBackupOptions({ dir }, createError).dir;
+      if (!existsSync(backupDir)) return [];
+
+      return sortBackups(
+        readdirSync(backupDir).flatMap((filename) => {
+          const parsed = parseBackupName(filename, this.getFilePath());
+          if (!parsed) return [];
+
+          const path = join(backupDir, filename);
+          return [{ path, ...parsed, size: statSync(path).size }];
+        }),
+      );
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously list the timestamped backups of the database, newest first
+   * @param {string} [dir] The directory of the backups (defaults to "backups"
+   * next to the database)
+   * @returns {Promise<FSDBBackup[]>} The backups
+   * @throws {FSDBError} When a file or another error occurs
+   * @see {@link FSDB#listBackups}
+   */
+  async listBackupsAsync(dir) {
+    return executeSafelyAsync(this.listBackups.name, async (createError) => {
+      const backupDir = this.parseBackupOptions({ dir }, createError).dir;
+
+      /** @type {string[]} */
+      let filenames;
+      try {
+        filenames = await readdir(backupDir);
+      } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT")
+          return [];
+        throw error;
+      }
+
+      const backups = [];
+      for (const filename of filenames) {
+        const parsed = parseBackupName(filename, this.getFilePath());
+        if (!parsed) continue;
+
+        const path = join(backupDir, filename);
+        backups.push({ path, ...parsed, size: (await stat(path)).size });
+      }
+      return sortBackups(backups);
+    });
+  }
+
+  /**
+   * List the migrations that were run on the database, oldest first
+   * @returns {FSDBMigrationRecord[]} The migrations
+   * @throws {FSDBError}
+   * @example <caption>Listing the migrations</caption>
+   * db.listMigrations();
+   * // => [{ version: 2, name: "split names", date: 2024-01-31T12:00:00.000Z }]
+   */
+  listMigrations() {
+    return executeSafely(this.listMigrations.name, () => {
+      /** @type {{ version: number, name?: string, date: string }[]} */
+      const migrations = this.readData()[META_KEY]?.migrations ?? [];
+      return migrations.map((record) => ({
+        ...record,
+        date: new Date(record.date),
+      }));
+    });
+  }
+
+  /**
+   * Merge the properties of an object into the object stored at a key, which
+   * is created if the key doesn't exist yet
+   * @param {FSDBKey} key The key of the object
+   * @param {Record<string, any>} partial The properties to merge
+   * @param {FSDBMergeOptions} [options={}] Whether to merge nested objects
+   * @throws {FSDBError} If no key was provided, or either value isn't an
+   * object
+   * @example <caption>Updating some settings</caption>
+   * db.merge("settings", { theme: "dark" });
+   * // => { settings: { theme: "dark", language: "en" } }
+   * @example <caption>Updating nested settings</caption>
+   * db.merge("settings", { sound: { volume: 50 } }, { deep: true });
+   * // => { settings: { sound: { volume: 50, muted: false } } }
+   */
+  merge(key, partial, options = {}) {
+    executeSafely(this.merge.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      if (!isPlainObject(partial))
+        throw createError("Partial value must be an object.");
+      const { deep = false } = options;
+
+      this.withLock(() => {
+        const data = this.get(key) ?? {};
+        if (!isPlainObject(data)) throw createError("Value is not an object.");
+
+        const merged = deep
+          ? mergeDeep(data, structuredClone(partial))
+          : { ...data, ...partial };
+        this.writeEntry(key, this.encodeValue(merged));
+      });
+    });
+  }
+
+  /**
+   * Run the migrations the database hasn't been migrated to yet, in the order
+   * of their versions. A timestamped backup is made first, and every migration
+   * runs as a transaction that also records its version in the database, so a
+   * failing migration leaves the database at the version before it. This holds
+   * for sharded databases too, as the files a migration changes are committed
+   * as a whole (see {@link FSDBShardCommit})
+   * @param {FSDBMigration[]} migrations All migrations of the data, including
+   * the ones that already ran
+   * @param {FSDBMigrateOptions} [options={}] Whether and how to back up the
+   * database first
+   * @returns {FSDBMigrationRecord[]} The migrations that were run
+   * @throws {FSDBError} If invalid migrations were provided, a migration is
+   * asynchronous, or a file or another error occurs
+   * @example <caption>Splitting the names of players</caption>
+   * db.migrate([
+   *   {
+   *     version: 2,
+   *     name: "split names",
+   *     up(tx) {
+   *       for (const { key, value } of tx.find("players")) {
+   *         const [first, last] = value.name.split(" ");
+   *         tx.merge(key, { first, last });
+   *       }
+   *     },
+   *   },
+   * ]);
+   */
+  migrate(migrations, options = {}) {
+    /** @type {FSDBMigration[]} */
+    const sorted = executeSafely(this.migrate.name, (createError) =>
+      sortMigrations(migrations, createError),
+    );
+    const { backup = true } = options;
+
+    // errors thrown by the migrations are rethrown as they are
+    return this.withLock(() => {
+      const current = this.version();
+      const pending = sorted.filter(({ version }) => version > current);
+      if (pending.length === 0) return [];
+
+      if (backup && this.getAll().length > 0)
+        this.backup(backup === true ? {} : backup);
+
+      return pending.map(({ version, name, up }) => {
+        const date = new Date();
+        this.transaction((tx) => {
+          /** @type {unknown} */
+          const result = up(tx);
+          executeSafely(this.migrate.name, (createError) => {
+            if (result instanceof Promise) {
+              // the rejection is reported by the error thrown instead
+              result.catch(() => {});
+              throw createError("Migrations must be synchronous.");
+            }
+          });
+
+          const record = { version, name, date: date.toISOString() };
+          tx.writeChanges((data) => [
+            { key: [META_KEY, "version"], value: version },
+            {
+              key: [META_KEY, "migrations"],
+              value: [...(data[META_KEY]?.migrations ?? []), record],
+            },
+          ]);
+        });
+        return { version, name, date };
+      });
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously run the migrations the database hasn't been migrated to
+   * yet, see `db.migrate()`
+   * @param {FSDBMigration[]} migrations All migrations of the data, including
+   * the ones that already ran
+   * @param {FSDBMigrateOptions} [options={}] Whether and how to back up the
+   * database first
+   * @returns {Promise<FSDBMigrationRecord[]>} The migrations that were run
+   * @throws {FSDBError} If invalid migrations were provided, a migration is
+   * asynchronous, or a file or another error occurs
+   */
+  async migrateAsync(migrations, options = {}) {
+    /** @type {FSDBMigration[]} */
+    const sorted = executeSafely(this.migrate.name, (createError) =>
+      sortMigrations(migrations, createError),
+    );
+    const { backup = true } = options;
+
+    // backed up before the migrations are queued, as a working copy can only
+    // write the backup synchronously
+    if (backup) {
+      const needsBackup = await this.runAsync(
+        false,
+        (db) =>
+          sorted.some(({ version }) => version > db.version()) &&
+          db.getAll().length > 0,
+      );
+      if (needsBackup) await this.backupAsync(backup === true ? {} : backup);
+    }
+
+    return this.runAsync(true, (db) => db.migrate(sorted, { backup: false }));
+  }
+
+  /**
+   * Remove the expiry time of a key, so it is kept until deleted
+   * @param {FSDBKey} key The key to keep
+   * @returns {boolean} Whether the key had an expiry time
+   * @throws {FSDBError} If no key was provided
+   * @example <caption>Keeping a value that was set to expire</caption>
+   * db.set("key", "value", { ttl: 60_000 });
+   * db.persist("key");
+   * // => true
+   */
+  persist(key) {
+    return executeSafely(this.persist.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      const path = normalizeKey(key);
+      let persisted = false;
+
+      this.writeChanges((data) => {
+        persisted =
+          this.readEntry(path) !== undefined && path in getExpiryTimes(data);
+        return persisted ? [{ key: [META_KEY, "expires", path] }] : [];
+      });
+
+      return persisted;
+    });
+  }
+
+  /**
+   * Remove all entries that have expired from the database file. Expired
+   * entries are never returned, and are also removed whenever another key is
+   * changed, so this is only needed to free up storage space
+   * @returns {number} The number of entries removed
+   * @throws {FSDBError} When a file or another error occurs
+   * @example <caption>Removing expired entries</caption>
+   * db.purgeExpired();
+   * // => 2
+   */
+  purgeExpired() {
+    return executeSafely(this.purgeExpired.name, () => {
+      let purged = 0;
+
+      this.writeChanges((data) => {
+        const now = Date.now();
+        const expired = Object.entries(getExpiryTimes(data))
+          .filter(([, time]) => time <= now)
+          .map(([key]) => key);
+
+        purged = expired.length;
+        return expired.flatMap((key) => [
+          { key },
+          { key: [META_KEY, "expires", key] },
+        ]);
+      });
+
+      return purged;
+    });
+  }
+
+  /**
+   * Redo the last change undone with {@link FSDB#undo}, as long as no other
+   * change has been made since
+   * @returns {boolean} Whether there was a change to redo
+   * @throws {FSDBError} If the `history` option isn't enabled, or a file or
+   * another error occurs
+   * @example <caption>Redoing an undone change</caption>
+   * db.set("key", "value");
+   * db.undo();
+   * db.redo();
+   * db.get("key");
+   * // => "value"
+   */
+  redo() {
+    return this.stepHistory(this.redo.name, "redo", "undo");
+  }
+
+  /**
+   * Register a custom class to be preserved by the typed encoding (see the
+   * `typed` option), which is checked before the built-in types
+   * @param {string} name The name the values are tagged with, which has to
+   * stay the same for stored values to be decoded
+   * @param {FSDBCustomType} type The class and how to encode and decode it
+   * @throws {FSDBError} If the name is taken by a built-in type, or the class
+   * or its functions are missing
+   * @example <caption>Preserving a custom class</caption>
+   * db.registerType("Point", {
+   *   type: Point,
+   *   encode: (point) => [point.x, point.y],
+   *   decode: ([x, y]) => new Point(x, y),
+   * });
+   */
+  registerType(name, { type, encode, decode }) {
+    executeSafely(this.registerType.name, (createError) => {
+      if (!name) throw createError("No name provided.");
+      if (name === "Object" || BUILTIN_TYPES.has(name))
+        throw createError(`"${name}" is a built-in type.`);
+      if (typeof type !== "function")
+        throw createError("Type must be a class.");
+      if (typeof encode !== "function" || typeof decode !== "function")
+        throw createError("Encode and decode must be functions.");
+
+      this.types.set(name, {
+        test: (value) => value instanceof type,
+        encode,
+        decode,
+      });
+    });
+  }
+
+  /**
+   * Change the key the database is encrypted with, re-encrypting its file
+   * right away. Backups keep the key they were made with
+   * @param {string | Buffer | null} key The new passphrase, or `null` to store
+   * the database as plain JSON
+   * @throws {FSDBError} If an invalid key was provided, or a file or another
+   * error occurs
+   * @example <caption>Rotating the encryption key</caption>
+   * const db = new FSDB("./db.json", { encryptionKey: "old passphrase" });
+   * db.rekey("new passphrase");
+   */
+  rekey(key) {
+    executeSafely(this.rekey.name, (createError) => {
+      if (key !== null && !isEncryptionKey(key))
+        throw createError("Key must be a non-empty string or buffer.");
+
+      this.withLock(() => {
+        const data = this.readData();
+        this.encryption = createEncryption(key);
+        this.writeData(data);
+      });
+    });
+  }
+
+  /**
+   * Replace all database contents with a backup, which may be compressed or
+   * encrypted with the key of the database
+   * @param {string} path The path to the backup
+   * @throws {FSDBError} If no path was provided, or a file or another error
+   * occurs
+   * @throws {FSDBDecryptionError} If the backup can't be decrypted
+   * @example <caption>Restoring a backup</caption>
+   * db.restore("./Backups/db-backup.json");
+   */
+  restore(path) {
+    executeSafely(this.restore.name, (createError) => {
+      if (!path) throw createError("No path provided.");
+      if (!existsSync(path)) throw createError("Backup does not exist.");
+
+      const data = this.parseContent(readFileSync(path));
+      this.withLock(() => this.replaceData(data));
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously replace all database contents with a backup, see
+   * `db.restore()`
+   * @param {string} path The path to the backup
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no path was provided, or a file or another error
+   * occurs
+   * @throws {FSDBDecryptionError} If the backup can't be decrypted
+   */
+  async restoreAsync(path) {
+    return executeSafelyAsync(this.restore.name, async (createError) => {
+      if (!path) throw createError("No path provided.");
+
+      const content = await readFileIfExistsAsync(path);
+      if (!content) throw createError("Backup does not exist.");
+
+      const data = this.parseContent(content);
+      await this.runAsync(true, (db) => db.replaceData(data));
+    });
+  }
+
+  /**
+   * Replace all database contents with a snapshot made with
+   * {@link FSDB#snapshot}. Reverting can be undone like any other change
+   * @param {string} name The name of the snapshot
+   * @throws {FSDBError} If no name was provided, the snapshot doesn't exist,
+   * or a file or another error occurs
+   * @example <caption>Reverting a failed migration</caption>
+   * db.snapshot("before-migration");
+   * // ...
+   * db.revertTo("before-migration");
+   */
+  revertTo(name) {
+    executeSafely(this.revertTo.name, (createError) => {
+      if (!name) throw createError("No name provided.");
+
+      const path = this.getSnapshotPath(name);
+      if (!existsSync(path))
+        throw createError(`Snapshot "${name}" does not exist.`);
+
+      const data = this.parseContent(readFileSync(path));
+      this.withLock(() => this.replaceData(data));
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously replace all database contents with a named snapshot, see
+   * `db.revertTo()`
+   * @param {string} name The name of the snapshot
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no name was provided, the snapshot doesn't exist,
+   * or a file or another error occurs
+   */
+  async revertToAsync(name) {
+    return executeSafelyAsync(this.revertTo.name, async (createError) => {
+      if (!name) throw createError("No name provided.");
+
+      const content = await readFileIfExistsAsync(this.getSnapshotPath(name));
+      if (!content) throw createError(`Snapshot "${name}" does not exist.`);
+
+      const data = this.parseContent(content);
+      await this.runAsync(true, (db) => db.replaceData(data));
+    });
+  }
+
+  /**
+   * Make timestamped backups of the database at an interval. A backup that
+   * fails is emitted as an "error" event, or logged if nothing listens for it
+   * @param {FSDBBackupSchedule} options How often to backup the database,
+   * and where to
+   * @returns {() => void} A function that stops the backups
+   * @throws {FSDBError} If invalid options were provided
+   * @example <caption>Backing up every hour, keeping a day of backups</caption>
+   * const stop = db.scheduleBackups({ interval: 60 * 60 * 1000, keep: 24 });
+   */
+  scheduleBackups(options) {
+    return executeSafely(this.scheduleBackups.name, (createError) => {
+      const { interval, ...backupOptions } = options ?? {};
+      if (typeof interval !== "number" || !(interval > 0))
+        throw createError("Interval must be a positive number.");
+      this.parseBackupOptions(backupOptions, createError);
+
+      const timer = setInterval(() => {
+        try {
+          this.backup(backupOptions);
+        } catch (error) {
+          if (this.listenerCount("error") > 0) this.emit("error", error);
+          else console.warn("Failed to backup database.", error);
+        }
+      }, interval);
+      // scheduled backups shouldn't keep the process alive
+      timer.unref();
+
+      return () => clearInterval(timer);
+    });
+  }
+
+  /**
+   * Save a value to the database
+   * @param {FSDBKey} key The key of the data you want to save
+   * @param {any} value The value you want to save
+   * @param {FSDBSetOptions} [options={}] When the value should expire (it
+   * never expires by default)
+   * @throws {FSDBError} If no key or invalid options were provided
+   * @example <caption>Saving a value</caption>
+   * db.set("key", "value");
+   * // => { key: "value" }
+   * @example <caption>Saving a value with dot notation</caption>
+   * db.set("foo.bar", "value");
+   * // => { foo: { bar: "value" } }
+   * @example <caption>Saving a value for an hour</caption>
+   * db.set("key", "value", { ttl: 60 * 60 * 1000 });
+   */
+  set(key, value, options = {}) {
+    executeSafely(this.set.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+
+      const expiry = this.parseExpiry(options, createError);
+      this.writeEntry(key, this.encodeValue(value), expiry);
+    });
+  }
+
+  /**
+   * Save a value to the database, unless the key already exists
+   * @param {FSDBKey} key The key of the data you want to save
+   * @param {any} value The value you want to save
+   * @param {FSDBSetOptions} [options={}] When the value should expire
+   * @returns {boolean} Whether the value was saved
+   * @throws {FSDBError} If no key or invalid options were provided
+   * @example <caption>Initializing a counter once</caption>
+   * db.setIfAbsent("visits", 0);
+   * // => true
+   */
+  setIfAbsent(key, value, options = {}) {
+    return executeSafely(this.setIfAbsent.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      const expiry = this.parseExpiry(options, createError);
+
+      return this.withLock(() => {
+        if (this.readEntry(key) !== undefined) return false;
+
+        this.writeEntry(key, this.encodeValue(value), expiry);
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Save the current state of the database under a name, so it can be
+   * restored with {@link FSDB#revertTo}. Snapshots are kept next to the
+   * database until they are replaced by a snapshot with the same name, and
+   * don't require the `history` option
+   * @param {string} name The name of the snapshot
+   * @throws {FSDBError} If no name was provided, or a file or another error
+   * occurs
+   * @example <caption>Saving a snapshot</caption>
+   * db.snapshot("before-migration");
+   */
+  snapshot(name) {
+    executeSafely(this.snapshot.name, (createError) => {
+      if (!name) throw createError("No name provided.");
+
+      mkdirSync(this.historyPath, { recursive: true });
+      writeFileAtomic(
+        this.getSnapshotPath(name),
+        this.stringifyData(this.readData(), true),
+        this.durability,
+      );
+    });
+  }
+
+  /**
+   * @internal
+   * Asynchronously save the current state of the database under a name
+   * @param {string} name The name of the snapshot
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no name was provided, or a file or another error
+   * occurs
+   * @see {@link FSDB#snapshot}
+   */
+  async snapshotAsync(name) {
+    return executeSafelyAsync(this.snapshot.name, async (createError) => {
+      if (!name) throw createError("No name provided.");
+
+      const content = this.stringifyData(await this.readDataAsync(), true);
+      await mkdir(this.historyPath, { recursive: true });
+      await writeFileAtomicAsync(
+        this.getSnapshotPath(name),
+        content,
+        this.durability,
+      );
+    });
+  }
+
+  /**
+   * Retrieve a list of entries starting with a provided query
+   * @param {FSDBKey} query The search query to filter against
+   * @returns {FSDBEntry[]} A list of entries starting with the provided query
+   * @throws {FSDBError}
+   * @example <caption>Retrieve entries starting with `"key"`</caption>
+   * db.startsWith("key");
+   * // => [{ key: "key.foo", value: "value" }, { key: "key.bar", value: "value" }]
+   */
+  startsWith(query) {
+    return executeSafely(this.startsWith.name, (createError) => {
+      if (!query || query.length === 0) throw createError("No query provided.");
+
+      const prefix =
+        typeof query === "string" ? query : stringifyKey(parseKey(query));
+      return this.getAll(true).filter(({ key }) => key.startsWith(prefix));
+    });
+  }
+
+  /**
+   * Retrieve how long a key has left before it expires. Keys nested within an
+   * expiring key expire along with it
+   * @param {FSDBKey} key The key to check
+   * @returns {number | undefined} The remaining time (in milliseconds),
+   * `Infinity` if the key never expires, or `undefined` if it doesn't exist
+   * @throws {FSDBError} If no key was provided
+   * @example <caption>Checking the remaining time of a cooldown</caption>
+   * db.set("cooldown", true, { ttl: 5_000 });
+   * db.ttl("cooldown");
+   * // => 5000
+   */
+  ttl(key) {
+    return executeSafely(this.ttl.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      if (this.readEntry(key) === undefined) return;
+
+      const expiryTimes = getExpiryTimes(this.readData());
+      let expiry = Infinity;
+
+      for (const [expiringKey, time] of Object.entries(expiryTimes)) {
+        if (isWithinKey(key, expiringKey)) expiry = Math.min(expiry, time);
+      }
+
+      return expiry - Date.now();
+    });
+  }
+
+  /**
+   * Undo the last change made to the database, which requires the `history`
+   * option. Every method changing the database counts as a single change,
+   * including transactions and {@link FSDB#deleteAll}
+   * @returns {boolean} Whether there was a change to undo
+   * @throws {FSDBError} If the `history` option isn't enabled, or a file or
+   * another error occurs
+   * @example <caption>Undoing a change</caption>
+   * const db = new FSDB("./db.json", { history: true });
+   * db.set("key", "value");
+   * db.deleteAll();
+   * db.undo();
+   * db.get("key");
+   * // => "value"
+   */
+  undo() {
+    return this.stepHistory(this.undo.name, "undo", "redo");
+  }
+
+  /**
+   * Replace the value of a key with the result of a function, reading and
+   * writing it while holding the lock so no other write can get in between.
+   * Returning `undefined` deletes the key
+   * @template T The type of the new value
+   * @param {FSDBKey} key The key of the value
+   * @param {(currentValue: any) => T} fn A synchronous function that takes a
+   * copy of the current value (`undefined` if the key doesn't exist) and
+   * returns the new value
+   * @returns {T} The new value
+   * @throws {FSDBError} If no key or function was provided, or the function
+   * is asynchronous
+   * @example <caption>Renaming a player</caption>
+   * db.update("players.will", (player) => ({ ...player, name: "Will" }));
+   */
+  update(key, fn) {
+    executeSafely(this.update.name, (createError) => {
+      if (!key || key.length === 0) throw createError("No key provided.");
+      if (typeof fn !== "function") throw createError("No function provided.");
+    });
+
+    // errors thrown by the function are rethrown as they are
+    return this.withLock(() => {
+      const value = fn(this.get(key));
+      executeSafely(this.update.name, (createError) => {
+        if (value instanceof Promise) {
+          // the rejection is reported by the error thrown instead
+          value.catch(() => {});
+          throw createError("Updates must be synchronous.");
+        }
+      });
+
+      this.writeEntry(key, this.encodeValue(value));
+      return value;
+    });
+  }
+
+  /**
+   * Validate all existing values against the schemas defined for their keys,
+   * e.g. after defining a schema for data saved before
+   * @returns {FSDBSchemaViolation[]} The ways the values don't match their
+   * schemas
+   * @throws {FSDBError}
+   * @example <caption>Auditing the database</caption>
+   * db.validate();
+   * // => [{ key: "players.will.level", rule: "type", message: 'must be of type "integer"' }]
+   */
+  validate() {
+    return executeSafely(this.validate.name, () => {
+      const data = this.readVisibleData();
+      /** @type {FSDBSchemaViolation[]} */
+      const violations = [];
+
+      for (const [pattern, schema] of this.schemas) {
+        const patternSegments = parseKey(pattern).map(String);
+        for (const segments of findMatchingKeys(data, patternSegments)) {
+          const value = getPath(data, segments);
+          violations.push(
+            ...validateValue(value, schema, stringifyKey(segments)),
+          );
+        }
+      }
+
+      return violations;
+    });
+  }
+
+  /**
+   * Retrieve the version of the data, that is the version of the last
+   * migration run by {@link FSDB#migrate}
+   * @returns {number} The version (`0` if no migration has run yet)
+   * @throws {FSDBError}
+   * @example <caption>Checking the version</caption>
+   * db.version();
+   * // => 2
+   */
+  version() {
+    return executeSafely(this.version.name, () => {
+      return this.readData()[META_KEY]?.version ?? 0;
+    });
+  }
+
+  /**
+   * Watch for changes to keys matching a pattern, including changes made to
+   * the file outside of this instance. A `*` segment matches any single
+   * segment, while a trailing `**` matches any number of them. Changes to keys
+   * nested within a matching key, or to keys containing one, are reported too
+   * @param {string} pattern The pattern of the keys to watch, in dot-notation
+   * @param {(change: FSDBChangeEvent) => void} callback The function called
+   * with every change
+   * @returns {() => void} A function that stops watching
+   * @throws {FSDBError} If no pattern was provided
+   * @example <caption>Watching all players</caption>
+   * const unwatch = db.watch("players.*", ({ key, oldValue, newValue }) => {
+   *   console.log(`${key} changed from ${oldValue} to ${newValue}`);
+   * });
+   */
+  watch(pattern, callback) {
+    return executeSafely(this.watch.name, (createError) => {
+      if (!pattern) throw createError("No pattern provided.");
+
+      /** @param {FSDBChangeEvent} change */
+      const listener = (change) => {
+        if (matchesPattern(pattern, change.key)) callback(change);
+      };
+
+      this.on("change", listener);
+      return () => {
+        this.off("change", listener);
+      };
+    });
+  }
+
+  /**
+   * Run a function while holding the lock on the database file, so that no
+   * other process can write to the database until it has finished. Operations
+   * performed inside the function reuse the lock
+   * @template T The return type of the function
+   * @param {() => T} fn The function to run
+   * @returns {T} The return value of the function
+   * @throws {FSDBError} If the lock could not be acquired in time
+   * @example <caption>Moving a value without another process interfering</caption>
+   * db.withLock(() => {
+   *   db.set("new", db.get("old"));
+   *   db.delete("old");
+   * });
+   */
+  withLock(fn) {
+    this.acquireLock();
+    try {
+      return fn();
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  /**
+   * Perform several operations as a single, all-or-nothing change. The
+   * operations are applied to a working copy of the database, which is only
+   * written to the file once the function has finished. If it throws, the
+   * database is left untouched. The `tx` can't be used once the function has
+   * finished
+   * @template T The return type of the function
+   * @param {(tx: FSDB) => T} fn The function performing the operations on the
+   * provided `tx`, which supports all the methods of the database itself
+   * @returns {T} The return value of the function
+   * @throws {FSDBError} If the function is asynchronous, or a file or another
+   * error occurs
+   * @example <caption>Transferring coins between players</caption>
+   * db.transaction((tx) => {
+   *   tx.subtract("alice.coins", 10);
+   *   tx.add("bob.coins", 10);
+   * });
+   */
+  transaction(fn) {
+    return this.withLock(() => {
+      /** @type {FSDB} */
+      const tx = Object.create(this);
+      tx.staged = structuredClone(this.readData());
+      tx.changedKeys = this.shardOptions ? new Set() : null;
+      tx.pendingEvents = [];
+
+      /** @type {T} */
+      let result;
+      try {
+        result = fn(tx);
+
+        executeSafely(this.transaction.name, (createError) => {
+          if (result instanceof Promise) {
+            // the rejection is reported by the error thrown instead
+            result.catch(() => {});
+            throw createError("Transactions must be synchronous.");
+          }
+
+          // the working copy may have been re-encrypted, see `rekey()`
+          this.encryption = tx.encryption;
+          this.writeData(
+            /** @type {Record<string, any>} */ (tx.staged),
+            !tx.historyPaused,
+            tx.changedKeys && [...tx.changedKeys],
+          );
+          if (tx.pendingHistory) this.commitHistory(tx.pendingHistory);
+        });
+      } finally {
+        // changes made through a `tx` kept around would silently be lost
+        tx.ended = true;
+      }
+
+      for (const [event, payload] of tx.pendingEvents)
+        this.emitEvent(event, payload);
+      return result;
+    });
+  }
+
+  /**
+   * Push value(s) to an array in the database. The array is only created if
+   * the key doesn't exist yet when {@link FSDBOptions.initializeArrays} is set
+   * @param {FSDBKey} key The key of the array you want to push to
+   * @param {any[]} items The value(s) you want to push
+   * @throws {FSDBError}
+   * @example <caption>Pushing a value</caption>
+   * db.push("key", "value");
+   * // => { key: ["value"] }
+   * @example <caption>Pushing multiple values</caption>
+   * db.push("key", "foo", "bar");
+   * // => { key: ["value", "foo", "bar"] }
+   */
+  push(key, ...items) {
+    this.setArray(
+      this.push.name,
+      key,
+      (currentValue) => currentValue.concat(items),
+      this.initializeArrays,
+    );
+  }
+
+  /**
+   * Remove value(s) from an array in the database. Values are compared by
+   * deep equality, so objects can be removed too. Alternatively, pass a
+   * function to remove all items it returns `true` for
+   * @param {FSDBKey} key The key of the array you want to remove from
+   * @param {any[]} items The value(s) you want to remove, or a single function
+   * deciding which items to remove
+   * @throws {FSDBError}
+   * @example <caption>Removing a value</caption>
+   * db.pull("key", "value");
+   * // => { key: [] }
+   * @example <caption>Removing items matching a condition</caption>
+   * db.pull("players", (player) => player.level < 5);
+   */
+  pull(key, ...items) {
+    const [predicate] = items;
+    const shouldRemove =
+      items.length === 1 && typeof predicate === "function"
+        ? predicate
+        : (/** @type {any} */ item) =>
+            items.some((value) => isDeepStrictEqual(item, value));
+
+    this.setArray(this.pull.name, key, (currentValue) => {
+      return currentValue.filter((item) => !shouldRemove(item));
+    });
+  }
+
+  /**
+   * Remove the last item of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @returns {any} The removed item (`undefined` if the array is empty)
+   * @throws {FSDBError}
+   * @example <caption>Removing the last value</caption>
+   * db.pop("key");
+   * // => "bar"
+   */
+  pop(key) {
+    let item;
+    this.setArray(this.pop.name, key, (currentValue) => {
+      item = currentValue.pop();
+      return currentValue;
+    });
+    return item;
+  }
+
+  /**
+   * Remove the first item of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @returns {any} The removed item (`undefined` if the array is empty)
+   * @throws {FSDBError}
+   * @example <caption>Removing the first value</caption>
+   * db.shift("key");
+   * // => "value"
+   */
+  shift(key) {
+    let item;
+    this.setArray(this.shift.name, key, (currentValue) => {
+      item = currentValue.shift();
+      return currentValue;
+    });
+    return item;
+  }
+
+  /**
+   * Add value(s) to the start of an array in the database. The array is only
+   * created if the key doesn't exist yet when
+   * {@link FSDBOptions.initializeArrays} is set
+   * @param {FSDBKey} key The key of the array
+   * @param {any[]} items The value(s) you want to add
+   * @throws {FSDBError}
+   * @example <caption>Adding a value to the start</caption>
+   * db.unshift("key", "first");
+   * // => { key: ["first", "value"] }
+   */
+  unshift(key, ...items) {
+    this.setArray(
+      this.unshift.name,
+      key,
+      (currentValue) => items.concat(currentValue),
+      this.initializeArrays,
+    );
+  }
+
+  /**
+   * Remove and/or insert items at a position of an array in the database,
+   * like `Array.prototype.splice()`
+   * @param {FSDBKey} key The key of the array
+   * @param {number} start The index to start at, counting from the end if
+   * negative
+   * @param {number=} deleteCount How many items to remove (defaults to all
+   * items from `start` on, and is required when inserting items)
+   * @param {any[]} items The value(s) to insert at `start`
+   * @returns {any[]} The removed items
+   * @throws {FSDBError} If `start` or `deleteCount` aren't integers, or items
+   * are inserted without a delete count
+   * @example <caption>Replacing the second value</caption>
+   * db.splice("key", 1, 1, "baz");
+   * // => ["foo"]
+   */
+  splice(key, start, deleteCount, ...items) {
+    /** @type {any[]} */
+    let removed = [];
+    this.setArray(this.splice.name, key, (currentValue, createError) => {
+      if (!Number.isInteger(start))
+        throw createError("Start must be an integer.");
+      if (deleteCount !== undefined && !Number.isInteger(deleteCount))
+        throw createError("Delete count must be an integer.");
+      if (deleteCount === undefined && items.length > 0)
+        throw createError("Delete count must be provided to insert items.");
+
+      removed =
+        deleteCount === undefined
+          ? currentValue.splice(start)
+          : currentValue.splice(start, deleteCount, ...items);
+      return currentValue;
+    });
+    return removed;
+  }
+
+  /**
+   * Push value(s) to an array in the database unless it already contains
+   * them, comparing by deep equality. The array is only created if the key
+   * doesn't exist yet when {@link FSDBOptions.initializeArrays} is set
+   * @param {FSDBKey} key The key of the array
+   * @param {any[]} items The value(s) you want to add
+   * @throws {FSDBError}
+   * @example <caption>Adding a unique value</caption>
+   * db.addToSet("tags", "new", "new");
+   * // => { tags: ["new"] }
+   */
+  addToSet(key, ...items) {
+    this.setArray(
+      this.addToSet.name,
+      key,
+      (currentValue) => {
+        for (const item of items) {
+          if (!currentValue.some((value) => isDeepStrictEqual(value, item)))
+            currentValue.push(item);
+        }
+        return currentValue;
+      },
+      this.initializeArrays,
+    );
+  }
+
+  /**
+   * Insert value(s) at a position of an array in the database. The array is
+   * only created if the key doesn't exist yet when
+   * {@link FSDBOptions.initializeArrays} is set
+   * @param {FSDBKey} key The key of the array
+   * @param {number} index The index to insert at, counting from the end if
+   * negative
+   * @param {any[]} items The value(s) you want to insert
+   * @throws {FSDBError} If the index isn't an integer
+   * @example <caption>Inserting a value</caption>
+   * db.insertAt("key", 1, "between");
+   * // => { key: ["value", "between", "bar"] }
+   */
+  insertAt(key, index, ...items) {
+    this.setArray(
+      this.insertAt.name,
+      key,
+      (currentValue, createError) => {
+        if (!Number.isInteger(index))
+          throw createError("Index must be an integer.");
+
+        currentValue.splice(index, 0, ...items);
+        return currentValue;
+      },
+      this.initializeArrays,
+    );
+  }
+
+  /**
+   * Remove the item at a position of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {number} index The index of the item, counting from the end if
+   * negative
+   * @returns {any} The removed item (`undefined` if there was none)
+   * @throws {FSDBError} If the index isn't an integer
+   * @example <caption>Removing the second value</caption>
+   * db.removeAt("key", 1);
+   * // => "between"
+   */
+  removeAt(key, index) {
+    let item;
+    this.setArray(this.removeAt.name, key, (currentValue, createError) => {
+      if (!Number.isInteger(index))
+        throw createError("Index must be an integer.");
+
+      [item] = currentValue.splice(index, 1);
+      return currentValue;
+    });
+    return item;
+  }
+
+  /**
+   * Sort an array in the database. Without a function, values are sorted in
+   * ascending order, grouping values of different types like
+   * {@link FSDB#find}
+   * @param {FSDBKey} key The key of the array
+   * @param {(a: any, b: any) => number} [compare] A function returning a
+   * negative number if `a` comes first, or a positive number if `b` does
+   * @throws {FSDBError}
+   * @example <caption>Sorting players by level</caption>
+   * db.sort("players", (a, b) => b.level - a.level);
    */
-  constructor(path = "database.json", compact = true) {
-    executeSafely(this.constructor.name, (createError) => {
-      if (typeof path !== "string") throw createError("Path must be a string.");
-      if (!path) throw createError("No path provided.");
+  sort(key, compare = compareValues) {
+    this.setArray(this.sort.name, key, (currentValue) => {
+      return currentValue.sort(compare);
+    });
+  }
+
+  /**
+   * Add to a numeric value in the database
+   * @param {FSDBKey} key The key of the number you want to add to
+   * @param {number | bigint} value The value you want to add
+   * @throws {FSDBError}
+   * @example <caption>Adding to a number</caption>
+   * // assuming the database contains: { key: 500 }
+   * db.add("key", 250);
+   * // => { key: 750 }
+   */
+  add(key, value) {
+    this.setNumber(this.add.name, key, value, (currentValue, operand) => {
+      return currentValue + operand;
+    });
+  }
+
+  /**
+   * Subtract from a numeric value in the database
+   * @param {FSDBKey} key The key of the number you want to subtract from
+   * @param {number | bigint} value The value you want to subtract
+   * @throws {FSDBError}
+   * @example <caption>Subtracting from a number</caption>
+   * // assuming the database contains: { key: 500 }
+   * db.subtract("key", 100);
+   * // => { key: 400 }
+   */
+  subtract(key, value) {
+    this.setNumber(this.subtract.name, key, value, (currentValue, operand) => {
+      return currentValue - operand;
+    });
+  }
+
+  /**
+   * Multiply a numeric value in the database
+   * @param {FSDBKey} key The key of the number you want to multiply
+   * @param {number | bigint} value The value you want to multiply by
+   * @throws {FSDBError}
+   * @example <caption>Multiplying a number</caption>
+   * // assuming the database contains: { key: 500 }
+   * db.multiply("key", 2);
+   * // => { key: 1000 }
+   */
+  multiply(key, value) {
+    this.setNumber(this.multiply.name, key, value, (currentValue, operand) => {
+      return currentValue * operand;
+    });
+  }
+
+  /**
+   * Divide a numeric value in the database
+   * @param {FSDBKey} key The key of the number you want to divide
+   * @param {number | bigint} value The value you want to divide by
+   * @throws {FSDBError}
+   * @example <caption>Dividing a number</caption>
+   * // assuming the database contains: { key: 500 }
+   * db.divide("key", 2);
+   * // => { key: 250 }
+   */
+  divide(key, value) {
+    this.setNumber(this.divide.name, key, value, (currentValue, operand) => {
+      return currentValue / operand;
+    });
+  }
+}
+
+/**
+ * A collection of documents stored under a key of a database, each by its
+ * unique ID, e.g. `{ users: { "3f9a...": { id: "3f9a...", name: "Will" } } }`.
+ * Collections are created with {@link FSDB#collection}
+ */
+class FSDBCollection {
+  /**
+   * Create a new collection of a database
+   * @param {FSDB} db The database the documents are stored in
+   * @param {FSDBKey} name The key the documents are stored under
+   * @param {FSDBCollectionOptions} [options={}] The field holding the IDs
+   */
+  constructor(db, name, options = {}) {
+    executeSafely("collection", (createError) => {
+      if (!name || name.length === 0) throw createError("No name provided.");
+
+      const { idField = "id" } = options;
+      if (typeof idField !== "string" || !idField)
+        throw createError("ID field must be a non-empty string.");
 
-      this.path = createJsonFile(path);
       /** @private */
-      this.compact = compact;
+      this.db = db;
+      /** The key the documents are stored under, in dot-notation */
+      this.name = normalizeKey(name);
+      /** The field of the documents holding their IDs */
+      this.idField = idField;
+    });
+  }
+
+  /**
+   * @private
+   * Retrieves the key of a document
+   * @param {string | number} id The ID of the document
+   * @returns {(string | number)[]} The key of the document
+   */
+  getKey(id) {
+    // numeric IDs are keys of the collection, not indices of an array
+    return [...parseKey(this.name), String(id)];
+  }
+
+  /**
+   * Retrieve all documents of the collection
+   * @returns {Record<string, any>[]} The documents
+   * @throws {FSDBError}
+   * @example <caption>Listing all users</caption>
+   * users.all();
+   * // => [{ id: "3f9a1c2e8b7d4a60", name: "WillTDA" }]
+   */
+  all() {
+    return executeSafely(this.all.name, () => this.find());
+  }
+
+  /**
+   * Count the documents of the collection
+   * @param {FSDBQuery} [query={}] The filter or function the documents have to
+   * match to be counted
+   * @returns {number} The number of matching documents
+   * @throws {FSDBError} If an invalid query was provided
+   * @example <caption>Counting the admins</caption>
+   * users.count({ role: "admin" });
+   * // => 1
+   */
+  count(query = {}) {
+    return executeSafely(this.count.name, () => this.find(query).length);
+  }
+
+  /**
+   * Retrieve the documents of the collection that match a query, see
+   * {@link FSDB#find}
+   * @param {FSDBQuery} [query={}] The filter or function the documents have to
+   * match
+   * @param {FSDBFindOptions} [options={}] How to sort, limit and project the
+   * documents
+   * @returns {Record<string, any>[]} The matching documents
+   * @throws {FSDBError} If an invalid query or options were provided
+   * @example <caption>Finding the admins</caption>
+   * users.find({ role: "admin" });
+   * // => [{ id: "3f9a1c2e8b7d4a60", name: "WillTDA", role: "admin" }]
+   */
+  find(query = {}, options = {}) {
+    return executeSafely(this.find.name, () => {
+      return this.db.find(this.name, query, options).map(({ value }) => value);
+    });
+  }
+
+  /**
+   * Retrieve a document by its ID
+   * @param {string | number} id The ID of the document
+   * @returns {Record<string, any> | undefined} The document (`undefined` if not
+   * found)
+   * @throws {FSDBError} If no ID was provided
+   * @example <caption>Retrieving a user</caption>
+   * users.findById("3f9a1c2e8b7d4a60");
+   * // => { id: "3f9a1c2e8b7d4a60", name: "WillTDA" }
+   */
+  findById(id) {
+    return executeSafely(this.findById.name, (createError) => {
+      if (!isDocumentId(id)) throw createError("No ID provided.");
+      return this.db.get(this.getKey(id));
+    });
+  }
+
+  /**
+   * Add a document to the collection. Unless it already has one, which may be
+   * a non-empty string or an integer, the document is given a unique, random ID
+   * @param {Record<string, any>} doc The document to add
+   * @returns {Record<string, any>} The document as it was stored, with its ID
+   * @throws {FSDBUniqueError} If the document's own ID is already used
+   * @throws {FSDBError} If the document isn't an object or has an invalid ID,
+   * or the key of the collection holds something other than an object
+   * @example <caption>Adding a user</caption>
+   * users.insert({ name: "WillTDA" });
+   * // => { id: "3f9a1c2e8b7d4a60", name: "WillTDA" }
+   */
+  insert(doc) {
+    return executeSafely(this.insert.name, (createError) => {
+      if (!isPlainObject(doc)) throw createError("Document must be an object.");
+
+      const id = doc[this.idField];
+      if (id !== undefined && !isDocumentId(id))
+        throw createError("ID must be a non-empty string or an integer.");
+
+      return this.db.withLock(() => {
+        // read without copying, as only its type is checked
+        const documents = this.db.readEntry(this.name);
+        if (
+          documents !== undefined &&
+          (!isPlainObject(documents) || isTaggedValue(documents))
+        )
+          throw createError("Collection is not an object.");
+
+        let docId = id ?? randomBytes(8).toString("hex");
+        // retried on the (very unlikely) chance that a random ID is used
+        while (id === undefined && this.db.has(this.getKey(docId)))
+          docId = randomBytes(8).toString("hex");
+
+        const stored = { ...doc, [this.idField]: docId };
+        if (!this.db.setIfAbsent(this.getKey(docId), stored))
+          throw new FSDBUniqueError({
+            method: this.insert.name,
+            field: this.idField,
+            key: joinKey(this.name, docId),
+            value: docId,
+          });
+        return stored;
+      });
+    });
+  }
+
+  /**
+   * Remove a document from the collection
+   * @param {string | number} id The ID of the document
+   * @returns {boolean} Whether the document existed
+   * @throws {FSDBError} If no ID was provided
+   * @example <caption>Removing a user</caption>
+   * users.removeById("3f9a1c2e8b7d4a60");
+   * // => true
+   */
+  removeById(id) {
+    return executeSafely(this.removeById.name, (createError) => {
+      if (!isDocumentId(id)) throw createError("No ID provided.");
+
+      return this.db.withLock(() => {
+        if (!this.db.has(this.getKey(id))) return false;
+
+        this.db.delete(this.getKey(id));
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Update a document of the collection, keeping its ID
+   * @param {string | number} id The ID of the document
+   * @param {Record<string, any> | ((doc: Record<string, any>) => Record<string, any>)} update
+   * The fields to change, or a synchronous function that takes a copy of the
+   * document and returns the updated document
+   * @returns {Record<string, any> | undefined} The updated document
+   * (`undefined` if not found)
+   * @throws {FSDBError} If no ID or an invalid update was provided
+   * @example <caption>Renaming a user</caption>
+   * users.updateById("3f9a1c2e8b7d4a60", { name: "Will" });
+   * // => { id: "3f9a1c2e8b7d4a60", name: "Will" }
+   */
+  updateById(id, update) {
+    executeSafely(this.updateById.name, (createError) => {
+      if (!isDocumentId(id)) throw createError("No ID provided.");
+      if (typeof update !== "function" && !isPlainObject(update))
+        throw createError("Update must be a function or an object.");
+    });
+
+    // errors thrown by the function are rethrown as they are
+    return this.db.withLock(() => {
+      const doc = this.db.get(this.getKey(id));
+      if (doc === undefined) return undefined;
+
+      const next = typeof update === "function" ? update(doc) : update;
+      return executeSafely(this.updateById.name, (createError) => {
+        if (next instanceof Promise) {
+          // the rejection is reported by the error thrown instead
+          next.catch(() => {});
+          throw createError("Updates must be synchronous.");
+        }
+        if (!isPlainObject(next))
+          throw createError("Updated document must be an object.");
+
+        const merged =
+          typeof update === "function" ? next : { ...doc, ...next };
+        const docId = doc[this.idField] ?? id;
+        this.db.set(this.getKey(id), { ...merged, [this.idField]: docId });
+        return this.db.get(this.getKey(id));
+      });
     });
   }
 
   /**
-   * @private
-   * Retrieves the current data from the database
-   * @returns {*} The parsed data from the database
+   * Iterate over the documents of the collection
+   * @returns {Iterator<Record<string, any>>} The documents
+   * @example <caption>Iterating over the users</caption>
+   * for (const user of users) console.log(user.name);
+   */
+  *[Symbol.iterator]() {
+    yield* this.all();
+  }
+}
+
+/**
+ * An asynchronous version of {@link FSDB}, which reads and writes the database
+ * file without blocking the event loop. Writes are queued, so concurrent
+ * operations never overwrite each other's changes
+ * @see {@link https://github.com/WillTDA/File-System-DB#readme}
+ */
+class AsyncFSDB {
+  /**
+   * Create a new asynchronous FSDB database
+   * @param {string} [path="database.json"] You can specify a path to a file
+   * location where your database should be located (defaults to
+   * "database.json")
+   * @param {boolean | FSDBOptions} [options=true] Either the options for the
+   * database, or whether or not to store the database contents in a compact
+   * format (defaults to "true")
+   * @example <caption>Creating an asynchronous database</caption>
+   * const db = new AsyncFSDB("./db.json");
+   */
+  constructor(path = "database.json", options = true) {
+    /** @private */
+    this.db = new FSDB(path, options);
+    this.path = this.db.path;
+  }
+
+  /**
+   * @private
+   * Performs an operation using the synchronous database against the
+   * asynchronously read contents
+   * @template T The return type of the operation
+   * @param {boolean} write Whether the operation modifies the database
+   * @param {(db: FSDB) => T} fn The operation to perform
+   * @param {FSDBKey=} key The only key read by a reading operation (see
+   * {@link FSDB#runAsync})
+   * @returns {Promise<T>} The return value of the operation
+   */
+  run(write, fn, key) {
+    return this.db.runAsync(write, fn, key);
+  }
+
+  /**
+   * Add a listener for an event, see {@link FSDB} for the events emitted
+   * @param {string} event The name of the event
+   * @param {(...args: any[]) => void} listener The function called with the
+   * payload of the event
+   * @returns {this} The database, for chaining
+   */
+  on(event, listener) {
+    this.db.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener for an event
+   * @param {string} event The name of the event
+   * @param {(...args: any[]) => void} listener The listener to remove
+   * @returns {this} The database, for chaining
+   */
+  off(event, listener) {
+    this.db.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Watch for changes to keys matching a pattern
+   * @param {string} pattern The pattern of the keys to watch, in dot-notation
+   * @param {(change: FSDBChangeEvent) => void} callback The function called
+   * with every change
+   * @returns {() => void} A function that stops watching
+   * @throws {FSDBError} If no pattern was provided
+   */
+  watch(pattern, callback) {
+    return this.db.watch(pattern, callback);
+  }
+
+  /**
+   * Backup all database contents to another file, or a timestamped backup
+   * @param {string | FSDBBackupOptions} [path={}] The path to the file you want
+   * to backup to, or the options for a timestamped backup
+   * @param {FSDBBackupOptions} [options={}] Whether to compress the backup
+   * @returns {Promise<string>} The path to the backup
+   * @throws {FSDBError} When a file or another error occurs
+   */
+  backup(path = {}, options = {}) {
+    return this.db.backupAsync(path, options);
+  }
+
+  /**
+   * Replace the value of a key only if it currently equals an expected value
+   * @param {FSDBKey} key The key of the value
+   * @param {any} expected The value the key is expected to have
+   * @param {any} next The value to replace it with
+   * @returns {Promise<boolean>} Whether the value was replaced
+   * @throws {FSDBError} If no key was provided
+   */
+  cas(key, expected, next) {
+    return this.run(true, (db) => db.cas(key, expected, next));
+  }
+
+  /**
+   * Retrieve a collection of documents stored under a key, each by its unique
+   * ID
+   * @param {FSDBKey} name The key the documents are stored under
+   * @param {FSDBCollectionOptions} [options={}] The field holding the IDs
+   * @returns {AsyncFSDBCollection} The collection
+   * @throws {FSDBError} If no name or invalid options were provided
+   */
+  collection(name, options = {}) {
+    const collection = this.db.collection(name, options);
+    return new AsyncFSDBCollection(collection, (write, fn) =>
+      this.run(write, fn),
+    );
+  }
+
+  /**
+   * Delete a value from the database
+   * @param {FSDBKey} key The key of the data you want to delete
+   * @returns {Promise<void>}
+   * @throws {FSDBError} When a parsing or another error occurs
+   */
+  delete(key) {
+    return this.run(true, (db) => db.delete(key));
+  }
+
+  /**
+   * Delete all data from the database (this CANNOT be undone, unless the
+   * `history` option is enabled!)
+   * @returns {Promise<void>}
+   * @throws {FSDBError} When a file or another error occurs
+   */
+  deleteAll() {
+    return this.run(true, (db) => db.deleteAll());
+  }
+
+  /**
+   * Compact the journal into the database file
+   * @returns {Promise<void>}
+   * @throws {FSDBError} When a file or another error occurs
+   */
+  compact() {
+    return this.run(true, (db) => db.compact());
+  }
+
+  /**
+   * Create a secondary index on a field of the children of a key
+   * @param {string} prefix The key whose children to index
+   * @param {string} field The field to index, in dot-notation
+   * @param {FSDBIndexOptions} [options={}] Whether the values have to be unique
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no prefix or field was provided, or a file or
+   * another error occurs
+   * @throws {FSDBUniqueError} If a unique index is created on duplicate values
+   */
+  createIndex(prefix, field, options = {}) {
+    return this.run(true, (db) => db.createIndex(prefix, field, options));
+  }
+
+  /**
+   * Define the schema the values of keys matching a pattern have to match
+   * @param {string} pattern The pattern of the keys, in dot-notation
+   * @param {FSDBSchema | null} schema The schema, or `null` to remove it
+   * @throws {FSDBError} If no pattern or an invalid schema was provided
+   */
+  defineSchema(pattern, schema) {
+    this.db.defineSchema(pattern, schema);
+  }
+
+  /**
+   * Remove a secondary index
+   * @param {string} prefix The key whose children are indexed
+   * @param {string} field The indexed field, in dot-notation
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no prefix or field was provided, or a file or
+   * another error occurs
+   */
+  dropIndex(prefix, field) {
+    return this.run(true, (db) => db.dropIndex(prefix, field));
+  }
+
+  /**
+   * Export the contents of the database to a CSV, NDJSON or JSON file
+   * @param {string} path The path to the file, which is replaced if it exists
+   * @param {FSDBExportOptions} [options={}] The format of the file, and the
+   * keys to export
+   * @returns {Promise<string>} The resolved path to the file
+   * @throws {FSDBError} If no path or an invalid format was provided, or a file
+   * or another error occurs
+   */
+  export(path, options = {}) {
+    return this.db.exportAsync(path, options);
+  }
+
+  /**
+   * Retrieve the children of a key that match a query
+   * @param {string} prefix The key whose children to search, or `""` to search
+   * the top-level keys
+   * @param {FSDBQuery} [query={}] The filter or function the children have to
+   * match
+   * @param {FSDBFindOptions} [options={}] How to sort, limit and project the
+   * results
+   * @returns {Promise<FSDBEntry[]>} A list of the matching children
+   * @throws {FSDBError} If an invalid prefix, query or options were provided
+   */
+  find(prefix, query = {}, options = {}) {
+    return this.run(false, (db) => db.find(prefix, query, options));
+  }
+
+  /**
+   * Retrieve the first child of a key that matches a query
+   * @param {string} prefix The key whose children to search, or `""` to search
+   * the top-level keys
+   * @param {FSDBQuery} [query={}] The filter or function the child has to match
+   * @param {FSDBFindOptions} [options={}] How to sort and project the results
+   * @returns {Promise<FSDBEntry | undefined>} The first matching child
+   * (`undefined` if none matched)
+   * @throws {FSDBError} If an invalid prefix, query or options were provided
+   */
+  findOne(prefix, query = {}, options = {}) {
+    return this.run(false, (db) => db.findOne(prefix, query, options));
+  }
+
+  /**
+   * Retrieve a value from the database
+   * @param {FSDBKey} key The key of the data you want to retrieve
+   * @returns {Promise<any>} The data found (`undefined` if not found)
+   * @throws {FSDBError} If no key was provided
+   */
+  get(key) {
+    return this.run(false, (db) => db.get(key), key);
+  }
+
+  /**
+   * Fetch all data from the database
+   * @param {boolean=} verbose Whether or not to escape dot notation and class
+   * those as individual entries (defaults to "false")
+   * @returns {Promise<FSDBEntry[]>} All data in the database
+   * @throws {FSDBError} If the database could not be parsed
+   */
+  getAll(verbose) {
+    return this.run(false, (db) => db.getAll(verbose));
+  }
+
+  /**
+   * Check if a key exists in the database
+   * @param {FSDBKey} key The key to check
+   * @returns {Promise<boolean>} Whether the key exists
+   * @throws {FSDBError} If no key was provided
+   */
+  has(key) {
+    return this.run(false, (db) => db.has(key), key);
+  }
+
+  /**
+   * Import a CSV, NDJSON or JSON file, writing it to the database at once
+   * @param {string} path The path to the file
+   * @param {FSDBImportOptions} [options={}] The format of the file, and whether
+   * to merge or replace the data
+   * @returns {Promise<number>} The number of imported keys
+   * @throws {FSDBUniqueError} If a unique index would hold a value twice
+   * @throws {FSDBValidationError} If a value doesn't match its schema
+   * @throws {FSDBError} If no path, invalid options or an invalid file were
+   * provided, or a file or another error occurs
+   */
+  import(path, options = {}) {
+    return this.db.importAsync(path, options);
+  }
+
+  /**
+   * List the timestamped backups of the database, newest first
+   * @param {string} [dir] The directory of the backups
+   * @returns {Promise<FSDBBackup[]>} The backups
+   * @throws {FSDBError} When a file or another error occurs
+   */
+  listBackups(dir) {
+    return this.db.listBackupsAsync(dir);
+  }
+
+  /**
+   * List the migrations that were run on the database, oldest first
+   * @returns {Promise<FSDBMigrationRecord[]>} The migrations
+   * @throws {FSDBError}
+   */
+  listMigrations() {
+    return this.run(false, (db) => db.listMigrations());
+  }
+
+  /**
+   * Merge the properties of an object into the object stored at a key
+   * @param {FSDBKey} key The key of the object
+   * @param {Record<string, any>} partial The properties to merge
+   * @param {FSDBMergeOptions} [options={}] Whether to merge nested objects
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no key was provided, or either value isn't an
+   * object
+   */
+  merge(key, partial, options = {}) {
+    return this.run(true, (db) => db.merge(key, partial, options));
+  }
+
+  /**
+   * Run the migrations the database hasn't been migrated to yet, see
+   * {@link FSDB#migrate}
+   * @param {FSDBMigration[]} migrations All migrations of the data, including
+   * the ones that already ran
+   * @param {FSDBMigrateOptions} [options={}] Whether and how to back up the
+   * database first
+   * @returns {Promise<FSDBMigrationRecord[]>} The migrations that were run
+   * @throws {FSDBError} If invalid migrations were provided, a migration is
+   * asynchronous, or a file or another error occurs
+   */
+  migrate(migrations, options = {}) {
+    return this.db.migrateAsync(migrations, options);
+  }
+
+  /**
+   * Remove the expiry time of a key, so it is kept until deleted
+   * @param {FSDBKey} key The key to keep
+   * @returns {Promise<boolean>} Whether the key had an expiry time
+   * @throws {FSDBError} If no key was provided
+   */
+  persist(key) {
+    return this.run(true, (db) => db.persist(key));
+  }
+
+  /**
+   * Remove all entries that have expired from the database file
+   * @returns {Promise<number>} The number of entries removed
+   * @throws {FSDBError} When a file or another error occurs
    */
-  readData() {
-    return executeSafely(this.readData.name, () => {
-      return JSON.parse(readFileSync(this.path, "utf8"));
-    });
+  purgeExpired() {
+    return this.run(true, (db) => db.purgeExpired());
   }
 
   /**
-   * @private
-   * Writes the provided data to the database
-   * @param {Record<string, any>} data The data to write to the database
+   * Redo the last change undone with {@link AsyncFSDB#undo}
+   * @returns {Promise<boolean>} Whether there was a change to redo
+   * @throws {FSDBError} If the `history` option isn't enabled, or a file or
+   * another error occurs
    */
-  writeData(data) {
-    executeSafely(this.writeData.name, () => {
-      const content = JSON.stringify(data, null, this.compact ? 0 : 4);
-      writeFileSync(this.path, content, "utf8");
-    });
+  redo() {
+    return this.run(true, (db) => db.redo());
   }
 
   /**
-   * @private
-   * Retrieves the value of a key in the database
-   * @param {string} key The key of the value to retrieve
-   * @param {Record<string, any>} data The object reference
-   * @returns {*} The value of the key
+   * Register a custom class to be preserved by the typed encoding
+   * @param {string} name The name the values are tagged with
+   * @param {FSDBCustomType} type The class and how to encode and decode it
+   * @throws {FSDBError} If the name is taken by a built-in type, or the class
+   * or its functions are missing
    */
-  readEntry(key, data = this.readData()) {
-    return executeSafely(this.readEntry.name, () => {
-      for (const { currentKey, isLast } of Array.from(iterateKey(key))) {
-        if (isLast) return data[currentKey];
-        if (!data[currentKey]) return;
-        data = data[currentKey];
-      }
-    });
+  registerType(name, type) {
+    this.db.registerType(name, type);
   }
 
   /**
-   * @private
-   * Overwrites the value of a key in the database with the provided value. If
-   * the value is `undefined`, the key will be deleted.
-   * @param {string} key The key of the value to change, potentially in
-   * dot-notation
-   * @param {any=} value The new value to change set the key to
-   * @param {Record<string, any>} [data=any] The object to write to
-   * @param {any} [refEntry=data] The object reference
+   * Change the key the database is encrypted with, re-encrypting its file
+   * @param {string | Buffer | null} key The new passphrase, or `null` to store
+   * the database as plain JSON
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If an invalid key was provided, or a file or another
+   * error occurs
    */
-  writeEntry(key, value, data = this.readData(), refEntry = data) {
-    executeSafely(this.writeEntry.name, () => {
-      for (const { currentKey, isLast } of Array.from(iterateKey(key))) {
-        if (!isLast) {
-          if (!refEntry[currentKey]) refEntry[currentKey] = {};
-          refEntry = refEntry[currentKey];
-        } else {
-          if (value !== undefined) refEntry[currentKey] = value;
-          else if (refEntry.hasOwnProperty(currentKey))
-            delete refEntry[currentKey];
-        }
-      }
-
-      this.writeData(data);
-    });
+  rekey(key) {
+    return this.run(true, (db) => db.rekey(key));
   }
 
   /**
-   * @private
-   * Performs an operation on an array in the database
-   * @param {string} method The method that called this function (used for
-   * error messages)
-   * @param {string} key The key of the array to perform the operation on
-   * @param {(currentValue: any[]) => any[]} fn A function that takes the
-   * current value and returns the new value (the array operation)
-   * @throws {FSDBError} When a parsing or another error occurs
+   * Replace all database contents with a backup
+   * @param {string} path The path to the backup
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no path was provided, or a file or another error
+   * occurs
+   * @throws {FSDBDecryptionError} If the backup can't be decrypted
    */
-  setArray(method, key, fn) {
-    executeSafely(method, (createError) => {
-      if (!key) throw createError("No key provided.");
-      const data = this.get(key);
-
-      if (!Array.isArray(data)) throw createError("Value is not an array.");
-
-      this.set(key, fn(data));
-    });
+  restore(path) {
+    return this.db.restoreAsync(path);
   }
 
   /**
-   * @private
-   * Performs an operation on a numeric value in the database
-   * @param {string} method The method that called this function (used for
-   * error messages)
-   * @param {string} key The key of the number to perform the operation on
-   * @param {(currentValue: number) => number} fn A function that takes the
-   * current value and returns the new value (the arithmetic operation)
-   * @throws {FSDBError} When a parsing or another error occurs
+   * Replace all database contents with a named snapshot
+   * @param {string} name The name of the snapshot
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no name was provided, the snapshot doesn't exist,
+   * or a file or another error occurs
    */
-  setNumber(method, key, fn) {
-    executeSafely(method, (createError) => {
-      if (!key) throw createError("No key provided.");
-      const data = this.get(key);
-
-      if (typeof data !== "number" || isNaN(data))
-        throw createError("Value is not a number.");
-
-      const result = fn(data);
-      if (isNaN(result)) throw createError("Result is not a number.");
-
-      this.set(key, result);
-    });
+  revertTo(name) {
+    return this.db.revertToAsync(name);
   }
 
   /**
-   * Backup all database contents to another JSON file. Compact mode is used
-   * on all backups to keep the file size minimal
-   * @param {string} path The path to the JSON file you want to backup to
-   * @throws {FSDBError} When a file or another error occurs
-   * @example <caption>Backing up the database</caption>
-   * db.backup("./Backups/db-backup.json");
+   * Make timestamped backups of the database at an interval
+   * @param {FSDBBackupSchedule} options How often to backup the database,
+   * and where to
+   * @returns {() => void} A function that stops the backups
+   * @throws {FSDBError} If invalid options were provided
    */
-  backup(path) {
-    executeSafely(this.backup.name, (createError) => {
-      if (!path) throw createError("No path provided.");
-      if (path === this.path) throw createError("Path is same as database.");
+  scheduleBackups(options) {
+    return this.db.scheduleBackups(options);
+  }
 
-      if (this.getAll(true).length === 0)
-        console.warn("Backing up empty database.");
+  /**
+   * Save a value to the database
+   * @param {FSDBKey} key The key of the data you want to save
+   * @param {any} value The value you want to save
+   * @param {FSDBSetOptions} [options={}] When the value should expire
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no key or invalid options were provided
+   */
+  set(key, value, options = {}) {
+    return this.run(true, (db) => db.set(key, value, options));
+  }
 
-      createJsonFile(path, JSON.stringify(this.readData()));
-    });
+  /**
+   * Save a value to the database, unless the key already exists
+   * @param {FSDBKey} key The key of the data you want to save
+   * @param {any} value The value you want to save
+   * @param {FSDBSetOptions} [options={}] When the value should expire
+   * @returns {Promise<boolean>} Whether the value was saved
+   * @throws {FSDBError} If no key or invalid options were provided
+   */
+  setIfAbsent(key, value, options = {}) {
+    return this.run(true, (db) => db.setIfAbsent(key, value, options));
   }
 
   /**
-   * Delete a value from the database
-   * @param {string} key The key of the data you want to delete
-   * @throws {FSDBError} When a parsing or another error occurs
-   * @example <caption>Deleting a value</caption>
-   * db.delete("key");
-   * @example <caption>Deleting a value using dot notation</caption>
-   * db.delete("foo.bar");
+   * Save the current state of the database under a name
+   * @param {string} name The name of the snapshot
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If no name was provided, or a file or another error
+   * occurs
    */
-  delete(key) {
-    executeSafely(this.delete.name, (createError) => {
-      if (!key) throw createError("No key provided.");
-      this.writeEntry(key);
-    });
+  snapshot(name) {
+    return this.db.snapshotAsync(name);
   }
 
   /**
-   * Delete all data from the database (this CANNOT be undone!)
-   * @throws {FSDBError} When a file or another error occurs
-   * @example <caption>Deleting all data</caption>
-   * db.deleteAll();
+   * Retrieve a list of entries starting with a provided query
+   * @param {FSDBKey} query The search query to filter against
+   * @returns {Promise<FSDBEntry[]>} A list of entries starting with the
+   * provided query
+   * @throws {FSDBError}
    */
-  deleteAll() {
-    executeSafely(this.deleteAll.name, () => this.writeData({}));
+  startsWith(query) {
+    return this.run(false, (db) => db.startsWith(query));
   }
 
   /**
-   * Retrieve a value from the database
-   * @param {string} key The key of the data you want to retrieve
-   * @returns {any} The data found (`undefined` if not found)
+   * Retrieve how long a key has left before it expires
+   * @param {FSDBKey} key The key to check
+   * @returns {Promise<number | undefined>} The remaining time (in
+   * milliseconds), `Infinity` if the key never expires, or `undefined` if it
+   * doesn't exist
    * @throws {FSDBError} If no key was provided
-   * @example <caption>Retrieving a value</caption>
-   * db.get("key");
-   * // => "value"
    */
-  get(key) {
-    return executeSafely(this.getAll.name, (createError) => {
-      if (!key) throw createError("No key provided.");
-      return this.readEntry(key);
-    });
+  ttl(key) {
+    return this.run(false, (db) => db.ttl(key));
   }
 
   /**
-   * Fetch all data from the database
-   * @param {boolean=} verbose Whether or not to escape dot notation and class
-   * those as individual entries (defaults to "false")
-   * @returns {FSDBEntry[]} All data in the database
-   * @throws {FSDBError} If the database could not be parsed
-   * @example <caption>With "verbose" disabled</caption>
-   * db.getAll(false);
-   * // => [{ key: "key", value: "value" }, { key: "foo", value: { "bar": "value" } }]
-   * @example <caption>With "verbose" enabled</caption>
-   * db.getAll(true);
-   * // => [{ key: "key", value: "value" }, { key: "foo.bar", value: "value" }]
+   * Undo the last change made to the database
+   * @returns {Promise<boolean>} Whether there was a change to undo
+   * @throws {FSDBError} If the `history` option isn't enabled, or a file or
+   * another error occurs
    */
-  getAll(verbose) {
-    return executeSafely(this.getAll.name, () => {
-      const data = this.readData();
-      return Object.entries(verbose ? flattenObject(data) : data).map(
-        ([key, value]) => ({ key, value }),
-      );
-    });
+  undo() {
+    return this.run(true, (db) => db.undo());
   }
 
   /**
-   * Check if a key exists in the database
-   * @param {string} key The key to check
-   * @returns {boolean} Whether the key exists
-   * @throws {FSDBError} If no key was provided
-   * @example <caption>Check if ""key"" exists</caption>
-   * db.has("key");
-   * // => true
+   * Replace the value of a key with the result of a function
+   * @template T The type of the new value
+   * @param {FSDBKey} key The key of the value
+   * @param {(currentValue: any) => T} fn A synchronous function that takes a
+   * copy of the current value and returns the new value
+   * @returns {Promise<T>} The new value
+   * @throws {FSDBError} If no key or function was provided, or the function
+   * is asynchronous
    */
-  has(key) {
-    return executeSafely(this.has.name, (createError) => {
-      if (!key) throw createError("No key provided.");
-      return this.get(key) !== undefined;
-    });
+  update(key, fn) {
+    return this.run(true, (db) => db.update(key, fn));
   }
 
   /**
-   * Save a value to the database
-   * @param {string} key The key of the data you want to save
-   * @param {any} value The value you want to save
-   * @example <caption>Saving a value</caption>
-   * db.set("key", "value");
-   * // => { key: "value" }
-   * @example <caption>Saving a value with dot notation</caption>
-   * db.set("foo.bar", "value");
-   * // => { foo: { bar: "value" } }
+   * Validate all existing values against the schemas defined for their keys
+   * @returns {Promise<FSDBSchemaViolation[]>} The ways the values don't match
+   * their schemas
+   * @throws {FSDBError}
    */
-  set(key, value) {
-    executeSafely(this.set.name, (createError) => {
-      if (!key) throw createError("No key provided.");
-      this.writeEntry(key, value);
-    });
+  validate() {
+    return this.run(false, (db) => db.validate());
   }
 
   /**
-   * Retrieve a list of entries starting with a provided query
-   * @param {string} query The search query to filter against
-   * @returns {FSDBEntry[]} A list of entries starting with the provided query
+   * Retrieve the version of the data, that is the version of the last
+   * migration run by {@link AsyncFSDB#migrate}
+   * @returns {Promise<number>} The version (`0` if no migration has run yet)
    * @throws {FSDBError}
-   * @example <caption>Retrieve entries starting with `"key"`</caption>
-   * db.startsWith("key");
-   * // => [{ key: "key.foo", value: "value" }, { key: "key.bar", value: "value" }]
    */
-  startsWith(query) {
-    return executeSafely(this.startsWith.name, (createError) => {
-      if (!query) throw createError("No query provided.");
-      return this.getAll(true).filter(({ key }) => key.startsWith(query));
-    });
+  version() {
+    return this.run(false, (db) => db.version());
+  }
+
+  /**
+   * Perform several operations as a single, all-or-nothing change
+   * @template T The return type of the function
+   * @param {(tx: FSDB) => T} fn The synchronous function performing the
+   * operations on the provided `tx`
+   * @returns {Promise<T>} The return value of the function
+   * @throws {FSDBError} If the function is asynchronous, or a file or another
+   * error occurs
+   */
+  transaction(fn) {
+    return this.run(true, (db) => db.transaction(fn));
   }
 
   /**
    * Push value(s) to an array in the database
-   * @param {string} key The key of the array you want to push to
+   * @param {FSDBKey} key The key of the array you want to push to
    * @param {any[]} items The value(s) you want to push
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Pushing a value</caption>
-   * db.push("key", "value");
-   * // => { key: ["value"] }
-   * @example <caption>Pushing multiple values</caption>
-   * db.push("key", "foo", "bar");
-   * // => { key: ["value", "foo", "bar"] }
    */
   push(key, ...items) {
-    this.setArray(this.push.name, key, (currentValue) => {
-      return currentValue.concat(items);
-    });
+    return this.run(true, (db) => db.push(key, ...items));
   }
 
   /**
    * Remove value(s) from an array in the database
-   * @param {string} key The key of the array you want to remove from
+   * @param {FSDBKey} key The key of the array you want to remove from
    * @param {any[]} items The value(s) you want to remove
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Removing a value</caption>
-   * db.pull("key", "value");
-   * // => { key: [] }
    */
   pull(key, ...items) {
-    this.setArray(this.pull.name, key, (currentValue) => {
-      return currentValue.filter((item) => !items.includes(item));
-    });
+    return this.run(true, (db) => db.pull(key, ...items));
+  }
+
+  /**
+   * Remove the last item of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @returns {Promise<any>} The removed item
+   * @throws {FSDBError}
+   */
+  pop(key) {
+    return this.run(true, (db) => db.pop(key));
+  }
+
+  /**
+   * Remove the first item of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @returns {Promise<any>} The removed item
+   * @throws {FSDBError}
+   */
+  shift(key) {
+    return this.run(true, (db) => db.shift(key));
+  }
+
+  /**
+   * Add value(s) to the start of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {any[]} items The value(s) you want to add
+   * @returns {Promise<void>}
+   * @throws {FSDBError}
+   */
+  unshift(key, ...items) {
+    return this.run(true, (db) => db.unshift(key, ...items));
+  }
+
+  /**
+   * Remove and/or insert items at a position of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {number} start The index to start at
+   * @param {number=} deleteCount How many items to remove (required when
+   * inserting items)
+   * @param {any[]} items The value(s) to insert at `start`
+   * @returns {Promise<any[]>} The removed items
+   * @throws {FSDBError} If `start` or `deleteCount` aren't integers, or items
+   * are inserted without a delete count
+   */
+  splice(key, start, deleteCount, ...items) {
+    return this.run(true, (db) => db.splice(key, start, deleteCount, ...items));
+  }
+
+  /**
+   * Push value(s) to an array in the database unless it already contains them
+   * @param {FSDBKey} key The key of the array
+   * @param {any[]} items The value(s) you want to add
+   * @returns {Promise<void>}
+   * @throws {FSDBError}
+   */
+  addToSet(key, ...items) {
+    return this.run(true, (db) => db.addToSet(key, ...items));
+  }
+
+  /**
+   * Insert value(s) at a position of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {number} index The index to insert at
+   * @param {any[]} items The value(s) you want to insert
+   * @returns {Promise<void>}
+   * @throws {FSDBError} If the index isn't an integer
+   */
+  insertAt(key, index, ...items) {
+    return this.run(true, (db) => db.insertAt(key, index, ...items));
+  }
+
+  /**
+   * Remove the item at a position of an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {number} index The index of the item
+   * @returns {Promise<any>} The removed item
+   * @throws {FSDBError} If the index isn't an integer
+   */
+  removeAt(key, index) {
+    return this.run(true, (db) => db.removeAt(key, index));
+  }
+
+  /**
+   * Sort an array in the database
+   * @param {FSDBKey} key The key of the array
+   * @param {(a: any, b: any) => number} [compare] A function returning a
+   * negative number if `a` comes first, or a positive number if `b` does
+   * @returns {Promise<void>}
+   * @throws {FSDBError}
+   */
+  sort(key, compare) {
+    return this.run(true, (db) => db.sort(key, compare));
   }
 
   /**
    * Add to a numeric value in the database
-   * @param {string} key The key of the number you want to add to
-   * @param {number} value The value you want to add
+   * @param {FSDBKey} key The key of the number you want to add to
+   * @param {number | bigint} value The value you want to add
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Adding to a number</caption>
-   * // assuming the database contains: { key: 500 }
-   * db.add("key", 250);
-   * // => { key: 750 }
    */
   add(key, value) {
-    this.setNumber(this.add.name, key, (currentValue) => {
-      return currentValue + value;
-    });
+    return this.run(true, (db) => db.add(key, value));
   }
 
   /**
    * Subtract from a numeric value in the database
-   * @param {string} key The key of the number you want to subtract from
-   * @param {number} value The value you want to subtract
+   * @param {FSDBKey} key The key of the number you want to subtract from
+   * @param {number | bigint} value The value you want to subtract
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Subtracting from a number</caption>
-   * // assuming the database contains: { key: 500 }
-   * db.subtract("key", 100);
-   * // => { key: 400 }
    */
   subtract(key, value) {
-    this.setNumber(this.subtract.name, key, (currentValue) => {
-      return currentValue - value;
-    });
+    return this.run(true, (db) => db.subtract(key, value));
   }
 
   /**
    * Multiply a numeric value in the database
-   * @param {string} key The key of the number you want to multiply
-   * @param {number} value The value you want to multiply by
+   * @param {FSDBKey} key The key of the number you want to multiply
+   * @param {number | bigint} value The value you want to multiply by
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Multiplying a number</caption>
-   * // assuming the database contains: { key: 500 }
-   * db.multiply("key", 2);
-   * // => { key: 1000 }
    */
   multiply(key, value) {
-    this.setNumber(this.multiply.name, key, (currentValue) => {
-      return currentValue * value;
-    });
+    return this.run(true, (db) => db.multiply(key, value));
   }
 
   /**
    * Divide a numeric value in the database
-   * @param {string} key The key of the number you want to divide
-   * @param {number} value The value you want to divide by
+   * @param {FSDBKey} key The key of the number you want to divide
+   * @param {number | bigint} value The value you want to divide by
+   * @returns {Promise<void>}
    * @throws {FSDBError}
-   * @example <caption>Dividing a number</caption>
-   * // assuming the database contains: { key: 500 }
-   * db.divide("key", 2);
-   * // => { key: 250 }
    */
   divide(key, value) {
-    this.setNumber(this.divide.name, key, (currentValue) => {
-      return currentValue / value;
-    });
+    return this.run(true, (db) => db.divide(key, value));
+  }
+}
+
+/**
+ * An asynchronous version of {@link FSDBCollection}, created with
+ * {@link AsyncFSDB#collection}
+ */
+class AsyncFSDBCollection {
+  /**
+   * Create a new asynchronous collection of a database
+   * @param {FSDBCollection} collection The collection of the synchronous
+   * database, which validated the name and options
+   * @param {<T>(write: boolean, fn: (db: FSDB) => T) => Promise<T>} run
+   * Performs an operation against the asynchronously read contents of the
+   * database (see {@link AsyncFSDB#run})
+   */
+  constructor(collection, run) {
+    /** @private */
+    this.runOnDatabase = run;
+    /** The key the documents are stored under, in dot-notation */
+    this.name = collection.name;
+    /** The field of the documents holding their IDs */
+    this.idField = collection.idField;
+  }
+
+  /**
+   * @private
+   * Performs an operation on the collection of the synchronous database
+   * @template T The return type of the operation
+   * @param {boolean} write Whether the operation modifies the database
+   * @param {(collection: FSDBCollection) => T} fn The operation to perform
+   * @returns {Promise<T>} The return value of the operation
+   */
+  run(write, fn) {
+    const options = { idField: this.idField };
+    return this.runOnDatabase(write, (db) =>
+      fn(db.collection(this.name, options)),
+    );
+  }
+
+  /**
+   * Retrieve all documents of the collection
+   * @returns {Promise<Record<string, any>[]>} The documents
+   * @throws {FSDBError}
+   */
+  all() {
+    return this.run(false, (collection) => collection.all());
+  }
+
+  /**
+   * Count the documents of the collection
+   * @param {FSDBQuery} [query={}] The filter or function the documents have to
+   * match to be counted
+   * @returns {Promise<number>} The number of matching documents
+   * @throws {FSDBError} If an invalid query was provided
+   */
+  count(query = {}) {
+    return this.run(false, (collection) => collection.count(query));
+  }
+
+  /**
+   * Retrieve the documents of the collection that match a query
+   * @param {FSDBQuery} [query={}] The filter or function the documents have to
+   * match
+   * @param {FSDBFindOptions} [options={}] How to sort, limit and project the
+   * documents
+   * @returns {Promise<Record<string, any>[]>} The matching documents
+   * @throws {FSDBError} If an invalid query or options were provided
+   */
+  find(query = {}, options = {}) {
+    return this.run(false, (collection) => collection.find(query, options));
+  }
+
+  /**
+   * Retrieve a document by its ID
+   * @param {string | number} id The ID of the document
+   * @returns {Promise<Record<string, any> | undefined>} The document
+   * (`undefined` if not found)
+   * @throws {FSDBError} If no ID was provided
+   */
+  findById(id) {
+    return this.run(false, (collection) => collection.findById(id));
+  }
+
+  /**
+   * Add a document to the collection, giving it a unique ID
+   * @param {Record<string, any>} doc The document to add
+   * @returns {Promise<Record<string, any>>} The document as it was stored
+   * @throws {FSDBUniqueError} If the document's own ID is already used
+   * @throws {FSDBError} If the document isn't an object or has an invalid ID
+   */
+  insert(doc) {
+    return this.run(true, (collection) => collection.insert(doc));
+  }
+
+  /**
+   * Remove a document from the collection
+   * @param {string | number} id The ID of the document
+   * @returns {Promise<boolean>} Whether the document existed
+   * @throws {FSDBError} If no ID was provided
+   */
+  removeById(id) {
+    return this.run(true, (collection) => collection.removeById(id));
+  }
+
+  /**
+   * Update a document of the collection, keeping its ID
+   * @param {string | number} id The ID of the document
+   * @param {Record<string, any> | ((doc: Record<string, any>) => Record<string, any>)} update
+   * The fields to change, or a synchronous function returning the updated
+   * document
+   * @returns {Promise<Record<string, any> | undefined>} The updated document
+   * (`undefined` if not found)
+   * @throws {FSDBError} If no ID or an invalid update was provided
+   */
+  updateById(id, update) {
+    return this.run(true, (collection) => collection.updateById(id, update));
+  }
+
+  /**
+   * Iterate over the documents of the collection
+   * @returns {AsyncIterator<Record<string, any>>} The documents
+   * @example <caption>Iterating over the users</caption>
+   * for await (const user of users) console.log(user.name);
+   */
+  async *[Symbol.asyncIterator]() {
+    yield* await this.all();
   }
 }
 
-module.exports = { FSDB, FSDBError };
+module.exports = {
+  AsyncFSDB,
+  AsyncFSDBCollection,
+  FSDB,
+  FSDBCollection,
+  FSDBDecryptionError,
+  FSDBError,
+  FSDBUniqueError,
+  FSDBValidationError,
+};
@@ -1,9 +1,18 @@
 // @ts-check
 
 const assert = require("assert");
-const { readFileSync, unlinkSync, writeFileSync } = require("fs");
+const { spawn, spawnSync } = require("child_process");
+const {
+  existsSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  unlinkSync,
+  writeFileSync,
+} = require("fs");
+const { hostname } = require("os");
 const { join } = require("path");
-const { FSDB } = require("file-system-db");
+const { AsyncFSDB, FSDB } = require("file-system-db");
 
 describe("FSDB", () => {
   /** @type {FSDB} */
@@ -55,6 +64,2679 @@ describe("FSDB", () => {
     });
   });
 
+  describe("writing data", () => {
+    const filepath = join(__dirname, "atomic-db.json");
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should not leave temporary files behind", () => {
+      db = new FSDB(filepath);
+      db.set("foo", "bar");
+      db.set("baz", [1, 2, 3]);
+
+      const leftovers = readdirSync(__dirname).filter((file) => {
+        return file.startsWith("atomic-db.json.") && file.endsWith(".tmp");
+      });
+
+      assert.deepStrictEqual(leftovers, []);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        foo: "bar",
+        baz: [1, 2, 3],
+      });
+    });
+
+    it("should handle every durability level", () => {
+      for (const durability of /** @type {const} */ ([
+        "none",
+        "file",
+        "full",
+      ])) {
+        db = new FSDB(filepath, { durability });
+        db.set("durability", durability);
+        assert.strictEqual(db.get("durability"), durability);
+      }
+    });
+
+    it("should keep the `compact` option when passing options", () => {
+      db = new FSDB(filepath, { compact: false });
+      db.set("foo", "bar");
+      assert.strictEqual(
+        readFileSync(filepath, "utf8"),
+        JSON.stringify({ foo: "bar" }, null, 4),
+      );
+    });
+
+    it("should reject unknown durability levels", () => {
+      assert.throws(
+        // @ts-expect-error
+        () => new FSDB(filepath, { durability: "sometimes" }),
+        { name: "FSDBError" },
+      );
+    });
+  });
+
+  describe("caching data", () => {
+    const filepath = join(__dirname, "cache-db.json");
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should pick up changes made to the file outside of FSDB", () => {
+      db = new FSDB(filepath);
+      db.set("foo", "bar");
+      assert.strictEqual(db.get("foo"), "bar");
+
+      writeFileSync(filepath, JSON.stringify({ foo: "baz" }), "utf8");
+      assert.strictEqual(db.get("foo"), "baz");
+    });
+
+    it("should not share cached values with callers", () => {
+      db = new FSDB(filepath);
+      const value = { list: [1, 2, 3] };
+      db.set("foo", value);
+
+      value.list.push(4);
+      db.get("foo").list.push(5);
+      db.getAll()[0].value.list.push(6);
+
+      assert.deepStrictEqual(db.get("foo"), { list: [1, 2, 3] });
+    });
+
+    it("should store what was actually written to disk", () => {
+      db = new FSDB(filepath);
+      db.set("foo", { fn: () => {}, bar: undefined, baz: 1 });
+      assert.deepStrictEqual(db.get("foo"), { baz: 1 });
+    });
+
+    it("should read the file on every call when disabled", () => {
+      db = new FSDB(filepath, { cache: false });
+      db.set("foo", "bar");
+
+      writeFileSync(filepath, JSON.stringify({ foo: "baz" }), "utf8");
+      assert.strictEqual(db.get("foo"), "baz");
+    });
+  });
+
+  describe("locking the database", () => {
+    const filepath = join(__dirname, "lock-db.json");
+    const lockPath = `${filepath}.lock`;
+
+    afterEach(() => {
+      rmSync(filepath, { force: true });
+      rmSync(lockPath, { force: true });
+    });
+
+    it("should not lose updates from concurrent processes", async () => {
+      db = new FSDB(filepath);
+      db.set("counter", 0);
+
+      const script = `
+        const { FSDB } = require("file-system-db");
+        const db = new FSDB(${JSON.stringify(filepath)});
+        for (let i = 0; i < 25; i++) db.add("counter", 1);
+      `;
+      const children = Array.from({ length: 4 }, () => {
+        const child = spawn(process.execPath, ["-e", script], {
+          cwd: __dirname,
+          stdio: "inherit",
+        });
+        return new Promise((resolve) => child.on("exit", resolve));
+      });
+
+      assert.deepStrictEqual(await Promise.all(children), [0, 0, 0, 0]);
+      assert.strictEqual(db.get("counter"), 100);
+    });
+
+    it("should release the lock after every operation", () => {
+      db = new FSDB(filepath);
+      db.set("foo", "bar");
+      assert.strictEqual(existsSync(lockPath), false);
+
+      assert.throws(() => db.add("foo", 1), { name: "FSDBError" });
+      assert.strictEqual(existsSync(lockPath), false);
+    });
+
+    it("should run functions while holding the lock", () => {
+      db = new FSDB(filepath);
+      const result = db.withLock(() => {
+        assert.strictEqual(existsSync(lockPath), true);
+        db.set("foo", 1);
+        db.add("foo", 1);
+        return db.get("foo");
+      });
+
+      assert.strictEqual(result, 2);
+      assert.strictEqual(existsSync(lockPath), false);
+    });
+
+    it("should time out when another process holds the lock", () => {
+      db = new FSDB(filepath, { lock: { timeout: 50 } });
+      const owner = { pid: process.pid, hostname: hostname() };
+      writeFileSync(lockPath, JSON.stringify(owner), "utf8");
+
+      assert.throws(() => db.set("foo", "bar"), { name: "FSDBError" });
+      assert.strictEqual(db.get("foo"), undefined);
+    });
+
+    it("should take over locks from processes that no longer exist", () => {
+      db = new FSDB(filepath, { lock: { timeout: 50 } });
+      const { pid } = spawnSync(process.execPath, ["-e", ""]);
+      writeFileSync(lockPath, JSON.stringify({ pid, hostname: hostname() }));
+
+      db.set("foo", "bar");
+      assert.strictEqual(db.get("foo"), "bar");
+    });
+
+    it("should take over locks older than `stale`", () => {
+      db = new FSDB(filepath, { lock: { timeout: 50, stale: 0 } });
+      writeFileSync(lockPath, "", "utf8");
+
+      db.set("foo", "bar");
+      assert.strictEqual(db.get("foo"), "bar");
+    });
+
+    it("should not take over old locks of processes that still exist", () => {
+      db = new FSDB(filepath, { lock: { timeout: 50, stale: 0 } });
+      const owner = { pid: process.pid, hostname: hostname() };
+      writeFileSync(lockPath, JSON.stringify(owner), "utf8");
+
+      assert.throws(() => db.set("foo", "bar"), { name: "FSDBError" });
+      assert.strictEqual(db.get("foo"), undefined);
+    });
+
+    it("should take over old locks of other machines", () => {
+      db = new FSDB(filepath, { lock: { timeout: 50, stale: 0 } });
+      const owner = { pid: process.pid, hostname: `not-${hostname()}` };
+      writeFileSync(lockPath, JSON.stringify(owner), "utf8");
+
+      db.set("foo", "bar");
+      assert.strictEqual(db.get("foo"), "bar");
+    });
+  });
+
+  describe("performing transactions", () => {
+    const filepath = join(__dirname, "transaction-db.json");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("alice", { coins: 100 });
+      db.set("bob", { coins: 0 });
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should apply all operations with a single write", () => {
+      const content = readFileSync(filepath, "utf8");
+      const result = db.transaction((tx) => {
+        tx.subtract("alice.coins", 10);
+        tx.add("bob.coins", 10);
+
+        assert.strictEqual(tx.get("bob.coins"), 10);
+        assert.strictEqual(readFileSync(filepath, "utf8"), content);
+        return tx.get("alice.coins");
+      });
+
+      assert.strictEqual(result, 90);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        alice: { coins: 90 },
+        bob: { coins: 10 },
+      });
+    });
+
+    it("should leave the database untouched if an operation fails", () => {
+      const content = readFileSync(filepath, "utf8");
+      assert.throws(
+        () => {
+          db.transaction((tx) => {
+            tx.add("bob.coins", 10);
+            tx.subtract("alice.name", 10);
+          });
+        },
+        { name: "FSDBError" },
+      );
+
+      assert.strictEqual(readFileSync(filepath, "utf8"), content);
+      assert.strictEqual(db.get("bob.coins"), 0);
+    });
+
+    it("should rethrow errors from the callback as they are", () => {
+      const error = new Error("Not enough coins.");
+      assert.throws(() => {
+        db.transaction((tx) => {
+          tx.delete("alice");
+          throw error;
+        });
+      }, error);
+
+      assert.strictEqual(db.get("alice.coins"), 100);
+    });
+
+    it("should refuse asynchronous callbacks", () => {
+      assert.throws(
+        () => db.transaction(async (tx) => tx.set("alice.coins", 0)),
+        { name: "FSDBError" },
+      );
+
+      assert.strictEqual(db.get("alice.coins"), 100);
+    });
+
+    it("should handle the rejections of asynchronous callbacks", async () => {
+      const unhandled = [];
+      const onRejection = (reason) => unhandled.push(reason);
+      process.on("unhandledRejection", onRejection);
+      try {
+        assert.throws(
+          () =>
+            db.transaction(async () => {
+              throw new Error("Too late.");
+            }),
+          { name: "FSDBError" },
+        );
+        await new Promise((resolve) => setImmediate(resolve));
+      } finally {
+        process.off("unhandledRejection", onRejection);
+      }
+
+      assert.deepStrictEqual(unhandled, []);
+    });
+
+    it("should refuse to use a transaction once it has ended", () => {
+      /** @type {FSDB | undefined} */
+      let leaked;
+      db.transaction((tx) => {
+        leaked = tx;
+        tx.set("alice.coins", 90);
+      });
+
+      assert.throws(() => leaked?.set("alice.coins", 0), { name: "FSDBError" });
+      assert.throws(() => leaked?.get("alice.coins"), { name: "FSDBError" });
+      assert.strictEqual(db.get("alice.coins"), 90);
+      db.set("alice.coins", 100);
+    });
+  });
+
+  describe("using the asynchronous API", () => {
+    const filepath = join(__dirname, "async-db.json");
+    /** @type {AsyncFSDB} */
+    let asyncDb;
+
+    beforeEach(() => {
+      asyncDb = new AsyncFSDB(filepath);
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should perform basic operations", async () => {
+      await asyncDb.set("foo.bar", "baz");
+      assert.strictEqual(await asyncDb.get("foo.bar"), "baz");
+      assert.strictEqual(await asyncDb.has("foo"), true);
+      assert.deepStrictEqual(await asyncDb.startsWith("foo"), [
+        { key: "foo.bar", value: "baz" },
+      ]);
+
+      await asyncDb.delete("foo.bar");
+      assert.deepStrictEqual(await asyncDb.getAll(), [
+        { key: "foo", value: {} },
+      ]);
+
+      await asyncDb.deleteAll();
+      assert.strictEqual(readFileSync(filepath, "utf8"), "{}");
+    });
+
+    it("should not interleave concurrent writes", async () => {
+      await asyncDb.set("counter", 0);
+      await asyncDb.set("list", []);
+
+      await Promise.all(
+        Array.from({ length: 50 }, (_, i) => {
+          return Promise.all([
+            asyncDb.add("counter", 1),
+            asyncDb.push("list", i),
+          ]);
+        }),
+      );
+
+      assert.strictEqual(await asyncDb.get("counter"), 50);
+      assert.strictEqual((await asyncDb.get("list")).length, 50);
+    });
+
+    it("should keep processing writes after one fails", async () => {
+      await asyncDb.set("foo", "bar");
+      const results = await Promise.allSettled([
+        asyncDb.add("foo", 1),
+        asyncDb.set("baz", 1),
+      ]);
+
+      assert.strictEqual(results[0].status, "rejected");
+      assert.strictEqual(results[1].status, "fulfilled");
+      assert.strictEqual(await asyncDb.get("baz"), 1);
+    });
+
+    it("should share the file with synchronous instances", async () => {
+      db = new FSDB(filepath);
+      await asyncDb.set("foo", 1);
+      db.add("foo", 1);
+      await asyncDb.add("foo", 1);
+      assert.strictEqual(db.get("foo"), 3);
+    });
+
+    it("should back up the database", async () => {
+      const backupPath = join(__dirname, "async-backup.json");
+      await asyncDb.set("foo", "bar");
+      await asyncDb.backup(backupPath);
+
+      assert.strictEqual(
+        readFileSync(backupPath, "utf8"),
+        readFileSync(filepath, "utf8"),
+      );
+      unlinkSync(backupPath);
+    });
+  });
+
+  describe("journaling changes", () => {
+    const filepath = join(__dirname, "journal-db.json");
+    const journalPath = `${filepath}.journal`;
+
+    beforeEach(() => {
+      db = new FSDB(filepath, { journal: true });
+    });
+
+    afterEach(() => {
+      rmSync(filepath, { force: true });
+      rmSync(journalPath, { force: true });
+    });
+
+    it("should append changes to the journal", () => {
+      db.set("foo", { bar: 1 });
+      db.add("foo.bar", 1);
+      db.set("list", [1]);
+      db.push("list", 2);
+      db.delete("foo.baz");
+
+      assert.strictEqual(readFileSync(filepath, "utf8"), "{}");
+      assert.strictEqual(
+        readFileSync(journalPath, "utf8").split("\n").length,
+        7,
+      );
+      assert.deepStrictEqual(new FSDB(filepath).get("foo"), { bar: 2 });
+    });
+
+    it("should compact the journal into the database file", () => {
+      db.set("foo", "bar");
+      db.set("baz", [1, 2, 3]);
+      db.compact();
+
+      assert.strictEqual(existsSync(journalPath), false);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        foo: "bar",
+        baz: [1, 2, 3],
+      });
+    });
+
+    it("should compact the journal once it exceeds the threshold", async () => {
+      db = new FSDB(filepath, { journal: { threshold: 100 } });
+      for (let i = 0; i < 10; i++) db.set(`key${i}`, i);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.strictEqual(existsSync(journalPath), false);
+      assert.strictEqual(JSON.parse(readFileSync(filepath, "utf8")).key9, 9);
+    });
+
+    it("should ignore a journal left behind by a compaction", () => {
+      db.set("foo", "bar");
+      const journal = readFileSync(journalPath, "utf8");
+
+      db.deleteAll();
+      writeFileSync(journalPath, journal, "utf8");
+      assert.strictEqual(db.get("foo"), undefined);
+    });
+
+    it("should ignore an interrupted write", () => {
+      db.set("foo", "bar");
+      writeFileSync(journalPath, readFileSync(journalPath, "utf8") + '{"ke');
+      assert.strictEqual(new FSDB(filepath).get("foo"), "bar");
+    });
+
+    it("should keep appending after an interrupted write", () => {
+      db.set("foo", "bar");
+      const journal = readFileSync(journalPath, "utf8");
+      // cut off in the middle of the last record
+      writeFileSync(journalPath, journal.slice(0, -5));
+      db.set("baz", 1);
+
+      const other = new FSDB(filepath);
+      assert.strictEqual(other.get("foo"), undefined);
+      assert.strictEqual(other.get("baz"), 1);
+    });
+
+    it("should append asynchronous changes to the journal", async () => {
+      const asyncDb = new AsyncFSDB(filepath, { journal: true });
+      await Promise.all([asyncDb.set("foo", 1), asyncDb.add("foo", 1)]);
+
+      assert.strictEqual(readFileSync(filepath, "utf8"), "{}");
+      assert.strictEqual(db.get("foo"), 2);
+
+      await asyncDb.compact();
+      assert.strictEqual(readFileSync(filepath, "utf8"), '{"foo":2}');
+    });
+  });
+
+  describe("expiring values", () => {
+    const filepath = join(__dirname, "expiry-db.json");
+    const past = () => Date.now() - 1;
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should treat expired values as missing", () => {
+      db.set("player.name", "WillTDA");
+      db.set("player.cooldown", true, { expireAt: past() });
+      db.set("session", "abc", { expireAt: new Date(past()) });
+
+      assert.strictEqual(db.get("player.cooldown"), undefined);
+      assert.strictEqual(db.has("session"), false);
+      assert.deepStrictEqual(db.get("player"), { name: "WillTDA" });
+      assert.deepStrictEqual(db.getAll(), [
+        { key: "player", value: { name: "WillTDA" } },
+      ]);
+      assert.deepStrictEqual(db.startsWith("player"), [
+        { key: "player.name", value: "WillTDA" },
+      ]);
+    });
+
+    it("should keep values until they expire", async () => {
+      db.set("cooldown", true, { ttl: 50 });
+      assert.strictEqual(db.get("cooldown"), true);
+
+      const ttl = /** @type {number} */ (db.ttl("cooldown"));
+      assert(ttl > 0 && ttl <= 50);
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      assert.strictEqual(db.get("cooldown"), undefined);
+      assert.strictEqual(db.ttl("cooldown"), undefined);
+    });
+
+    it("should keep expiry times across instances", () => {
+      db.set("session", "abc", { ttl: 60_000 });
+      db.set("expired", "abc", { expireAt: past() });
+
+      const other = new FSDB(filepath);
+      assert(/** @type {number} */ (other.ttl("session")) > 59_000);
+      assert.strictEqual(other.get("expired"), undefined);
+    });
+
+    it("should apply expiry times to nested keys", () => {
+      db.set("player", { name: "WillTDA" }, { ttl: 60_000 });
+      assert(/** @type {number} */ (db.ttl("player.name")) > 59_000);
+      assert.strictEqual(db.ttl("non-existent"), undefined);
+    });
+
+    it("should keep expiry times when modifying values", () => {
+      db.set("coins", 1, { ttl: 60_000 });
+      db.add("coins", 1);
+      assert(/** @type {number} */ (db.ttl("coins")) > 59_000);
+
+      db.set("coins", 5);
+      assert.strictEqual(db.ttl("coins"), Infinity);
+    });
+
+    it("should remove expiry times", () => {
+      db.set("session", "abc", { ttl: 60_000 });
+      assert.strictEqual(db.persist("session"), true);
+      assert.strictEqual(db.persist("session"), false);
+      assert.strictEqual(db.ttl("session"), Infinity);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        session: "abc",
+      });
+    });
+
+    it("should purge expired values from the file", async () => {
+      db.set("foo", "bar");
+      db.set("a.b", 1, { ttl: 20 });
+      db.set("c", 2, { ttl: 20 });
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      assert.strictEqual(db.purgeExpired(), 2);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        foo: "bar",
+        a: {},
+      });
+    });
+
+    it("should reject invalid expiry options", () => {
+      assert.throws(() => db.set("foo", 1, { ttl: -1 }), {
+        name: "FSDBError",
+      });
+      assert.throws(() => db.set("foo", 1, { expireAt: NaN }), {
+        name: "FSDBError",
+      });
+      assert.throws(() => db.set("foo", 1, { ttl: 1, expireAt: 1 }), {
+        name: "FSDBError",
+      });
+    });
+  });
+
+  describe("emitting change events", () => {
+    const filepath = join(__dirname, "events-db.json");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+    });
+
+    afterEach(() => {
+      db.removeAllListeners();
+      rmSync(filepath, { force: true });
+    });
+
+    it("should emit set, delete and change events", () => {
+      db.set("score", 1);
+
+      /** @type {[string, unknown][]} */
+      const events = [];
+      for (const event of ["set", "delete", "change"])
+        db.on(event, (payload) => events.push([event, payload]));
+
+      db.set("name", "WillTDA");
+      db.add("score", 5);
+      db.delete("name");
+
+      const first = { key: "name", oldValue: undefined, newValue: "WillTDA" };
+      const second = { key: "score", oldValue: 1, newValue: 6 };
+      const third = { key: "name", oldValue: "WillTDA", newValue: undefined };
+      assert.deepStrictEqual(events, [
+        ["set", first],
+        ["change", first],
+        ["set", second],
+        ["change", second],
+        ["delete", third],
+        ["change", third],
+      ]);
+    });
+
+    it("should emit errors thrown by listeners", () => {
+      const error = new Error("Listener failed.");
+      /** @type {unknown[]} */
+      const errors = [];
+      /** @type {string[]} */
+      const keys = [];
+      db.on("error", (error) => errors.push(error));
+      db.on("change", () => {
+        throw error;
+      });
+      db.on("change", ({ key }) => keys.push(key));
+
+      db.set("score", 1);
+      assert.strictEqual(db.get("score"), 1);
+      assert.deepStrictEqual(errors, [error]);
+      assert.deepStrictEqual(keys, ["score"]);
+    });
+
+    it("should emit the deleted entries when clearing the database", () => {
+      db.set("a", 1);
+      db.set("b", 2);
+
+      /** @type {unknown[]} */
+      const cleared = [];
+      /** @type {string[]} */
+      const deleted = [];
+      db.on("deleteAll", (entries) => cleared.push(entries));
+      db.on("delete", ({ key }) => deleted.push(key));
+      db.deleteAll();
+
+      assert.deepStrictEqual(cleared, [
+        [
+          { key: "a", value: 1 },
+          { key: "b", value: 2 },
+        ],
+      ]);
+      assert.deepStrictEqual(deleted, ["a", "b"]);
+    });
+
+    it("should only notify watchers of matching keys", () => {
+      /** @type {string[]} */
+      const keys = [];
+      const unwatch = db.watch("players.*.score", ({ key }) => keys.push(key));
+
+      db.set("players.will.score", 1);
+      db.set("players.will.name", "WillTDA");
+      db.set("players", {});
+      db.set("teams.red.score", 2);
+      unwatch();
+      db.set("players.will.score", 3);
+
+      assert.deepStrictEqual(keys, ["players.will.score", "players"]);
+      assert.strictEqual(db.listenerCount("change"), 0);
+    });
+
+    it("should only emit the events of committed transactions", () => {
+      /** @type {string[]} */
+      const keys = [];
+      db.on("change", ({ key }) => keys.push(key));
+
+      assert.throws(() =>
+        db.transaction((tx) => {
+          tx.set("discarded", true);
+          throw new Error("Rollback");
+        }),
+      );
+      db.transaction((tx) => {
+        tx.set("committed", true);
+        assert.deepStrictEqual(keys, []);
+      });
+
+      assert.deepStrictEqual(keys, ["committed"]);
+    });
+
+    it("should emit changes made outside of the instance", async () => {
+      db = new FSDB(filepath, { watchInterval: 10 });
+      db.set("name", "WillTDA");
+
+      /** @type {unknown[]} */
+      const changes = [];
+      db.on("change", (change) => changes.push(change));
+      new FSDB(filepath).set("name", "Someone else");
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.deepStrictEqual(changes, [
+        { key: "name", oldValue: "WillTDA", newValue: "Someone else" },
+      ]);
+    });
+
+    it("should forward events from the asynchronous API", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      /** @type {string[]} */
+      const keys = [];
+      const listener = (/** @type {{ key: string }} */ { key }) =>
+        keys.push(key);
+
+      await asyncDb.set("score", 0);
+      asyncDb.on("change", listener);
+      await asyncDb.set("name", "WillTDA");
+      await asyncDb.transaction((tx) => tx.add("score", 1));
+      asyncDb.off("change", listener);
+      await asyncDb.delete("name");
+
+      assert.deepStrictEqual(keys, ["name", "score"]);
+    });
+  });
+
+  describe("querying data", () => {
+    const filepath = join(__dirname, "query-db.json");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("players", {
+        will: { name: "WillTDA", level: 15, stats: { wins: 4 } },
+        alex: { name: "Alex", level: 8, stats: { wins: 9 }, banned: true },
+        sam: { name: "Sam", level: 22, stats: { wins: 1 } },
+      });
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    /** @param {{ key: string }[]} entries */
+    const keysOf = (entries) => entries.map(({ key }) => key);
+
+    it("should find children matching a filter", () => {
+      assert.deepStrictEqual(
+        keysOf(db.find("players", { level: { $gt: 10 } })),
+        ["players.will", "players.sam"],
+      );
+      assert.deepStrictEqual(
+        keysOf(db.find("players", { "stats.wins": { $gte: 4, $lt: 9 } })),
+        ["players.will"],
+      );
+      assert.deepStrictEqual(
+        keysOf(db.find("players", { name: { $in: ["Sam", "Alex"] } })),
+        ["players.alex", "players.sam"],
+      );
+      assert.deepStrictEqual(
+        keysOf(db.find("players", { name: { $regex: "^w", $ne: "Will" } })),
+        [],
+      );
+      assert.deepStrictEqual(
+        keysOf(db.find("players", { banned: { $exists: false } })),
+        ["players.will", "players.sam"],
+      );
+    });
+
+    it("should combine filters", () => {
+      const query = {
+        $or: [
+          { banned: true },
+          { $and: [{ level: { $lt: 20 } }, { "stats.wins": 4 }] },
+        ],
+      };
+      assert.deepStrictEqual(keysOf(db.find("players", query)), [
+        "players.will",
+        "players.alex",
+      ]);
+    });
+
+    it("should find children matching a function", () => {
+      const entries = db.find("players", (value, key) => {
+        return key !== "players.alex" && value.level > 10;
+      });
+      assert.deepStrictEqual(keysOf(entries), ["players.will", "players.sam"]);
+    });
+
+    it("should sort, skip, limit and project the results", () => {
+      const entries = db.find(
+        "players",
+        {},
+        { sort: { level: -1 }, skip: 1, limit: 1, projection: { name: 1 } },
+      );
+      assert.deepStrictEqual(entries, [
+        { key: "players.will", value: { name: "WillTDA" } },
+      ]);
+
+      const [first] = db.find("players", {}, { projection: { stats: 0 } });
+      assert.deepStrictEqual(first.value, { name: "WillTDA", level: 15 });
+    });
+
+    it("should find a single child", () => {
+      db.set("scores", [3, 12, 7]);
+
+      assert.deepStrictEqual(db.findOne("scores", { $gt: 5 }), {
+        key: "scores.1",
+        value: 12,
+      });
+      assert.deepStrictEqual(
+        db.findOne("players", { name: "Alex" })?.value.level,
+        8,
+      );
+      assert.strictEqual(db.findOne("players", { level: 100 }), undefined);
+      assert.strictEqual(db.findOne("missing"), undefined);
+    });
+
+    it("should search the top-level keys with an empty prefix", () => {
+      db.set("version", 2);
+      assert.deepStrictEqual(keysOf(db.find("", { $exists: true })), [
+        "players",
+        "version",
+      ]);
+    });
+
+    it("should reject invalid queries", () => {
+      assert.throws(() => db.find("players", { level: { $near: 1 } }));
+      assert.throws(() => db.find("players", { $or: { level: 1 } }));
+      assert.throws(() =>
+        db.find("players", {}, { projection: { name: 1, level: 0 } }),
+      );
+    });
+  });
+
+  describe("indexing data", () => {
+    const filepath = join(__dirname, "index-db.json");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("users", {
+        1: { name: "WillTDA", email: "will@example.com", role: "admin" },
+        2: { name: "Alex", email: "alex@example.com", role: "member" },
+      });
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should look up children by an indexed field", () => {
+      db.createIndex("users", "email", { unique: true });
+      db.createIndex("users", "role");
+      db.set("users.3", {
+        name: "Sam",
+        email: "sam@example.com",
+        role: "admin",
+      });
+      db.set("users.1.role", "member");
+
+      assert.deepStrictEqual(
+        db.findOne("users", { email: "sam@example.com" }),
+        {
+          key: "users.3",
+          value: { name: "Sam", email: "sam@example.com", role: "admin" },
+        },
+      );
+      assert.deepStrictEqual(
+        db.find("users", { role: { $in: ["member"] } }).map(({ key }) => key),
+        ["users.2", "users.1"],
+      );
+      assert.deepStrictEqual(
+        db.find("users", { role: "admin", name: "Will" }),
+        [],
+      );
+    });
+
+    it("should reject duplicate values of a unique index", () => {
+      db.createIndex("users", "email", { unique: true });
+
+      assert.throws(() => db.set("users.3", { email: "will@example.com" }), {
+        name: "FSDBUniqueError",
+        key: "users.1",
+        field: "email",
+        value: "will@example.com",
+      });
+      assert.throws(() => db.set("users.2.email", "will@example.com"), {
+        name: "FSDBUniqueError",
+      });
+
+      assert.strictEqual(db.has("users.3"), false);
+      assert.strictEqual(db.get("users.2.email"), "alex@example.com");
+
+      db.set("users.1.email", "willtda@example.com");
+      db.set("users.2.email", "will@example.com");
+      assert.strictEqual(
+        db.findOne("users", { email: "will@example.com" })?.key,
+        "users.2",
+      );
+    });
+
+    it("should refuse unique indexes on duplicate values", () => {
+      db.set("users.2.email", "will@example.com");
+      assert.throws(() => db.createIndex("users", "email", { unique: true }), {
+        name: "FSDBUniqueError",
+      });
+      assert.doesNotThrow(() => db.createIndex("users", "email"));
+    });
+
+    it("should keep indexes across instances and transactions", () => {
+      db.createIndex("users", "email", { unique: true });
+
+      const other = new FSDB(filepath);
+      assert.throws(() => other.set("users.3.email", "alex@example.com"), {
+        name: "FSDBUniqueError",
+      });
+      assert.throws(() =>
+        db.transaction((tx) => {
+          tx.set("users.3", { email: "sam@example.com" });
+          tx.set("users.4", { email: "sam@example.com" });
+        }),
+      );
+      assert.strictEqual(db.has("users.3"), false);
+
+      db.deleteAll();
+      db.set("users.1.email", "will@example.com");
+      assert.throws(() => db.set("users.2.email", "will@example.com"), {
+        name: "FSDBUniqueError",
+      });
+    });
+
+    it("should stop enforcing dropped indexes", () => {
+      db.createIndex("users", "email", { unique: true });
+      db.dropIndex("users", "email");
+
+      db.set("users.3.email", "will@example.com");
+      assert.strictEqual(
+        db.find("users", { email: "will@example.com" }).length,
+        2,
+      );
+      assert.strictEqual(
+        JSON.parse(readFileSync(filepath, "utf8")).__fsdb,
+        undefined,
+      );
+    });
+  });
+
+  describe("validating data", () => {
+    const filepath = join(__dirname, "schema-db.json");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.defineSchema("players.*", {
+        type: "object",
+        required: ["name", "level"],
+        properties: {
+          name: { type: "string", minLength: 1, pattern: "^[A-Za-z]+$" },
+          level: { type: "integer", minimum: 1, maximum: 100 },
+          role: { enum: ["admin", "member"] },
+          items: { type: "array", maxItems: 2, items: { type: "string" } },
+        },
+        additionalProperties: false,
+      });
+      db.set("players.will", { name: "WillTDA", level: 15 });
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should reject values that don't match their schema", () => {
+      assert.throws(() => db.set("players.will.level", "15"), {
+        name: "FSDBValidationError",
+        key: "players.will.level",
+        rule: "type",
+      });
+      assert.throws(() => db.set("players.alex", { name: "Alex" }), {
+        key: "players.alex.level",
+        rule: "required",
+      });
+      assert.throws(() => db.add("players.will.level", 100), {
+        rule: "maximum",
+      });
+      assert.throws(() => db.set("players.will.role", "owner"), {
+        rule: "enum",
+      });
+      assert.throws(() => db.set("players.will.name", "Will TDA"), {
+        rule: "pattern",
+      });
+      assert.throws(() => db.set("players.will.coins", 5), {
+        rule: "additionalProperties",
+      });
+      assert.throws(() => db.set("players", { sam: { name: "Sam" } }), {
+        key: "players.sam.level",
+      });
+      assert.throws(() => db.delete("players.will.name"), {
+        rule: "required",
+      });
+
+      assert.deepStrictEqual(db.get("players"), {
+        will: { name: "WillTDA", level: 15 },
+      });
+    });
+
+    it("should validate array operations", () => {
+      db.set("players.will.items", ["sword"]);
+      db.push("players.will.items", "shield");
+
+      assert.throws(() => db.push("players.will.items", "bow"), {
+        rule: "maxItems",
+      });
+      assert.throws(() => db.set("players.will.items", [1]), {
+        key: "players.will.items.0",
+      });
+      assert.deepStrictEqual(db.get("players.will.items"), ["sword", "shield"]);
+    });
+
+    it("should accept values that match their schema", () => {
+      db.add("players.will.level", 1);
+      db.set("players.alex", { name: "Alex", level: 3, role: "member" });
+      db.set("settings.theme", 5);
+
+      assert.strictEqual(db.get("players.will.level"), 16);
+      assert.strictEqual(db.has("players.alex"), true);
+    });
+
+    it("should audit existing data", () => {
+      new FSDB(filepath).set("players.alex", {
+        name: "Alex",
+        level: 0,
+        coins: 5,
+      });
+
+      assert.deepStrictEqual(db.validate(), [
+        {
+          key: "players.alex.level",
+          rule: "minimum",
+          message: "must be at least 1",
+        },
+        {
+          key: "players.alex.coins",
+          rule: "additionalProperties",
+          message: "is not allowed",
+        },
+      ]);
+
+      db.defineSchema("players.*", null);
+      assert.deepStrictEqual(db.validate(), []);
+    });
+  });
+
+  describe("encrypting data", () => {
+    const filepath = join(__dirname, "encrypted-db.json");
+    const backupPath = join(__dirname, "encrypted-backup.json");
+    const encryptionKey = "correct horse battery staple";
+
+    beforeEach(() => {
+      db = new FSDB(filepath, { encryptionKey });
+    });
+
+    afterEach(() => {
+      for (const path of [filepath, `${filepath}.journal`, backupPath])
+        rmSync(path, { force: true });
+    });
+
+    it("should not store data as plain text", () => {
+      db.set("token", "secret-token");
+
+      assert(!readFileSync(filepath, "utf8").includes("secret-token"));
+      assert.strictEqual(db.get("token"), "secret-token");
+      assert.strictEqual(
+        new FSDB(filepath, { encryptionKey }).get("token"),
+        "secret-token",
+      );
+    });
+
+    it("should encrypt the journal", () => {
+      db = new FSDB(filepath, { encryptionKey, journal: true });
+      db.set("token", "secret-token");
+
+      const journal = readFileSync(`${filepath}.journal`, "utf8");
+      assert(!journal.includes("secret-token"));
+      assert.strictEqual(
+        new FSDB(filepath, { encryptionKey }).get("token"),
+        "secret-token",
+      );
+    });
+
+    it("should encrypt backups", () => {
+      db.set("token", "secret-token");
+      db.backup(backupPath);
+
+      assert(!readFileSync(backupPath, "utf8").includes("secret-token"));
+      assert.strictEqual(
+        new FSDB(backupPath, { encryptionKey }).get("token"),
+        "secret-token",
+      );
+    });
+
+    it("should tell a missing or wrong key apart from corrupted data", () => {
+      db.set("token", "secret-token");
+
+      assert.throws(() => new FSDB(filepath).get("token"), {
+        name: "FSDBDecryptionError",
+        reason: "missingKey",
+      });
+      assert.throws(
+        () => new FSDB(filepath, { encryptionKey: "wrong" }).get("token"),
+        { name: "FSDBDecryptionError", reason: "wrongKey" },
+      );
+
+      const content = JSON.parse(readFileSync(filepath, "utf8"));
+      content.__fsdb.encrypted.data =
+        Buffer.from("tampered").toString("base64");
+      writeFileSync(filepath, JSON.stringify(content));
+
+      assert.throws(() => new FSDB(filepath, { encryptionKey }).get("token"), {
+        name: "FSDBDecryptionError",
+        reason: "corrupted",
+      });
+    });
+
+    it("should rotate the key", async () => {
+      db.set("token", "secret-token");
+      db.rekey("new passphrase");
+
+      assert.strictEqual(db.get("token"), "secret-token");
+      assert.throws(() => new FSDB(filepath, { encryptionKey }).get("token"), {
+        reason: "wrongKey",
+      });
+
+      const asyncDb = new AsyncFSDB(filepath, {
+        encryptionKey: "new passphrase",
+      });
+      await asyncDb.rekey(null);
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        token: "secret-token",
+      });
+    });
+
+    it("should encrypt existing unencrypted databases", () => {
+      new FSDB(filepath).set("token", "secret-token");
+
+      assert.strictEqual(db.get("token"), "secret-token");
+      db.transaction((tx) => tx.rekey(encryptionKey));
+      assert(!readFileSync(filepath, "utf8").includes("secret-token"));
+    });
+  });
+
+  describe("compressing data", () => {
+    const filepath = join(__dirname, "compressed-db.json");
+    const backupPath = join(__dirname, "compressed-backup.json");
+    const players = Array.from({ length: 50 }, (_, i) => ({
+      name: `Player ${i}`,
+      level: i,
+    }));
+
+    afterEach(() => {
+      for (const path of [filepath, backupPath]) rmSync(path, { force: true });
+    });
+
+    it("should compress the database file", () => {
+      db = new FSDB(filepath, { compression: "gzip" });
+      db.set("players", players);
+
+      const content = readFileSync(filepath);
+      assert.deepStrictEqual([...content.subarray(0, 2)], [0x1f, 0x8b]);
+      assert(content.length < JSON.stringify({ players }).length / 2);
+      assert.deepStrictEqual(db.get("players"), players);
+    });
+
+    it("should detect compressed files when opening them", () => {
+      new FSDB(filepath, { compression: "brotli" }).set("players", players);
+
+      db = new FSDB(filepath);
+      assert.deepStrictEqual(db.get("players"), players);
+
+      // saved uncompressed again, as configured
+      db.set("version", 1);
+      assert.strictEqual(JSON.parse(readFileSync(filepath, "utf8")).version, 1);
+    });
+
+    it("should compress backups", () => {
+      db = new FSDB(filepath);
+      db.set("players", players);
+      db.backup(backupPath, { compress: true });
+
+      assert.deepStrictEqual(
+        [...readFileSync(backupPath).subarray(0, 2)],
+        [0x1f, 0x8b],
+      );
+      assert.deepStrictEqual(new FSDB(backupPath).get("players"), players);
+      assert.throws(
+        // @ts-expect-error
+        () => db.backup(backupPath, { compress: "zip" }),
+        { name: "FSDBError" },
+      );
+    });
+
+    it("should compress encrypted databases", () => {
+      db = new FSDB(filepath, { compression: "brotli", encryptionKey: "key" });
+      db.set("players", players);
+
+      const { data } = JSON.parse(readFileSync(filepath, "utf8")).__fsdb
+        .encrypted;
+      assert(Buffer.from(data, "base64").length < 1000);
+      assert.deepStrictEqual(
+        new FSDB(filepath, { encryptionKey: "key" }).get("players"),
+        players,
+      );
+    });
+
+    it("should reject unknown compression formats", () => {
+      assert.throws(
+        // @ts-expect-error
+        () => new FSDB(filepath, { compression: "zip" }),
+        { name: "FSDBError" },
+      );
+    });
+  });
+
+  describe("using storage formats", () => {
+    const paths = [
+      "formats-db.json",
+      "formats-db.ndjson",
+      "formats-db.v8",
+      "formats-db.v8.journal",
+      "formats-db.data",
+    ];
+    const data = { foo: "bar", list: [1, 2, 3], nested: { level: 1 } };
+
+    afterEach(() => {
+      for (const path of paths) rmSync(join(__dirname, path), { force: true });
+    });
+
+    it("should store one key per line with NDJSON", () => {
+      db = new FSDB(join(__dirname, "formats-db"), { serializer: "ndjson" });
+      for (const [key, value] of Object.entries(data)) db.set(key, value);
+
+      assert.strictEqual(db.path, join(__dirname, "formats-db.ndjson"));
+      const lines = readFileSync(db.path, "utf8").trim().split("\n");
+      assert.deepStrictEqual(
+        lines.map((line) => JSON.parse(line)),
+        [{ foo: "bar" }, { list: [1, 2, 3] }, { nested: { level: 1 } }],
+      );
+      assert.deepStrictEqual(
+        new FSDB(db.path, { serializer: "ndjson" }).getAll(),
+        db.getAll(),
+      );
+    });
+
+    it("should store binary data with v8", () => {
+      db = new FSDB(join(__dirname, "formats-db"), { serializer: "v8" });
+      db.set("data", data);
+
+      assert.strictEqual(db.path, join(__dirname, "formats-db.v8"));
+      assert.deepStrictEqual(require("v8").deserialize(readFileSync(db.path)), {
+        data,
+      });
+      assert.deepStrictEqual(
+        new FSDB(db.path, { serializer: "v8", compression: "gzip" }).get(
+          "data",
+        ),
+        data,
+      );
+    });
+
+    it("should keep the extension of the path", () => {
+      db = new FSDB(join(__dirname, "formats-db.data"), { serializer: "json" });
+      db.set("foo", "bar");
+
+      assert.strictEqual(db.path, join(__dirname, "formats-db.data"));
+      assert.deepStrictEqual(JSON.parse(readFileSync(db.path, "utf8")), {
+        foo: "bar",
+      });
+    });
+
+    it("should keep the values v8 can represent in the journal", () => {
+      const options = {
+        serializer: /** @type {const} */ ("v8"),
+        journal: true,
+      };
+      db = new FSDB(join(__dirname, "formats-db"), options);
+      const value = { date: new Date(0), tags: new Set(["a"]), missing: null };
+      db.set("value", value);
+
+      assert.deepStrictEqual(db.get("value"), value);
+      assert.deepStrictEqual(new FSDB(db.path, options).get("value"), value);
+      db.compact();
+      assert.deepStrictEqual(new FSDB(db.path, options).get("value"), value);
+    });
+
+    it("should support custom serializers", () => {
+      const serializer = {
+        parse: (content) =>
+          JSON.parse(Buffer.from(content.toString(), "base64").toString()),
+        stringify: (data) =>
+          Buffer.from(JSON.stringify(data)).toString("base64"),
+      };
+      db = new FSDB(join(__dirname, "formats-db.json"), { serializer });
+      db.set("foo", "bar");
+
+      assert.strictEqual(
+        readFileSync(db.path, "utf8"),
+        Buffer.from('{"foo":"bar"}').toString("base64"),
+      );
+      assert.strictEqual(new FSDB(db.path, { serializer }).get("foo"), "bar");
+      assert.throws(
+        // @ts-expect-error
+        () => new FSDB(db.path, { serializer: "yaml" }),
+        { name: "FSDBError" },
+      );
+    });
+
+    it("should combine with compression and encryption", () => {
+      const options = {
+        serializer: /** @type {const} */ ("v8"),
+        compression: /** @type {const} */ ("brotli"),
+        encryptionKey: "key",
+      };
+      db = new FSDB(join(__dirname, "formats-db"), options);
+      db.set("data", data);
+
+      assert.deepStrictEqual(new FSDB(db.path, options).get("data"), data);
+    });
+  });
+
+  describe("managing backups", () => {
+    const filepath = join(__dirname, "backups-db.json");
+    const backupPath = join(__dirname, "backups-backup.json");
+    const backupDir = join(__dirname, "backups-test");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("version", 1);
+    });
+
+    afterEach(() => {
+      for (const path of [filepath, backupPath, backupDir])
+        rmSync(path, { force: true, recursive: true });
+    });
+
+    it("should replace an existing backup", () => {
+      db.backup(backupPath);
+      db.set("version", 2);
+      assert.strictEqual(db.backup(backupPath), backupPath);
+
+      assert.strictEqual(new FSDB(backupPath).get("version"), 2);
+    });
+
+    it("should restore a backup", () => {
+      db.backup(backupPath);
+      db.set("version", 2);
+      db.set("extra", true);
+
+      /** @type {string[]} */
+      const changes = [];
+      db.on("change", ({ key }) => changes.push(key));
+      db.restore(backupPath);
+      db.removeAllListeners();
+
+      assert.deepStrictEqual(db.getAll(), [{ key: "version", value: 1 }]);
+      assert.deepStrictEqual(changes.sort(), ["extra", "version"]);
+      assert.throws(() => db.restore(join(__dirname, "missing.json")), {
+        name: "FSDBError",
+      });
+    });
+
+    it("should keep the newest timestamped backups", () => {
+      /** @type {string[]} */
+      const paths = [];
+      for (let version = 1; version <= 4; version++) {
+        db.set("version", version);
+        paths.push(db.backup({ dir: backupDir, keep: 2 }));
+      }
+
+      const backups = db.listBackups(backupDir);
+      assert.deepStrictEqual(
+        backups.map(({ path }) => path),
+        paths.slice(2).reverse(),
+      );
+      assert(backups.every(({ date, size }) => date <= new Date() && size > 0));
+      assert.strictEqual(new FSDB(backups[0].path).get("version"), 4);
+      assert.deepStrictEqual(readdirSync(backupDir).length, 2);
+      assert.throws(() => db.backup({ dir: backupDir, keep: 0 }), {
+        name: "FSDBError",
+      });
+    });
+
+    it("should default to a directory next to the database", () => {
+      const path = db.backup();
+      rmSync(join(__dirname, "backups"), { recursive: true });
+
+      assert(path.startsWith(join(__dirname, "backups", "backups-db-")));
+    });
+
+    it("should backup the database at an interval", async () => {
+      const stop = db.scheduleBackups({ interval: 20, dir: backupDir });
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      stop();
+
+      const count = db.listBackups(backupDir).length;
+      assert(count >= 2);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.strictEqual(db.listBackups(backupDir).length, count);
+      assert.throws(() => db.scheduleBackups({ interval: 0 }), {
+        name: "FSDBError",
+      });
+    });
+
+    it("should restore backups asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      const path = await asyncDb.backup({ dir: backupDir });
+      await asyncDb.set("version", 2);
+
+      await asyncDb.restore(path);
+      assert.strictEqual(await asyncDb.get("version"), 1);
+      assert.deepStrictEqual(
+        (await asyncDb.listBackups(backupDir)).map((backup) => backup.path),
+        [path],
+      );
+      await assert.rejects(asyncDb.restore(`${path}.missing`), {
+        name: "FSDBError",
+      });
+    });
+
+    it("should keep the newest backups asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      const paths = [];
+      for (let i = 0; i < 3; i++)
+        paths.push(await asyncDb.backup({ dir: backupDir, keep: 2 }));
+
+      assert.deepStrictEqual(
+        (await asyncDb.listBackups(backupDir)).map((backup) => backup.path),
+        paths.slice(1).reverse(),
+      );
+      assert.deepStrictEqual(await asyncDb.listBackups("missing"), []);
+    });
+  });
+
+  describe("undoing changes", () => {
+    const filepath = join(__dirname, "history-db.json");
+    const shardedPath = join(__dirname, "history-shards");
+
+    afterEach(() => {
+      for (const path of [
+        filepath,
+        `${filepath}.history`,
+        shardedPath,
+        `${shardedPath}.history`,
+      ])
+        rmSync(path, { force: true, recursive: true });
+    });
+
+    it("should undo and redo changes", () => {
+      db = new FSDB(filepath, { history: true });
+      db.set("player", "WillTDA");
+      db.deleteAll();
+
+      assert.strictEqual(db.undo(), true);
+      assert.strictEqual(db.get("player"), "WillTDA");
+      assert.strictEqual(db.undo(), true);
+      assert.deepStrictEqual(db.getAll(), []);
+      assert.strictEqual(db.undo(), false);
+
+      assert.strictEqual(db.redo(), true);
+      assert.strictEqual(db.redo(), true);
+      assert.deepStrictEqual(db.getAll(), []);
+      assert.strictEqual(db.redo(), false);
+    });
+
+    it("should no longer redo once another change is made", () => {
+      db = new FSDB(filepath, { history: true, journal: true });
+      db.set("version", 1);
+      db.set("version", 2);
+      db.undo();
+      db.set("other", true);
+
+      assert.strictEqual(db.redo(), false);
+      assert.deepStrictEqual(db.get("version"), 1);
+    });
+
+    it("should undo changes to nested values of a sharded database", () => {
+      db = new FSDB(shardedPath, { shards: true, history: true });
+      db.set("player.level", 1);
+      db.set("player.level", 2);
+
+      assert.strictEqual(db.undo(), true);
+      assert.strictEqual(db.get("player.level"), 1);
+      assert.strictEqual(db.redo(), true);
+      assert.strictEqual(db.get("player.level"), 2);
+    });
+
+    it("should record transactions as a single change", () => {
+      db = new FSDB(filepath, { history: true });
+      db.set("coins", 10);
+      db.transaction((tx) => {
+        tx.subtract("coins", 5);
+        tx.set("spent", 5);
+      });
+
+      db.undo();
+      assert.deepStrictEqual(db.getAll(), [{ key: "coins", value: 10 }]);
+    });
+
+    it("should only change the history once a transaction is written", () => {
+      db = new FSDB(filepath, { history: true });
+      db.set("version", 1);
+      db.set("version", 2);
+      const files = readdirSync(`${filepath}.history`);
+
+      const error = new Error("Aborted.");
+      assert.throws(
+        () =>
+          db.transaction((tx) => {
+            assert.strictEqual(tx.undo(), true);
+            assert.strictEqual(tx.redo(), true);
+            assert.strictEqual(tx.undo(), true);
+            assert.strictEqual(tx.get("version"), 1);
+            throw error;
+          }),
+        error,
+      );
+      assert.deepStrictEqual(readdirSync(`${filepath}.history`), files);
+      assert.strictEqual(db.get("version"), 2);
+
+      db.transaction((tx) => tx.undo());
+      assert.strictEqual(db.get("version"), 1);
+      assert.strictEqual(db.redo(), true);
+      assert.strictEqual(db.get("version"), 2);
+      assert.strictEqual(db.redo(), false);
+    });
+
+    it("should limit the depth and size of the history", () => {
+      db = new FSDB(filepath, { history: { depth: 2 } });
+      for (let version = 1; version <= 5; version++) db.set("version", version);
+
+      assert.strictEqual(db.undo(), true);
+      assert.strictEqual(db.undo(), true);
+      assert.strictEqual(db.undo(), false);
+      assert.strictEqual(db.get("version"), 3);
+
+      db = new FSDB(filepath, { history: { maxSize: 1 } });
+      db.set("version", 6);
+      assert.strictEqual(db.undo(), false);
+    });
+
+    it("should require the history to be enabled", () => {
+      db = new FSDB(filepath);
+      assert.throws(() => db.undo(), { name: "FSDBError" });
+      assert.throws(() => db.redo(), { name: "FSDBError" });
+    });
+
+    it("should revert to snapshots", () => {
+      db = new FSDB(filepath, { history: true });
+      db.set("players", ["WillTDA"]);
+      db.snapshot("before-migration");
+      db.set("players", []);
+
+      /** @type {string[]} */
+      const changes = [];
+      db.on("change", ({ key }) => changes.push(key));
+      db.revertTo("before-migration");
+      db.removeAllListeners();
+
+      assert.deepStrictEqual(db.get("players"), ["WillTDA"]);
+      assert.deepStrictEqual(changes, ["players"]);
+      db.undo();
+      assert.deepStrictEqual(db.get("players"), []);
+      assert.throws(() => db.revertTo("missing"), { name: "FSDBError" });
+    });
+
+    it("should undo changes asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath, { history: true });
+      await asyncDb.set("version", 1);
+      await asyncDb.set("version", 2);
+
+      assert.strictEqual(await asyncDb.undo(), true);
+      assert.strictEqual(await asyncDb.get("version"), 1);
+      assert.strictEqual(await asyncDb.redo(), true);
+      assert.strictEqual(await asyncDb.get("version"), 2);
+      assert.strictEqual(await asyncDb.redo(), false);
+    });
+
+    it("should revert to snapshots asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath, { history: true });
+      await asyncDb.set("players", ["WillTDA"]);
+      await asyncDb.snapshot("before-migration");
+      await asyncDb.set("players", []);
+
+      await asyncDb.revertTo("before-migration");
+      assert.deepStrictEqual(await asyncDb.get("players"), ["WillTDA"]);
+      await assert.rejects(asyncDb.revertTo("missing"), { name: "FSDBError" });
+    });
+  });
+
+  describe("addressing keys", () => {
+    const filepath = join(__dirname, "keys-db.json");
+
+    beforeEach(() => (db = new FSDB(filepath)));
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should address array items with bracket indices", () => {
+      db.set("items[0].name", "Diamond Sword");
+      db.set("items[1]", "Diamond Pickaxe");
+
+      assert.deepStrictEqual(db.get("items"), [
+        { name: "Diamond Sword" },
+        "Diamond Pickaxe",
+      ]);
+      assert.strictEqual(db.get("items[0].name"), "Diamond Sword");
+      assert.strictEqual(db.get("items.1"), "Diamond Pickaxe");
+    });
+
+    it("should only create arrays for bracket indices", () => {
+      db.set("users.123456789012345678.coins", 5);
+      db.set("guilds.5000.name", "Diamond Digital");
+      db.set("teams", [{ name: "Red" }]);
+      db.set("teams.0.score", 3);
+
+      const users = { "123456789012345678": { coins: 5 } };
+      assert.deepStrictEqual(db.get("users"), users);
+      assert.deepStrictEqual(db.get("guilds"), {
+        5000: { name: "Diamond Digital" },
+      });
+      assert.deepStrictEqual(db.get("teams"), [{ name: "Red", score: 3 }]);
+      assert.deepStrictEqual(
+        JSON.parse(readFileSync(filepath, "utf8")).users,
+        users,
+      );
+    });
+
+    it("should support keys containing dots", () => {
+      db.set('users["will@example.com"].level', 15);
+      db.set("versions['1.2']", "stable");
+      db.set("versions.1\\.3", "beta");
+
+      assert.deepStrictEqual(db.get(["users", "will@example.com"]), {
+        level: 15,
+      });
+      assert.deepStrictEqual(db.get("versions"), {
+        1.2: "stable",
+        1.3: "beta",
+      });
+      assert(db.has(["versions", "1.3"]));
+    });
+
+    it("should return keys in a form that can be read again", () => {
+      db.set(["users", "will@example.com", "roles"], ["admin"]);
+      db.set(["weird", 'quote"[bracket]'], true);
+
+      const entries = db.getAll(true);
+      assert.deepStrictEqual(
+        entries.map(({ key }) => key),
+        ['users["will@example.com"].roles.0', 'weird["quote\\"[bracket]"]'],
+      );
+      for (const { key, value } of entries)
+        assert.deepStrictEqual(db.get(key), value);
+      assert.deepStrictEqual(db.startsWith(["users", "will@example.com"]), [
+        entries[0],
+      ]);
+    });
+
+    it("should emit and expire keys containing dots", () => {
+      /** @type {string[]} */
+      const keys = [];
+      db.on("set", ({ key }) => keys.push(key));
+      db.set(["hosts", "example.com"], "up", { ttl: 60_000 });
+      db.removeAllListeners();
+
+      assert.deepStrictEqual(keys, ['hosts["example.com"]']);
+      assert(db.ttl('hosts["example.com"]') > 0);
+      assert.strictEqual(db.persist(["hosts", "example.com"]), true);
+      assert.throws(() => db.get([]), { name: "FSDBError" });
+    });
+
+    it("should reject keys changing the prototype", () => {
+      for (const key of [
+        "__proto__.polluted",
+        "a.constructor.prototype.polluted",
+        ["a", "__proto__", "polluted"],
+      ]) {
+        assert.throws(() => db.set(key, true), {
+          name: "FSDBError",
+          message: /isn't allowed/,
+        });
+      }
+      assert.throws(() => db.get("constructor"), { name: "FSDBError" });
+      assert.strictEqual(/** @type {any} */ ({}).polluted, undefined);
+      assert.deepStrictEqual(db.getAll(), []);
+    });
+  });
+
+  describe("updating values atomically", () => {
+    const filepath = join(__dirname, "update-db.json");
+
+    beforeEach(() => (db = new FSDB(filepath)));
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should update values with a function", () => {
+      db.set("player", { name: "WillTDA", level: 15 });
+
+      const player = db.update("player", (player) => ({
+        ...player,
+        level: player.level + 1,
+      }));
+      assert.deepStrictEqual(player, { name: "WillTDA", level: 16 });
+      assert.deepStrictEqual(db.get("player"), player);
+
+      assert.strictEqual(
+        db.update("count", (count = 0) => count + 1),
+        1,
+      );
+      db.update("count", () => undefined);
+      assert.strictEqual(db.has("count"), false);
+    });
+
+    it("should rethrow errors from the function as they are", () => {
+      const error = new Error("Invalid player");
+      assert.throws(
+        () =>
+          db.update("player", () => {
+            throw error;
+          }),
+        (thrown) => thrown === error,
+      );
+      assert.throws(() => db.update("player", async () => 1), {
+        name: "FSDBError",
+      });
+      assert.throws(
+        () =>
+          db.update("player", async () => {
+            throw error;
+          }),
+        { name: "FSDBError" },
+      );
+      assert.strictEqual(db.has("player"), false);
+    });
+
+    it("should merge objects", () => {
+      db.set("settings", {
+        theme: "light",
+        sound: { volume: 100, muted: false },
+      });
+
+      db.merge("settings", { sound: { volume: 50 } }, { deep: true });
+      assert.deepStrictEqual(db.get("settings"), {
+        theme: "light",
+        sound: { volume: 50, muted: false },
+      });
+
+      db.merge("settings", { theme: "dark", sound: { muted: true } });
+      assert.deepStrictEqual(db.get("settings"), {
+        theme: "dark",
+        sound: { muted: true },
+      });
+
+      db.merge("new", { created: true });
+      assert.deepStrictEqual(db.get("new"), { created: true });
+
+      db.merge("new", JSON.parse('{"__proto__":{"polluted":true}}'), {
+        deep: true,
+      });
+      assert.strictEqual(/** @type {any} */ ({}).polluted, undefined);
+      assert.deepStrictEqual(db.get("new"), { created: true });
+
+      db.set("list", [1]);
+      assert.throws(() => db.merge("list", { a: 1 }), { name: "FSDBError" });
+    });
+
+    it("should only set missing values", () => {
+      assert.strictEqual(db.setIfAbsent("visits", 0, { ttl: 60_000 }), true);
+      assert.strictEqual(db.setIfAbsent("visits", 10), false);
+      assert.strictEqual(db.get("visits"), 0);
+      assert(db.ttl("visits") > 0);
+    });
+
+    it("should compare and set values", () => {
+      db.set("job", { owner: null });
+
+      assert.strictEqual(
+        db.cas("job", { owner: "other" }, { owner: "me" }),
+        false,
+      );
+      assert.strictEqual(db.cas("job", { owner: null }, { owner: "me" }), true);
+      assert.deepStrictEqual(db.get("job"), { owner: "me" });
+
+      assert.strictEqual(db.cas("lock", undefined, "me"), true);
+      assert.strictEqual(db.cas("lock", "me", undefined), true);
+      assert.strictEqual(db.has("lock"), false);
+    });
+
+    it("should not lose concurrent asynchronous updates", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      await Promise.all(
+        Array.from({ length: 10 }, () =>
+          asyncDb.update("count", (count = 0) => count + 1),
+        ),
+      );
+
+      assert.strictEqual(await asyncDb.get("count"), 10);
+      assert.strictEqual(await asyncDb.cas("count", 10, 0), true);
+      assert.strictEqual(await asyncDb.setIfAbsent("count", 5), false);
+    });
+  });
+
+  describe("sharding data", () => {
+    const dirpath = join(__dirname, "sharded-db");
+
+    beforeEach(() => (db = new FSDB(dirpath, { shards: true })));
+    afterEach(() => rmSync(dirpath, { recursive: true, force: true }));
+
+    it("should store each top-level key in its own file", () => {
+      db.set("player.name", "WillTDA");
+      db.set("settings/theme", "dark");
+
+      assert.deepStrictEqual(readdirSync(dirpath).sort(), [
+        "player.json",
+        "settings%2Ftheme.json",
+      ]);
+      assert.deepStrictEqual(
+        JSON.parse(readFileSync(join(dirpath, "player.json"), "utf8")),
+        { player: { name: "WillTDA" } },
+      );
+      assert.deepStrictEqual(db.getAll(), [
+        { key: "player", value: { name: "WillTDA" } },
+        { key: "settings/theme", value: "dark" },
+      ]);
+    });
+
+    it("should only rewrite the shards that changed", () => {
+      db.set("a", 1);
+      db.set("b", 2);
+      const before = readFileSync(join(dirpath, "b.json"));
+      writeFileSync(join(dirpath, "b.json"), before);
+
+      db.set("a", 3);
+      assert.deepStrictEqual(readFileSync(join(dirpath, "b.json")), before);
+      assert.strictEqual(db.get("a"), 3);
+
+      db.delete("a");
+      assert.deepStrictEqual(readdirSync(dirpath), ["b.json"]);
+    });
+
+    it("should read changes made to the files by other instances", () => {
+      const other = new FSDB(dirpath, { shards: true });
+      db.set("a", 1);
+      other.set("b", 2);
+
+      assert.deepStrictEqual(db.getAll(), [
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+      ]);
+      db.deleteAll();
+      assert.deepStrictEqual(other.getAll(), []);
+      assert.deepStrictEqual(readdirSync(dirpath), []);
+    });
+
+    it("should give keys only differing in case their own files", () => {
+      db.set("users", 1);
+      db.set("Users", 2);
+
+      assert.deepStrictEqual(readdirSync(dirpath).sort(), [
+        "%55sers.json",
+        "users.json",
+      ]);
+      assert.strictEqual(db.get("users"), 1);
+      assert.strictEqual(db.get("Users"), 2);
+    });
+
+    it("should only read the file holding the key", async () => {
+      db.set("a", 1);
+      db.set("b", 2);
+      writeFileSync(join(dirpath, "b.json"), "{");
+
+      const other = new FSDB(dirpath, { shards: true });
+      assert.strictEqual(other.get("a"), 1);
+      assert.strictEqual(other.has("c"), false);
+      assert.throws(() => other.getAll(), { name: "FSDBError" });
+
+      const asyncDb = new AsyncFSDB(dirpath, { shards: true });
+      assert.strictEqual(await asyncDb.get("a"), 1);
+    });
+
+    it("should complete interrupted writes to several files", () => {
+      db.set("a", 1);
+      db.set("b", 2);
+      writeFileSync(join(dirpath, "a.json.1-0.tmp"), '{"a":3}');
+      writeFileSync(
+        join(dirpath, ".commit"),
+        JSON.stringify({
+          write: { "a.json": "a.json.1-0.tmp" },
+          remove: ["b.json"],
+        }),
+      );
+
+      const other = new FSDB(dirpath, { shards: true });
+      assert.deepStrictEqual(other.getAll(), [{ key: "a", value: 3 }]);
+
+      other.set("c", 4);
+      assert.deepStrictEqual(readdirSync(dirpath).sort(), ["a.json", "c.json"]);
+      assert.deepStrictEqual(db.getAll(), [
+        { key: "a", value: 3 },
+        { key: "c", value: 4 },
+      ]);
+    });
+
+    it("should spread the keys across buckets", () => {
+      db = new FSDB(dirpath, { shards: { buckets: 2 } });
+      for (let i = 0; i < 10; i++) db.set(`key${i}`, i);
+
+      const files = readdirSync(dirpath).sort();
+      assert.deepStrictEqual(files, ["bucket-0.json", "bucket-1.json"]);
+      assert.strictEqual(db.getAll().length, 10);
+      assert.strictEqual(db.get("key7"), 7);
+    });
+
+    it("should back up all shards into a single file", () => {
+      const backupPath = join(__dirname, "sharded-backup.json");
+      db.set("a", 1);
+      db.set("b", 2);
+
+      db.backup(backupPath);
+      assert.deepStrictEqual(JSON.parse(readFileSync(backupPath, "utf8")), {
+        a: 1,
+        b: 2,
+      });
+
+      db.deleteAll();
+      db.restore(backupPath);
+      assert.deepStrictEqual(db.getAll(), [
+        { key: "a", value: 1 },
+        { key: "b", value: 2 },
+      ]);
+      rmSync(backupPath, { force: true });
+    });
+
+    it("should support transactions and asynchronous writes", async () => {
+      db.transaction((tx) => {
+        tx.set("a", 1);
+        tx.set("b", 2);
+      });
+      assert.deepStrictEqual(readdirSync(dirpath).sort(), ["a.json", "b.json"]);
+
+      const asyncDb = new AsyncFSDB(dirpath, { shards: true });
+      await asyncDb.set("c", 3);
+      assert.strictEqual(await asyncDb.get("a"), 1);
+      assert.strictEqual(db.get("c"), 3);
+    });
+
+    it("should reject invalid options", () => {
+      assert.throws(() => new FSDB(dirpath, { shards: true, journal: true }), {
+        name: "FSDBError",
+      });
+      assert.throws(() => new FSDB(dirpath, { shards: { buckets: 0 } }), {
+        name: "FSDBError",
+      });
+    });
+  });
+
+  describe("using collections", () => {
+    const filepath = join(__dirname, "collection-db.json");
+
+    beforeEach(() => (db = new FSDB(filepath)));
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should insert documents with unique IDs", () => {
+      const users = db.collection("users");
+      const will = users.insert({ name: "WillTDA" });
+      const alice = users.insert({ name: "Alice" });
+
+      assert.match(will.id, /^[0-9a-f]{16}$/);
+      assert.notStrictEqual(will.id, alice.id);
+      assert.deepStrictEqual(db.get("users"), {
+        [will.id]: { name: "WillTDA", id: will.id },
+        [alice.id]: { name: "Alice", id: alice.id },
+      });
+      assert.deepStrictEqual(users.findById(will.id), will);
+      assert.strictEqual(users.findById("missing"), undefined);
+    });
+
+    it("should keep the IDs of documents that have one", () => {
+      const users = db.collection("app.users", { idField: "_id" });
+      users.insert({ _id: "will", name: "WillTDA" });
+
+      assert.deepStrictEqual(db.get("app.users.will"), {
+        _id: "will",
+        name: "WillTDA",
+      });
+      assert.throws(() => users.insert({ _id: "will" }), {
+        name: "FSDBUniqueError",
+      });
+      assert.throws(() => users.insert([]), {
+        name: "FSDBError",
+      });
+    });
+
+    it("should store numeric IDs as keys of the collection", () => {
+      const users = db.collection("users");
+      users.insert({ id: 5, name: "WillTDA" });
+      users.insert({ id: "123", name: "Alice" });
+
+      assert.deepStrictEqual(db.get("users"), {
+        5: { id: 5, name: "WillTDA" },
+        123: { id: "123", name: "Alice" },
+      });
+      assert.deepStrictEqual(users.findById(5), { id: 5, name: "WillTDA" });
+      assert.deepStrictEqual(users.updateById("5", { level: 1 }), {
+        id: 5,
+        name: "WillTDA",
+        level: 1,
+      });
+      assert.throws(() => users.insert({ id: 5 }), {
+        name: "FSDBUniqueError",
+      });
+      assert.throws(() => users.insert({ id: 1.5 }), { name: "FSDBError" });
+    });
+
+    it("should only insert into collections stored as objects", () => {
+      db.set("users", 5);
+      assert.throws(() => db.collection("users").insert({ name: "WillTDA" }), {
+        name: "FSDBError",
+      });
+      assert.strictEqual(db.get("users"), 5);
+
+      db = new FSDB(filepath, { typed: true });
+      db.set("users", new Map());
+      assert.throws(() => db.collection("users").insert({ name: "WillTDA" }), {
+        name: "FSDBError",
+      });
+      assert(db.get("users") instanceof Map);
+    });
+
+    it("should update and remove documents by their ID", () => {
+      const users = db.collection("users");
+      const { id } = users.insert({ name: "WillTDA", level: 15 });
+
+      assert.deepStrictEqual(users.updateById(id, { level: 16 }), {
+        name: "WillTDA",
+        level: 16,
+        id,
+      });
+      assert.deepStrictEqual(
+        users.updateById(id, ({ name }) => ({ name, id: "changed" })),
+        { name: "WillTDA", id },
+      );
+      assert.strictEqual(users.updateById("missing", { level: 1 }), undefined);
+      assert.throws(
+        () =>
+          users.updateById(id, async () => {
+            throw new Error("Invalid user");
+          }),
+        { name: "FSDBError" },
+      );
+
+      assert.strictEqual(users.removeById(id), true);
+      assert.strictEqual(users.removeById(id), false);
+      assert.deepStrictEqual(db.get("users"), {});
+    });
+
+    it("should count, list and iterate over the documents", () => {
+      const users = db.collection("users");
+      users.insert({ name: "WillTDA", role: "admin" });
+      users.insert({ name: "Alice", role: "user" });
+
+      assert.strictEqual(users.count(), 2);
+      assert.strictEqual(users.count({ role: "admin" }), 1);
+      assert.deepStrictEqual(
+        users.all().map(({ name }) => name),
+        ["WillTDA", "Alice"],
+      );
+      assert.deepStrictEqual(
+        [...users].map(({ name }) => name),
+        ["WillTDA", "Alice"],
+      );
+      assert.deepStrictEqual(
+        users.find({}, { sort: { name: 1 } }).map(({ name }) => name),
+        ["Alice", "WillTDA"],
+      );
+      assert.strictEqual(db.collection("empty").count(), 0);
+    });
+
+    it("should work within transactions and the asynchronous API", async () => {
+      db.transaction((tx) => {
+        tx.collection("users").insert({ id: "will", name: "WillTDA" });
+      });
+      assert.strictEqual(db.get("users.will.name"), "WillTDA");
+
+      const users = new AsyncFSDB(filepath).collection("users");
+      const alice = await users.insert({ name: "Alice" });
+      assert.strictEqual(await users.count(), 2);
+      assert.deepStrictEqual(await users.findById(alice.id), alice);
+
+      const names = [];
+      for await (const { name } of users) names.push(name);
+      assert.deepStrictEqual(names, ["WillTDA", "Alice"]);
+    });
+  });
+
+  describe("using the command-line tool", () => {
+    const filepath = join(__dirname, "cli-db.json");
+
+    /**
+     * Runs the `fsdb` command
+     * @param {...string} args The arguments of the command
+     */
+    const fsdb = (...args) =>
+      spawnSync(
+        process.execPath,
+        [require.resolve("file-system-db/cli.js"), ...args],
+        { encoding: "utf8", env: { ...process.env, FSDB_ENCRYPTION_KEY: "" } },
+      );
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should get, set and delete values", () => {
+      assert.strictEqual(
+        fsdb("set", filepath, "player", '{"level":1}').status,
+        0,
+      );
+      assert.strictEqual(
+        fsdb("set", filepath, "player.name", "Will").status,
+        0,
+      );
+
+      assert.deepStrictEqual(JSON.parse(readFileSync(filepath, "utf8")), {
+        player: { level: 1, name: "Will" },
+      });
+      assert.strictEqual(
+        fsdb("get", filepath, "player.name").stdout,
+        '"Will"\n',
+      );
+
+      assert.strictEqual(fsdb("delete", filepath, "player.name").status, 0);
+      const { status, stderr } = fsdb("get", filepath, "player.name");
+      assert.strictEqual(status, 3);
+      assert.match(stderr, /"player\.name" does not exist\./);
+    });
+
+    it("should list and dump the contents", () => {
+      fsdb("set", filepath, "player", '{"name":"Will","level":1}');
+      fsdb("push", filepath, "tags", "a", "1");
+      assert.strictEqual(
+        fsdb("add", filepath, "player.level", "2").stdout,
+        "3\n",
+      );
+
+      assert.strictEqual(
+        fsdb("ls", filepath).stdout,
+        "player.name\nplayer.level\ntags.0\ntags.1\n",
+      );
+      assert.strictEqual(
+        fsdb("keys", filepath, "player").stdout,
+        "player.name\nplayer.level\n",
+      );
+      assert.deepStrictEqual(JSON.parse(fsdb("dump", filepath).stdout), {
+        player: { name: "Will", level: 3 },
+        tags: ["a", 1],
+      });
+      assert.match(fsdb("stats", filepath).stdout, /Keys: +2\nEntries: +4\n/);
+    });
+
+    it("should back up and restore the database", () => {
+      const backupPath = join(__dirname, "cli-backup.json");
+      fsdb("set", filepath, "foo", "bar");
+
+      assert.strictEqual(
+        fsdb("backup", filepath, backupPath).stdout,
+        `${backupPath}\n`,
+      );
+      fsdb("set", filepath, "foo", "baz");
+      assert.strictEqual(fsdb("restore", filepath, backupPath).status, 0);
+      assert.strictEqual(fsdb("get", filepath, "foo").stdout, '"bar"\n');
+      rmSync(backupPath, { force: true });
+    });
+
+    it("should exit with a non-zero code on errors", () => {
+      assert.strictEqual(fsdb().status, 2);
+      assert.strictEqual(fsdb("--help").status, 0);
+      assert.strictEqual(fsdb("frob", filepath).status, 2);
+      assert.strictEqual(fsdb("get", filepath, "foo").status, 7);
+      assert.strictEqual(existsSync(filepath), false);
+
+      fsdb("set", filepath, "foo", "bar");
+      assert.strictEqual(fsdb("add", filepath, "foo", "x").status, 2);
+      assert.strictEqual(
+        fsdb("set", filepath, "__proto__.polluted", "1").status,
+        1,
+      );
+      assert.strictEqual(
+        fsdb("restore", filepath, `${filepath}.nope`).status,
+        7,
+      );
+
+      const { status, stderr } = fsdb("add", filepath, "foo", "1");
+      assert.strictEqual(status, 1);
+      assert.strictEqual(
+        stderr,
+        'Failed to perform "add" operation. Value is not a number.\n',
+      );
+
+      writeFileSync(filepath, "{");
+      const parsed = fsdb("get", filepath, "foo");
+      assert.strictEqual(parsed.status, 8);
+      // the message of the error thrown by the parser, not of its wrappers
+      assert.doesNotMatch(parsed.stderr, /internal operation/);
+      assert.match(parsed.stderr, /JSON/);
+    });
+  });
+
+  describe("importing and exporting data", () => {
+    const filepath = join(__dirname, "export-db.json");
+    const exportPath = join(__dirname, "export-file");
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("players", {
+        will: { name: "WillTDA", level: 15, tags: ['a, "b"'] },
+        alice: { name: "Alice", level: 3, tags: [] },
+      });
+      db.set("count", 2);
+    });
+    afterEach(() => {
+      for (const extension of ["csv", "json", "ndjson"])
+        rmSync(`${exportPath}.${extension}`, { force: true });
+      rmSync(filepath, { force: true });
+    });
+
+    it("should export CSV with a row for every nested key", () => {
+      const path = db.export(`${exportPath}.csv`, { prefix: "players.will" });
+
+      assert.strictEqual(path, `${exportPath}.csv`);
+      assert.strictEqual(
+        readFileSync(path, "utf8"),
+        'key,value\nplayers.will.name,"""WillTDA"""\nplayers.will.level,15\nplayers.will.tags[0],"""a, \\""b\\"""""\n',
+      );
+    });
+
+    it("should export NDJSON and JSON", () => {
+      db.export(`${exportPath}.ndjson`);
+      const lines = readFileSync(`${exportPath}.ndjson`, "utf8").split("\n");
+      assert.deepStrictEqual(JSON.parse(lines[0]), {
+        key: "players.will.name",
+        value: "WillTDA",
+      });
+      assert.strictEqual(lines.length, 7);
+
+      db.export(`${exportPath}.json`, { prefix: "players.alice" });
+      assert.deepStrictEqual(
+        JSON.parse(readFileSync(`${exportPath}.json`, "utf8")),
+        { players: { alice: { name: "Alice", level: 3 } } },
+      );
+      db.export(`${exportPath}.csv`, { format: "json" });
+      assert.deepStrictEqual(
+        JSON.parse(readFileSync(`${exportPath}.csv`, "utf8")),
+        db
+          .getAll()
+          .reduce((data, { key, value }) => ({ ...data, [key]: value }), {}),
+      );
+    });
+
+    it("should import the exported formats", () => {
+      for (const format of /** @type {const} */ (["csv", "ndjson", "json"])) {
+        const expected = db.get("players");
+        db.export(`${exportPath}.${format}`, { prefix: "players.will" });
+        db.set("players.will", { name: "Will" });
+        db.set("players.bob", { name: "Bob" });
+
+        assert.strictEqual(db.import(`${exportPath}.${format}`), 3);
+        assert.deepStrictEqual(db.get("players"), {
+          ...expected,
+          bob: { name: "Bob" },
+        });
+        db.delete("players.bob");
+      }
+    });
+
+    it("should keep the types of values in CSV", () => {
+      db.set("note", { level: "15", name: "true", note: "null", text: "a" });
+      db.export(`${exportPath}.csv`, { prefix: "note" });
+      db.delete("note");
+
+      db.import(`${exportPath}.csv`);
+      assert.deepStrictEqual(db.get("note"), {
+        level: "15",
+        name: "true",
+        note: "null",
+        text: "a",
+      });
+
+      writeFileSync(`${exportPath}.csv`, "key,value\nname,WillTDA\nlevel,15\n");
+      db.import(`${exportPath}.csv`);
+      assert.strictEqual(db.get("name"), "WillTDA");
+      assert.strictEqual(db.get("level"), 15);
+    });
+
+    it("should reject keys changing the prototype", () => {
+      const before = readFileSync(filepath, "utf8");
+      const invalid = {
+        csv: "key,value\n__proto__.polluted,true\n",
+        ndjson: '{"key":"a.constructor.prototype.polluted","value":true}\n',
+        json: '{"a":{"__proto__":{"polluted":true}}}',
+      };
+
+      for (const [format, content] of Object.entries(invalid)) {
+        writeFileSync(`${exportPath}.${format}`, content);
+        assert.throws(() => db.import(`${exportPath}.${format}`), {
+          name: "FSDBError",
+        });
+        assert.strictEqual(/** @type {any} */ ({}).polluted, undefined);
+      }
+      assert.strictEqual(readFileSync(filepath, "utf8"), before);
+    });
+
+    it("should keep the types of a typed database", () => {
+      db = new FSDB(filepath, { typed: true });
+      const value = {
+        since: new Date(0),
+        views: 12345678901234567890n,
+        roles: new Set(["admin"]),
+      };
+      db.set("stats", value);
+
+      for (const format of ["csv", "ndjson", "json"]) {
+        db.export(`${exportPath}.${format}`);
+        db.delete("stats");
+        db.import(`${exportPath}.${format}`);
+        assert.deepStrictEqual(db.get("stats"), value);
+      }
+    });
+
+    it("should merge into typed values without encoding them twice", () => {
+      db = new FSDB(filepath, { typed: true });
+      db.set("user", { when: new Date(0) });
+      writeFileSync(`${exportPath}.json`, '{"user":{"x":1}}');
+
+      db.import(`${exportPath}.json`);
+      assert.deepStrictEqual(db.get("user"), { when: new Date(0), x: 1 });
+    });
+
+    it("should replace all data when importing in replace mode", () => {
+      db.export(`${exportPath}.json`, { prefix: "count" });
+      db.set("session", "abc", { ttl: 60_000 });
+
+      db.import(`${exportPath}.json`, { mode: "replace" });
+      assert.deepStrictEqual(db.getAll(), [{ key: "count", value: 2 }]);
+      assert.strictEqual(db.ttl("session"), undefined);
+    });
+
+    it("should write the whole import at once", () => {
+      writeFileSync(
+        `${exportPath}.ndjson`,
+        '{"key":"a","value":1}\n{"key":"b.c","value":2}\n',
+      );
+      /** @type {string[]} */
+      const changed = [];
+      db.on("change", ({ key }) => changed.push(key));
+
+      db.import(`${exportPath}.ndjson`);
+      assert.deepStrictEqual(changed, ["a", "b"]);
+      assert.strictEqual(db.get("b.c"), 2);
+    });
+
+    it("should reject invalid files without changing the database", () => {
+      const before = readFileSync(filepath, "utf8");
+      const invalid = {
+        csv: "key,value\na,1\n,2\n",
+        ndjson: '{"key":"a","value":1}\n{"value":2}\n',
+        json: "[1, 2]",
+      };
+
+      for (const [format, content] of Object.entries(invalid)) {
+        writeFileSync(`${exportPath}.${format}`, content);
+        assert.throws(() => db.import(`${exportPath}.${format}`), {
+          name: "FSDBError",
+        });
+      }
+      writeFileSync(`${exportPath}.json`, '{"__fsdb":{}}');
+      assert.throws(() => db.import(`${exportPath}.json`), {
+        name: "FSDBError",
+      });
+      assert.throws(
+        // @ts-expect-error
+        () => db.import(`${exportPath}.json`, { mode: "append" }),
+        { name: "FSDBError" },
+      );
+      assert.throws(
+        // @ts-expect-error
+        () => db.export(`${exportPath}.json`, { format: "xml" }),
+        { name: "FSDBError" },
+      );
+      assert.strictEqual(readFileSync(filepath, "utf8"), before);
+    });
+
+    it("should import and export asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      await asyncDb.export(`${exportPath}.csv`, { prefix: "count" });
+      await asyncDb.delete("count");
+
+      assert.strictEqual(await asyncDb.import(`${exportPath}.csv`), 1);
+      assert.strictEqual(await asyncDb.get("count"), 2);
+      await assert.rejects(asyncDb.import(`${exportPath}.ndjson`), {
+        name: "FSDBError",
+      });
+    });
+  });
+
+  describe("migrating data", () => {
+    const filepath = join(__dirname, "migration-db.json");
+    const backupDir = join(__dirname, "migration-backups");
+
+    /** @type {import("file-system-db").FSDBMigration[]} */
+    const migrations = [
+      {
+        version: 2,
+        name: "split names",
+        up(tx) {
+          for (const { key, value } of tx.find("players")) {
+            const [first, last] = value.name.split(" ");
+            tx.set(key, { first, last });
+          }
+        },
+      },
+      {
+        version: 1,
+        up(tx) {
+          tx.set("players", { will: { name: tx.get("name") } });
+          tx.delete("name");
+        },
+      },
+    ];
+
+    beforeEach(() => {
+      db = new FSDB(filepath);
+      db.set("name", "Will TDA");
+    });
+    afterEach(() => {
+      rmSync(filepath, { force: true });
+      rmSync(backupDir, { recursive: true, force: true });
+    });
+
+    it("should run pending migrations in order and record them", () => {
+      assert.strictEqual(db.version(), 0);
+
+      const ran = db.migrate(migrations, { backup: { dir: backupDir } });
+      assert.deepStrictEqual(
+        ran.map(({ version }) => version),
+        [1, 2],
+      );
+      assert.deepStrictEqual(db.get("players"), {
+        will: { first: "Will", last: "TDA" },
+      });
+      assert.strictEqual(db.version(), 2);
+      assert.deepStrictEqual(
+        db.listMigrations().map(({ version, name }) => ({ version, name })),
+        [
+          { version: 1, name: undefined },
+          { version: 2, name: "split names" },
+        ],
+      );
+      assert(db.listMigrations()[0].date instanceof Date);
+      assert.deepStrictEqual(
+        db.getAll().map(({ key }) => key),
+        ["players"],
+      );
+    });
+
+    it("should back up the database first", () => {
+      db.migrate(migrations, { backup: { dir: backupDir } });
+
+      const [backup] = db.listBackups(backupDir);
+      assert.deepStrictEqual(JSON.parse(readFileSync(backup.path, "utf8")), {
+        name: "Will TDA",
+      });
+      db.migrate(migrations, { backup: { dir: backupDir } });
+      assert.strictEqual(db.listBackups(backupDir).length, 1);
+    });
+
+    it("should only run migrations once", () => {
+      db.migrate(migrations.slice(1), { backup: false });
+      assert.strictEqual(db.version(), 1);
+
+      let runs = 0;
+      const counted = migrations.map((migration) => ({
+        ...migration,
+        up: (/** @type {FSDB} */ tx) => {
+          runs++;
+          migration.up(tx);
+        },
+      }));
+      assert.strictEqual(db.migrate(counted, { backup: false }).length, 1);
+      assert.strictEqual(db.migrate(counted, { backup: false }).length, 0);
+      assert.strictEqual(runs, 1);
+
+      db.deleteAll();
+      assert.strictEqual(db.version(), 2);
+    });
+
+    it("should leave the database at the last successful version", () => {
+      const error = new Error("Broken migration");
+      assert.throws(
+        () =>
+          db.migrate(
+            [
+              migrations[1],
+              {
+                version: 2,
+                up(tx) {
+                  tx.set("players.will", null);
+                  throw error;
+                },
+              },
+            ],
+            { backup: false },
+          ),
+        (thrown) => thrown === error,
+      );
+
+      assert.strictEqual(db.version(), 1);
+      assert.deepStrictEqual(db.get("players.will"), { name: "Will TDA" });
+    });
+
+    it("should reject invalid migrations", () => {
+      for (const invalid of [
+        [{ version: 0, up() {} }],
+        [{ version: 1 }],
+        [
+          { version: 1, up() {} },
+          { version: 1, up() {} },
+        ],
+      ]) {
+        // @ts-expect-error
+        assert.throws(() => db.migrate(invalid), { name: "FSDBError" });
+      }
+      assert.throws(
+        () => db.migrate([{ version: 1, async up() {} }], { backup: false }),
+        { name: "FSDBError" },
+      );
+      assert.strictEqual(db.version(), 0);
+    });
+
+    it("should handle the rejections of asynchronous migrations", async () => {
+      const unhandled = [];
+      const onRejection = (/** @type {unknown} */ reason) =>
+        unhandled.push(reason);
+      process.on("unhandledRejection", onRejection);
+      try {
+        const migration = {
+          version: 1,
+          async up() {
+            throw new Error("Too late.");
+          },
+        };
+        assert.throws(() => db.migrate([migration], { backup: false }), {
+          name: "FSDBError",
+        });
+        await new Promise((resolve) => setImmediate(resolve));
+      } finally {
+        process.off("unhandledRejection", onRejection);
+      }
+
+      assert.deepStrictEqual(unhandled, []);
+      assert.strictEqual(db.version(), 0);
+    });
+
+    it("should migrate sharded databases as a whole", () => {
+      const dirpath = join(__dirname, "migration-shards");
+      const sharded = new FSDB(dirpath, { shards: true });
+      sharded.set("name", "Will TDA");
+      try {
+        sharded.migrate(migrations, { backup: false });
+
+        assert.strictEqual(sharded.version(), 2);
+        assert.deepStrictEqual(readdirSync(dirpath).sort(), [
+          "__fsdb.json",
+          "players.json",
+        ]);
+      } finally {
+        rmSync(dirpath, { recursive: true, force: true });
+      }
+    });
+
+    it("should migrate asynchronously", async () => {
+      const asyncDb = new AsyncFSDB(filepath);
+      await asyncDb.migrate(migrations, { backup: { dir: backupDir } });
+
+      assert.strictEqual(await asyncDb.version(), 2);
+      assert.strictEqual((await asyncDb.listMigrations()).length, 2);
+      assert.strictEqual(db.get("players.will.first"), "Will");
+
+      const backups = await asyncDb.listBackups(backupDir);
+      assert.strictEqual(backups.length, 1);
+      assert.deepStrictEqual(
+        JSON.parse(readFileSync(backups[0].path, "utf8")),
+        {
+          name: "Will TDA",
+        },
+      );
+      assert.deepStrictEqual(
+        await asyncDb.migrate(migrations, { backup: { dir: backupDir } }),
+        [],
+      );
+      assert.strictEqual((await asyncDb.listBackups(backupDir)).length, 1);
+    });
+  });
+
+  describe("preserving types", () => {
+    const filepath = join(__dirname, "typed-db.json");
+
+    class Point {
+      /**
+       * @param {number} x
+       * @param {number} y
+       */
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+    }
+
+    beforeEach(() => {
+      db = new FSDB(filepath, { typed: true });
+    });
+
+    afterEach(() => rmSync(filepath, { force: true }));
+
+    it("should revive values JSON can't represent", () => {
+      const value = {
+        createdAt: new Date("2024-01-02T03:04:05.000Z"),
+        views: 12345678901234567890n,
+        avatar: Buffer.from("image"),
+        roles: new Set(["admin", "member"]),
+        scores: new Map([["will", [new Date(0)]]]),
+        lookalike: { __fsdb: "Date", value: "not a date" },
+      };
+      db.set("user", value);
+
+      assert.deepStrictEqual(db.get("user"), value);
+      assert.deepStrictEqual(new FSDB(filepath, { typed: true }).getAll(), [
+        { key: "user", value },
+      ]);
+      assert.deepStrictEqual(
+        db.startsWith("user.created").map(({ key }) => key),
+        ["user.createdAt"],
+      );
+    });
+
+    it("should perform arithmetic on BigInts", () => {
+      db.set("views", 10n);
+      db.add("views", 5);
+      db.multiply("views", 12345678901234567890n);
+
+      assert.strictEqual(db.get("views"), 185185183518518518350n);
+      assert.throws(() => db.add("views", 0.5), { name: "FSDBError" });
+    });
+
+    it("should preserve registered classes", () => {
+      db.registerType("Point", {
+        type: Point,
+        encode: (point) => [point.x, point.y],
+        decode: ([x, y]) => new Point(x, y),
+      });
+      db.set("spawn", new Point(1, 2));
+      db.set("path", []);
+      db.push("path", new Point(3, 4));
+
+      assert(db.get("spawn") instanceof Point);
+      assert.deepStrictEqual(db.get("path"), [new Point(3, 4)]);
+      assert.throws(
+        () =>
+          db.registerType("Date", {
+            type: Date,
+            encode: String,
+            decode: String,
+          }),
+        { name: "FSDBError" },
+      );
+    });
+
+    it("should query the revived values", () => {
+      db.set("posts", {
+        old: { date: new Date("2020-01-01"), views: 10n },
+        new: { date: new Date("2024-01-01"), views: 12345678901234567890n },
+      });
+
+      const since = new Date("2022-01-01");
+      assert.deepStrictEqual(
+        db.find("posts", { date: { $gt: since } }).map(({ key }) => key),
+        ["posts.new"],
+      );
+      assert.deepStrictEqual(
+        db.find("posts", { views: { $lt: 100n } }).map(({ key }) => key),
+        ["posts.old"],
+      );
+      assert.deepStrictEqual(
+        db.find("posts", {}, { sort: { date: -1 } })[0].value,
+        { date: new Date("2024-01-01"), views: 12345678901234567890n },
+      );
+      assert.strictEqual(db.findOne("posts", { views: 10n })?.key, "posts.old");
+    });
+
+    it("should leave values as JSON by default", () => {
+      db = new FSDB(filepath);
+      db.set("createdAt", new Date("2024-01-02T03:04:05.000Z"));
+      assert.strictEqual(db.get("createdAt"), "2024-01-02T03:04:05.000Z");
+    });
+  });
+
   describe("performing basic operations", () => {
     const exampleData = {
       foo: "bar",
@@ -267,6 +2949,22 @@ describe("FSDB", () => {
         db.push("arr2", 5, 6, 7);
         assert.deepStrictEqual(db.get("arr2"), [1, 2, 3, 4, 5, 6, 7]);
       });
+
+      it("should only create missing arrays when enabled", () => {
+        assert.throws(() => db.push("arr4", "a"), { name: "FSDBError" });
+        assert.strictEqual(db.has("arr4"), false);
+
+        const initializing = new FSDB(db.path, { initializeArrays: true });
+        initializing.push("arr4", "a");
+        initializing.insertAt("arr5", 0, "b");
+        assert.deepStrictEqual(initializing.get("arr4"), ["a"]);
+        assert.deepStrictEqual(initializing.get("arr5"), ["b"]);
+
+        initializing.set("notArray", "a");
+        assert.throws(() => initializing.push("notArray", "b"), {
+          name: "FSDBError",
+        });
+      });
     });
 
     describe("removing values", () => {
@@ -285,6 +2983,77 @@ describe("FSDB", () => {
         db.pull("arr2", 4, 5, 6);
         assert.deepStrictEqual(db.get("arr2"), [1, 2, 3]);
       });
+
+      it("should remove objects from array", () => {
+        db.set("objects", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        db.pull("objects", { id: 2 });
+        assert.deepStrictEqual(db.get("objects"), [{ id: 1 }, { id: 3 }]);
+
+        db.pull("objects", (/** @type {any} */ item) => item.id > 2);
+        assert.deepStrictEqual(db.get("objects"), [{ id: 1 }]);
+      });
+    });
+
+    describe("removing values at the ends", () => {
+      it("should pop and shift values", () => {
+        db.set("ends", [1, 2, 3]);
+        assert.strictEqual(db.pop("ends"), 3);
+        assert.strictEqual(db.shift("ends"), 1);
+        assert.deepStrictEqual(db.get("ends"), [2]);
+
+        db.unshift("ends", 0, 1);
+        assert.deepStrictEqual(db.get("ends"), [0, 1, 2]);
+        db.set("empty", []);
+        assert.strictEqual(db.pop("empty"), undefined);
+        assert.throws(() => db.pop("missing"), { name: "FSDBError" });
+      });
+    });
+
+    describe("changing values by position", () => {
+      it("should splice values", () => {
+        db.set("letters", ["a", "b", "c", "d"]);
+        assert.deepStrictEqual(db.splice("letters", 1, 2, "x"), ["b", "c"]);
+        assert.deepStrictEqual(db.get("letters"), ["a", "x", "d"]);
+        assert.deepStrictEqual(db.splice("letters", -1), ["d"]);
+        assert.deepStrictEqual(db.get("letters"), ["a", "x"]);
+
+        assert.throws(() => db.splice("letters", 1, undefined, "y"), {
+          name: "FSDBError",
+        });
+        assert.deepStrictEqual(db.get("letters"), ["a", "x"]);
+      });
+
+      it("should insert and remove values at an index", () => {
+        db.set("letters", ["a", "c"]);
+        db.insertAt("letters", 1, "b");
+        assert.deepStrictEqual(db.get("letters"), ["a", "b", "c"]);
+        assert.strictEqual(db.removeAt("letters", -1), "c");
+        assert.deepStrictEqual(db.get("letters"), ["a", "b"]);
+
+        assert.throws(() => db.insertAt("letters", 0.5, "x"), {
+          name: "FSDBError",
+        });
+      });
+    });
+
+    describe("adding unique values", () => {
+      it("should only add values not in the array", () => {
+        db.set("tags", []);
+        db.addToSet("tags", "a", { b: 1 }, "a");
+        db.addToSet("tags", { b: 1 }, "c");
+        assert.deepStrictEqual(db.get("tags"), ["a", { b: 1 }, "c"]);
+      });
+    });
+
+    describe("sorting values", () => {
+      it("should sort values", () => {
+        db.set("scores", [3, "b", 1, "a", 2]);
+        db.sort("scores");
+        assert.deepStrictEqual(db.get("scores"), [1, 2, 3, "a", "b"]);
+
+        db.sort("scores", (a, b) => String(b).localeCompare(String(a)));
+        assert.deepStrictEqual(db.get("scores"), ["b", "a", 3, 2, 1]);
+      });
     });
   });
 